@@ -0,0 +1,217 @@
+// DD60 Artifact Levels
+// Named presets for the fifth display parameter (A in DD60_C_R_D_B_A), bundling
+// the analog model stages from ideal vectors (A0) to a worn console (A9)
+//
+// Each preset holds options for the analog stages, or null where a stage is off:
+//   deflection  - simulateDeflection options (filter, asymmetry, non-linear stages)
+//   zAxis       - applyZAxis options
+//   brightness  - applyBrightness options
+//   persistence - createPhosphor and applyPersistence options
+//   noise       - createNoise options
+//   bloom       - {radius, strength}: glow radius in screen units and its opacity
+
+import { simulateDeflection } from './deflection.js';
+import { applyZAxis } from './zAxis.js';
+import { applyBrightness, traceToTriplets } from './brightness.js';
+import { createNoise, applyNoise, DEFAULT_NOISE } from './noise.js';
+import { DD60_NONLINEARITIES } from './nonlinear.js';
+import { applyPersistence, P31_TAU_NS } from './phosphor.js';
+
+/**
+ * Seed shared by every preset so a level always renders the same way
+ */
+const PRESET_SEED = 6612;
+
+/**
+ * Build noise options scaled from the documented defaults
+ * @param {number} factor - Multiplier for every noise amplitude
+ * @returns {Object|null} createNoise options, or null for no noise
+ */
+function scaledNoise(factor) {
+    if (factor === 0) return null;
+    return {
+        seed: PRESET_SEED,
+        jitterAmplitude: DEFAULT_NOISE.jitterAmplitude * factor,
+        driftRms: DEFAULT_NOISE.driftRms * factor,
+        whiteNoiseRms: DEFAULT_NOISE.whiteNoiseRms * factor
+    };
+}
+
+/**
+ * Build one preset
+ * @param {number} level - Artifact level 0-9
+ * @param {string} name - Short name
+ * @param {string} description - One-line description
+ * @param {Object} stages - Stage options; omitted stages are off
+ * @returns {Object} Frozen preset
+ */
+function preset(level, name, description, stages = {}) {
+    return Object.freeze({
+        level,
+        label: `A${level}`,
+        name,
+        description,
+        deflection: stages.deflection ?? null,
+        zAxis: stages.zAxis ?? null,
+        brightness: stages.brightness ?? null,
+        persistence: stages.persistence ?? null,
+        noise: stages.noise ?? null,
+        bloom: stages.bloom ?? null
+    });
+}
+
+/**
+ * Artifact presets A0-A9, indexed by level
+ * A5 uses the values documented for the DD60; lower levels are cleaner and
+ * higher levels add amplifier non-linearities, asymmetry and noise.
+ */
+export const ARTIFACT_LEVELS = Object.freeze([
+    preset(0, 'Ideal', 'Ideal vectors, no analog effects'),
+    preset(1, 'Crisp', 'Wide-band amplifiers, barely visible rounding', {
+        deflection: { naturalFrequency: 2e7, dampingRatio: 0.8 },
+        zAxis: { riseNs: 5, fallNs: 10 },
+        brightness: { k: 0.1 },
+        persistence: { tauNs: P31_TAU_NS },
+        bloom: { radius: 0.5, strength: 0.3 }
+    }),
+    preset(2, 'Clean', 'Slight corner rounding and stroke-end fade', {
+        deflection: { naturalFrequency: 1.5e7, dampingRatio: 0.8 },
+        zAxis: { riseNs: 8, fallNs: 15 },
+        brightness: { k: 0.2 },
+        persistence: { tauNs: P31_TAU_NS },
+        bloom: { radius: 1, strength: 0.35 }
+    }),
+    preset(3, 'Sharp tube', 'Visible rounding, faint noise', {
+        deflection: { naturalFrequency: 1e7, dampingRatio: 0.78 },
+        zAxis: { riseNs: 10, fallNs: 25 },
+        brightness: { k: 0.3 },
+        persistence: { tauNs: P31_TAU_NS },
+        noise: scaledNoise(0.25),
+        bloom: { radius: 1.5, strength: 0.4 }
+    }),
+    preset(4, 'Fresh console', 'Newly aligned console', {
+        deflection: { naturalFrequency: 7e6, dampingRatio: 0.76 },
+        zAxis: { riseNs: 12, fallNs: 30 },
+        brightness: { k: 0.35 },
+        persistence: { tauNs: P31_TAU_NS },
+        noise: scaledNoise(0.5),
+        bloom: { radius: 2, strength: 0.45 }
+    }),
+    preset(5, 'Nominal DD60', 'Documented filter, brightness, persistence and noise values', {
+        deflection: { naturalFrequency: 5e6, dampingRatio: 0.75 },
+        zAxis: { riseNs: 15, fallNs: 40 },
+        brightness: { k: 0.4 },
+        persistence: { tauNs: P31_TAU_NS },
+        noise: scaledNoise(1),
+        bloom: { radius: 2.5, strength: 0.5 }
+    }),
+    preset(6, 'Warm', 'Slew limiting and 5% X/Y asymmetry', {
+        deflection: {
+            naturalFrequency: 4.5e6, dampingRatio: 0.7,
+            y: { naturalFrequency: 4.5e6 * 0.95 },
+            slewLimit: DD60_NONLINEARITIES.slewLimit
+        },
+        zAxis: { riseNs: 18, fallNs: 50 },
+        brightness: { k: 0.4 },
+        persistence: { tauNs: P31_TAU_NS },
+        noise: scaledNoise(1.25),
+        bloom: { radius: 3, strength: 0.55 }
+    }),
+    preset(7, 'Aged', 'Overshoot and edge compression', {
+        deflection: {
+            naturalFrequency: 4e6, overshoot: DD60_NONLINEARITIES.overshoot,
+            y: { naturalFrequency: 4e6 * 0.92 },
+            slewLimit: DD60_NONLINEARITIES.slewLimit,
+            saturation: DD60_NONLINEARITIES.saturation
+        },
+        zAxis: { riseNs: 20, fallNs: 60 },
+        brightness: { k: 0.45 },
+        persistence: { tauNs: P31_TAU_NS * 1.2 },
+        noise: scaledNoise(1.5),
+        bloom: { radius: 3, strength: 0.6 }
+    }),
+    preset(8, 'Tired', 'Slow amplifiers, 10% asymmetry, settling holds', {
+        deflection: {
+            naturalFrequency: 3.5e6, dampingRatio: 0.65,
+            y: { naturalFrequency: 3.5e6 * 0.9 },
+            ...DD60_NONLINEARITIES,
+            overshoot: null
+        },
+        zAxis: { riseNs: 25, fallNs: 70 },
+        brightness: { k: 0.5 },
+        persistence: { tauNs: P31_TAU_NS * 1.4 },
+        noise: scaledNoise(2),
+        bloom: { radius: 3.5, strength: 0.65 }
+    }),
+    preset(9, 'Worn console', 'Every artifact at its worst: the console after years of service', {
+        deflection: {
+            naturalFrequency: 3e6,
+            y: { naturalFrequency: 3e6 * 0.9 },
+            ...DD60_NONLINEARITIES,
+            overshoot: 0.08
+        },
+        zAxis: { riseNs: 30, fallNs: 80 },
+        brightness: { k: 0.5 },
+        persistence: { tauNs: P31_TAU_NS * 1.5 },
+        noise: scaledNoise(2.5),
+        bloom: { radius: 4, strength: 0.7 }
+    })
+]);
+
+/**
+ * Look up an artifact preset
+ * @param {number|string|Object} level - Level 0-9, a label such as 'A5', or a preset object
+ * @returns {Object} Preset from ARTIFACT_LEVELS
+ * @throws {Error} If the level is unknown
+ */
+export function getArtifactPreset(level = 0) {
+    if (level !== null && typeof level === 'object') return level;
+    const match = typeof level === 'string' ? /^A?(\d)$/i.exec(level) : null;
+    const index = typeof level === 'string' ? (match ? Number(match[1]) : NaN) : level;
+    const found = Number.isInteger(index) ? ARTIFACT_LEVELS[index] : undefined;
+    if (!found) {
+        throw new Error(`Unknown artifact level '${level}', expected 0-9 or A0-A9`);
+    }
+    return found;
+}
+
+/**
+ * Simulate a beam path through every analog stage of a preset
+ * @param {Array} triplets - [x, y, intensity] triplets in screen units
+ * @param {number|string|Object} level - Artifact level (see getArtifactPreset)
+ * @param {Object} options - Simulation options
+ * @param {number} options.timeStepNs - Sample interval in nanoseconds (default: 10)
+ * @param {Object} options.noise - Noise source to continue from (default: a fresh source from the preset)
+ * @returns {Object} Trace from applyBrightness, decayed to the end of the pass by the preset's
+ *          persistence, or null for a preset without deflection (A0)
+ */
+export function simulateArtifacts(triplets, level, options = {}) {
+    const { timeStepNs = 10 } = options;
+    const artifacts = getArtifactPreset(level);
+    if (!artifacts.deflection) return null;
+
+    let trace = simulateDeflection(triplets, { ...artifacts.deflection, timeStepNs });
+    if (artifacts.zAxis) trace = applyZAxis(trace, artifacts.zAxis);
+    if (artifacts.noise) trace = applyNoise(trace, options.noise ?? createNoise(artifacts.noise));
+    trace = applyBrightness(trace, artifacts.brightness ?? { k: 0 });
+    return artifacts.persistence ? applyPersistence(trace, artifacts.persistence) : trace;
+}
+
+/**
+ * Apply an artifact level to a triplet path for the renderers
+ * Glyph paths are scaled to screen units by characterScale for the simulation
+ * and scaled back, so the result stays in the input's units.
+ *
+ * @param {Array} triplets - [x, y, intensity] triplets
+ * @param {number|string|Object} level - Artifact level (see getArtifactPreset)
+ * @param {Object} options - Simulation options (see simulateArtifacts)
+ * @param {number} options.characterScale - Screen units per input unit (default: 1)
+ * @returns {Array} Dense [x, y, brightness] triplets, or the input unchanged at A0
+ */
+export function applyArtifacts(triplets, level, options = {}) {
+    const { characterScale = 1 } = options;
+    const screenPath = triplets.map(([x, y, intensity]) => [x * characterScale, y * characterScale, intensity]);
+    const trace = simulateArtifacts(screenPath, level, options);
+    if (!trace) return triplets;
+    return traceToTriplets(trace).map(([x, y, brightness]) => [x / characterScale, y / characterScale, brightness]);
+}
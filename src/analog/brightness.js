@@ -0,0 +1,79 @@
+// DD60 Beam Brightness Model
+// Velocity-dependent brightness and deposited energy along a beam path
+//
+//   brightness = base / (1 + k·|dV/dt|), clamped to at least minBrightness·base
+//
+// |dV/dt| is the beam speed in display units per 100ns row, so a base-scale
+// stroke moving 2 units per row at k = 0.4 is drawn at about 55% brightness
+// while a dwelling beam stays at full brightness.
+
+import { ROW_DURATION_NS } from '../cdcRomFunctions.js';
+
+/**
+ * Default brightness model parameters
+ */
+export const DEFAULT_BRIGHTNESS = {
+    base: 1,
+    k: 0.4,
+    minBrightness: 0.4      // fraction of base
+};
+
+/**
+ * Brightness of the beam at a given speed
+ * @param {number} speed - Beam speed in units per 100ns row
+ * @param {Object} options - Brightness options
+ * @param {number} options.base - Base intensity (default: 1)
+ * @param {number} options.k - Velocity coefficient (default: 0.4)
+ * @param {number} options.minBrightness - Lower clamp as a fraction of base (default: 0.4)
+ * @returns {number} Brightness from minBrightness·base to base
+ */
+export function beamBrightness(speed, options = {}) {
+    const { base, k, minBrightness } = { ...DEFAULT_BRIGHTNESS, ...options };
+    return Math.max(base / (1 + k * Math.abs(speed)), base * minBrightness);
+}
+
+/**
+ * Apply the brightness model to a simulated beam trace
+ * Each sample deposits brightness × interval energy, normalised so one
+ * 100ns row at base brightness deposits 1. Slow samples near corners and
+ * stroke ends are brighter and more closely spaced, so they collect more energy.
+ *
+ * @param {Object} trace - Result of simulateDeflection, optionally through applyZAxis to scale by beam level
+ * @param {Object} options - Brightness options (see beamBrightness)
+ * @returns {Object} Trace copy whose points also carry {speed, brightness, energy}; beam-off samples deposit 0
+ */
+export function applyBrightness(trace, options = {}) {
+    const points = trace.points.map((point, i) => {
+        const speed = Math.hypot(point.vx, point.vy) * ROW_DURATION_NS / 1000;
+        const brightness = point.beam ? beamBrightness(speed, options) * (point.z ?? 1) : 0;
+        const interval = i > 0 ? point.t - trace.points[i - 1].t : 0;
+        return { ...point, speed, brightness, energy: brightness * interval / ROW_DURATION_NS };
+    });
+    return { ...trace, points };
+}
+
+/**
+ * Apply the brightness model to an ideal triplet path
+ * Each row moves at its segment length per row; dwell rows have zero speed.
+ * @param {Array} triplets - [x, y, intensity] triplets from implicit origin (0, 0)
+ * @param {Object} options - Brightness options (see beamBrightness)
+ * @returns {Array} [x, y, brightness] triplets, 0 where the beam is off
+ */
+export function tripletBrightness(triplets, options = {}) {
+    let prevX = 0, prevY = 0;
+    return triplets.map(([x, y, intensity]) => {
+        const speed = Math.hypot(x - prevX, y - prevY);
+        prevX = x;
+        prevY = y;
+        return [x, y, intensity > 0 ? beamBrightness(speed, options) : 0];
+    });
+}
+
+/**
+ * Convert a brightness trace to a dense triplet path for the renderers
+ * @param {Object} trace - Result of applyBrightness
+ * @returns {Array} [x, y, brightness] triplets, one per sample after the first
+ */
+export function traceToTriplets(trace) {
+    return trace.points.slice(1).map(({ x, y, brightness }) => [x, y, brightness]);
+}
@@ -0,0 +1,239 @@
+// DD60 Deflection Simulator
+// Drives a triplet path through the second-order low-pass deflection amplifier
+// model and samples the beam position, giving the rounded corners and S-curved
+// diagonals the ideal straight-segment renderers cannot show
+//
+//   H(s) = ωn²/(s² + 2ζωn·s + ωn²),  ωn ≈ 5×10⁶ rad/s, ζ ≈ 0.75
+
+import { dampingForOvershoot, softClip, rowSchedule } from './nonlinear.js';
+
+/**
+ * Default deflection amplifier parameters shared by both axes
+ */
+export const DEFAULT_DEFLECTION = {
+    naturalFrequency: 5e6,      // ωn in rad/s
+    dampingRatio: 0.75          // ζ
+};
+
+/**
+ * Resolve the filter parameters for one axis
+ * @param {Object} options - Simulator options
+ * @param {string} axis - 'x' or 'y'
+ * @returns {Object} {naturalFrequency, dampingRatio}
+ * @throws {Error} If a parameter is not a positive number
+ */
+function axisParameters(options, axis) {
+    const dampingRatio = options.overshoot
+        ? dampingForOvershoot(options.overshoot)
+        : options.dampingRatio ?? DEFAULT_DEFLECTION.dampingRatio;
+    const params = {
+        naturalFrequency: options.naturalFrequency ?? DEFAULT_DEFLECTION.naturalFrequency,
+        dampingRatio,
+        ...options[axis]
+    };
+    for (const [name, value] of Object.entries(params)) {
+        if (!(typeof value === 'number' && value > 0)) {
+            throw new Error(`Deflection ${axis.toUpperCase()} ${name} must be a positive number, got ${value}`);
+        }
+    }
+    return params;
+}
+
+/**
+ * Advance one axis of the filter by dt with the command held constant (RK4)
+ * @param {Object} state - {position, velocity} in units and units/s, updated in place
+ * @param {number} command - Commanded position
+ * @param {Object} params - {naturalFrequency, dampingRatio}
+ * @param {number} dt - Time step in seconds
+ */
+function stepAxis(state, command, params, dt) {
+    const w = params.naturalFrequency;
+    const z = params.dampingRatio;
+    const accel = (p, v) => w * w * (command - p) - 2 * z * w * v;
+
+    const { position: p, velocity: v } = state;
+    const k1p = v, k1v = accel(p, v);
+    const k2p = v + k1v * dt / 2, k2v = accel(p + k1p * dt / 2, v + k1v * dt / 2);
+    const k3p = v + k2v * dt / 2, k3v = accel(p + k2p * dt / 2, v + k2v * dt / 2);
+    const k4p = v + k3v * dt, k4v = accel(p + k3p * dt, v + k3v * dt);
+
+    state.position = p + (k1p + 2 * k2p + 2 * k3p + k4p) * dt / 6;
+    state.velocity = v + (k1v + 2 * k2v + 2 * k3v + k4v) * dt / 6;
+}
+
+/**
+ * Limit an axis velocity to the amplifier slew rate, keeping position consistent
+ * @param {Object} state - {position, velocity} after a filter step, updated in place
+ * @param {number} previous - Position before the step
+ * @param {number} limit - Maximum speed in units/s
+ * @param {number} dt - Time step in seconds
+ * @returns {boolean} True if the step was limited
+ */
+function limitSlew(state, previous, limit, dt) {
+    const travelled = state.position - previous;
+    if (Math.abs(travelled) <= limit * dt && Math.abs(state.velocity) <= limit) return false;
+    state.position = previous + Math.sign(travelled) * Math.min(Math.abs(travelled), limit * dt);
+    state.velocity = Math.sign(state.velocity) * Math.min(Math.abs(state.velocity), limit);
+    return true;
+}
+
+/**
+ * Simulate the beam following a triplet path
+ *
+ * Each triplet is a step command held for one row (100ns); the beam starts at
+ * rest at the origin. The beam state of a sample comes from the row being
+ * executed, so it is on while the beam travels toward a triplet with intensity > 0.
+ *
+ * The non-linear stages in nonlinear.js are off unless their option is given
+ * (DD60_NONLINEARITIES holds the documented values). Points carry a flag for
+ * each enabled stage and trace.stages summarises when each one was active.
+ *
+ * @param {Array} triplets - [x, y, intensity] triplets from implicit origin (0, 0)
+ * @param {Object} options - Simulator options
+ * @param {number} options.timeStepNs - Sample interval in nanoseconds (default: 10)
+ * @param {number} options.settleNs - Extra time simulated after the last row, beam off (default: 0)
+ * @param {number} options.naturalFrequency - ωn in rad/s for both axes (default: 5e6)
+ * @param {number} options.dampingRatio - ζ for both axes (default: 0.75)
+ * @param {Object} options.x - X axis overrides {naturalFrequency, dampingRatio}
+ * @param {Object} options.y - Y axis overrides {naturalFrequency, dampingRatio}
+ * @param {number} options.slewLimit - Slew stage: maximum speed per axis in units/µs
+ * @param {Object} options.saturation - Saturation stage: {center, knee, limit} soft clip
+ * @param {number} options.overshoot - Overshoot stage: step overshoot fraction, sets ζ in place of dampingRatio
+ * @param {Object} options.settling - Settling stage: {jumpThreshold, fullScaleNs} for large jumps
+ * @returns {Object} {points, durationNs, parameters, stages}
+ *          points: [{t, x, y, vx, vy, beam, intensity, row}] with t in ns and velocity in units/µs,
+ *                  plus slewLimited, saturated, overshooting and settling flags for enabled stages
+ *          parameters: {x, y} resolved filter parameters
+ *          stages: {name: {activeSamples, activeNs, firstActiveNs}} for enabled stages
+ * @throws {Error} If the time step or a filter parameter is not positive
+ */
+export function simulateDeflection(triplets, options = {}) {
+    const { timeStepNs = 10, settleNs = 0, slewLimit = null, saturation = null, overshoot = null, settling = null } = options;
+    if (!(timeStepNs > 0)) {
+        throw new Error(`Time step must be a positive number of nanoseconds, got ${timeStepNs}`);
+    }
+
+    const parameters = { x: axisParameters(options, 'x'), y: axisParameters(options, 'y') };
+    const schedule = rowSchedule(triplets, { settling, slewLimit });
+    const pathNs = schedule.length > 0 ? schedule[schedule.length - 1].end : 0;
+    const durationNs = pathNs + settleNs;
+    const dt = timeStepNs * 1e-9;
+    const slewPerSecond = slewLimit ? slewLimit * 1e6 : null;
+
+    const enabled = { slewLimited: slewLimit, saturated: saturation, overshooting: overshoot, settling };
+    const stages = {};
+    const stageNames = { slewLimited: 'slew', saturated: 'saturation', overshooting: 'overshoot', settling: 'settling' };
+    for (const [flag, setting] of Object.entries(enabled)) {
+        if (setting) stages[stageNames[flag]] = { activeSamples: 0, activeNs: 0, firstActiveNs: null };
+    }
+
+    const x = { position: 0, velocity: 0, command: 0, direction: 0 };
+    const y = { position: 0, velocity: 0, command: 0, direction: 0 };
+    const points = [];
+
+    // Row executing at time t; rows only move forward, so the search resumes where it left off
+    let rowIndex = 0;
+    const rowAt = (t, closing) => {
+        if (t > pathNs || (!closing && t === pathNs) || schedule.length === 0) return null;
+        while (rowIndex < schedule.length - 1 &&
+               (closing ? schedule[rowIndex].end < t : schedule[rowIndex].end <= t)) {
+            rowIndex++;
+        }
+        return rowIndex;
+    };
+
+    const sample = (t, row, flags) => {
+        const intensity = row !== null && !schedule[row].blanked ? triplets[row][2] : 0;
+        const point = {
+            t,
+            x: saturation ? softClip(x.position, saturation) : x.position,
+            y: saturation ? softClip(y.position, saturation) : y.position,
+            vx: x.velocity * 1e-6,
+            vy: y.velocity * 1e-6,
+            beam: intensity > 0,
+            intensity,
+            row
+        };
+        for (const flag of Object.keys(enabled)) {
+            if (!enabled[flag]) continue;
+            point[flag] = flags[flag];
+            if (flags[flag]) {
+                const stage = stages[stageNames[flag]];
+                stage.activeSamples++;
+                stage.activeNs += points.length > 0 ? t - points[points.length - 1].t : 0;
+                stage.firstActiveNs ??= t;
+            }
+        }
+        points.push(point);
+    };
+
+    const flagsFor = (row, slewLimited) => ({
+        slewLimited,
+        saturated: Boolean(saturation) &&
+            (softClip(x.position, saturation) !== x.position || softClip(y.position, saturation) !== y.position),
+        overshooting: [x, y].some(axis => axis.direction * (axis.position - axis.command) > 0.01),
+        settling: row !== null && schedule[row].blanked
+    });
+
+    const steps = Math.round(durationNs / timeStepNs);
+    sample(0, rowAt(0, false), flagsFor(rowAt(0, false), false));
+
+    for (let i = 0; i < steps; i++) {
+        const t = i * timeStepNs;
+        const row = rowAt(t, false);
+        const target = row !== null ? triplets[row] : triplets[triplets.length - 1] || [0, 0];
+
+        let slewLimited = false;
+        [[x, target[0], parameters.x], [y, target[1], parameters.y]].forEach(([axis, command, params]) => {
+            if (command !== axis.command) {
+                axis.direction = Math.sign(command - axis.command);
+                axis.command = command;
+            }
+            const previous = axis.position;
+            stepAxis(axis, command, params, dt);
+            if (slewPerSecond && limitSlew(axis, previous, slewPerSecond, dt)) slewLimited = true;
+        });
+
+        // Samples belong to the row they end, so a sample on a row boundary closes that row
+        const end = (i + 1) * timeStepNs;
+        const sampleRow = rowAt(end, true);
+        sample(end, sampleRow, flagsFor(sampleRow, slewLimited));
+    }
+
+    return { points, durationNs, parameters, stages };
+}
+
+/**
+ * Split a simulated trace into beam-on polylines
+ * @param {Object} trace - Result of simulateDeflection
+ * @returns {Array<Array<Array<number>>>} Polylines of [x, y] points, each starting where the beam was before turning on
+ */
+export function traceToPolylines(trace) {
+    const polylines = [];
+    let current = null;
+
+    trace.points.forEach((point, i) => {
+        if (!point.beam) {
+            current = null;
+            return;
+        }
+        if (!current) {
+            const prev = trace.points[Math.max(0, i - 1)];
+            current = [[prev.x, prev.y]];
+            polylines.push(current);
+        }
+        current.push([point.x, point.y]);
+    });
+
+    return polylines;
+}
+
+/**
+ * Theoretical step response overshoot for a damping ratio
+ * @param {number} dampingRatio - ζ
+ * @returns {number} Fractional overshoot (0 when ζ >= 1)
+ */
+export function stepOvershoot(dampingRatio) {
+    if (dampingRatio >= 1) return 0;
+    return Math.exp(-Math.PI * dampingRatio / Math.sqrt(1 - dampingRatio * dampingRatio));
+}
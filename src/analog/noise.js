@@ -0,0 +1,111 @@
+// DD60 Analog Noise Model
+// Seeded, deterministic perturbation of simulated deflection:
+//   - 400Hz power supply jitter (±0.2% of full scale) on both axes
+//   - baseline drift, a slowly wandering vertical offset of about ±0.5 unit
+//   - white noise (~0.1% RMS of full scale)
+// A noise source carries its own time and random state, so each glyph drawn
+// from it is perturbed differently while a fixed seed replays exactly.
+
+import { SCREEN_SIZE } from '../cdcRomFunctions.js';
+
+/**
+ * Default noise parameters in screen units and nanoseconds
+ */
+export const DEFAULT_NOISE = {
+    seed: 1,
+    jitterHz: 400,
+    jitterAmplitude: 0.002 * SCREEN_SIZE,
+    driftRms: 0.25,
+    driftCorrelationNs: 5000,
+    whiteNoiseRms: 0.001 * SCREEN_SIZE
+};
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Generator returning numbers in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Draw a standard normal value (Box-Muller)
+ * @param {Function} random - Generator from createRandom
+ * @returns {number} Normally distributed value with mean 0 and deviation 1
+ */
+function gaussian(random) {
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Create a noise source
+ * @param {Object} options - Noise parameters; any amplitude set to 0 disables that component
+ * @param {number} options.seed - Random seed (default: 1)
+ * @param {number} options.jitterHz - Supply jitter frequency (default: 400)
+ * @param {number} options.jitterAmplitude - Jitter peak in units (default: 1.024, 0.2% of 512)
+ * @param {number} options.driftRms - Vertical baseline drift RMS in units (default: 0.25)
+ * @param {number} options.driftCorrelationNs - Drift correlation time (default: 5000)
+ * @param {number} options.whiteNoiseRms - White noise RMS in units per axis (default: 0.512, 0.1% of 512)
+ * @returns {Object} Noise source {parameters, random, timeNs, phase, drift}
+ */
+export function createNoise(options = {}) {
+    const parameters = { ...DEFAULT_NOISE, ...options };
+    const random = createRandom(parameters.seed);
+    return {
+        parameters,
+        random,
+        timeNs: 0,
+        // Independent X/Y supply phases so the jitter traces a small ellipse rather than a line
+        phase: { x: random() * 2 * Math.PI, y: random() * 2 * Math.PI },
+        drift: gaussian(random) * parameters.driftRms
+    };
+}
+
+/**
+ * Advance a noise source to a time and return the offset there
+ * @param {Object} noise - Noise source from createNoise
+ * @param {number} timeNs - Time to advance to
+ * @returns {Object} {x, y} offset in screen units
+ */
+export function sampleNoise(noise, timeNs) {
+    const { jitterHz, jitterAmplitude, driftRms, driftCorrelationNs, whiteNoiseRms } = noise.parameters;
+    const dt = Math.max(0, timeNs - noise.timeNs);
+
+    // Ornstein-Uhlenbeck step keeps the drift stationary at driftRms for any sample spacing
+    const a = Math.exp(-dt / driftCorrelationNs);
+    noise.drift = noise.drift * a + Math.sqrt(1 - a * a) * driftRms * gaussian(noise.random);
+    noise.timeNs = Math.max(noise.timeNs, timeNs);
+
+    const angle = 2 * Math.PI * jitterHz * timeNs * 1e-9;
+    return {
+        x: jitterAmplitude * Math.sin(angle + noise.phase.x) + whiteNoiseRms * gaussian(noise.random),
+        y: jitterAmplitude * Math.sin(angle + noise.phase.y) + noise.drift + whiteNoiseRms * gaussian(noise.random)
+    };
+}
+
+/**
+ * Perturb a simulated beam trace
+ * @param {Object} trace - Result of simulateDeflection or applyBrightness
+ * @param {Object} noise - Noise source from createNoise; advanced by the trace duration
+ * @param {Object} options - Noise options
+ * @param {number} options.startNs - Noise time of the trace's t = 0 (default: noise.timeNs)
+ * @returns {Object} Trace copy with perturbed x, y and the applied {noiseX, noiseY} per point
+ */
+export function applyNoise(trace, noise, options = {}) {
+    const { startNs = noise.timeNs } = options;
+    const points = trace.points.map(point => {
+        const offset = sampleNoise(noise, startNs + point.t);
+        return { ...point, x: point.x + offset.x, y: point.y + offset.y, noiseX: offset.x, noiseY: offset.y };
+    });
+    return { ...trace, points };
+}
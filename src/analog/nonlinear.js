@@ -0,0 +1,95 @@
+// DD60 Deflection Non-Linearities
+// Optional stages for simulateDeflection beyond the linear low-pass model:
+//   - slew: amplifier output rate limited to about 80 units/µs
+//   - saturation: soft clipping as the deflection nears the edge of its range
+//   - overshoot: damping chosen to give a 5-8% overshoot on steps
+//   - settling: large jumps are blanked and held until the beam has settled,
+//     about 500ns for a full-scale step
+
+import { ROW_DURATION_NS, SCREEN_SIZE } from '../cdcRomFunctions.js';
+
+/**
+ * Stage settings from the DD60 emulation guidelines
+ * Pass as simulateDeflection options, individually or all together.
+ */
+export const DD60_NONLINEARITIES = {
+    slewLimit: 80,                                      // units/µs per axis
+    saturation: {
+        center: SCREEN_SIZE / 2,
+        knee: SCREEN_SIZE / 2 * 450 / 512,              // ±450 of ±512 full scale
+        limit: SCREEN_SIZE / 2
+    },
+    overshoot: 0.065,                                   // 5-8%
+    settling: {
+        jumpThreshold: 100,                             // units; larger jumps are blanked
+        fullScaleNs: 500                                // settling time for a 512 unit jump
+    }
+};
+
+/**
+ * Damping ratio that gives a step response overshoot
+ * @param {number} overshoot - Fractional overshoot, e.g. 0.065
+ * @returns {number} ζ
+ * @throws {Error} If overshoot is not between 0 and 1
+ */
+export function dampingForOvershoot(overshoot) {
+    if (!(overshoot > 0 && overshoot < 1)) {
+        throw new Error(`Overshoot must be between 0 and 1, got ${overshoot}`);
+    }
+    const log = Math.log(overshoot);
+    return -log / Math.sqrt(Math.PI * Math.PI + log * log);
+}
+
+/**
+ * Soft-clip a deflection position
+ * Linear up to the knee, then compressed smoothly toward the limit.
+ * @param {number} position - Position in screen units
+ * @param {Object} saturation - {center, knee, limit} with knee and limit measured from center
+ * @returns {number} Clipped position
+ */
+export function softClip(position, saturation) {
+    const { center, knee, limit } = saturation;
+    const offset = position - center;
+    const magnitude = Math.abs(offset);
+    if (magnitude <= knee) return position;
+    const range = limit - knee;
+    return center + Math.sign(offset) * (knee + range * Math.tanh((magnitude - knee) / range));
+}
+
+/**
+ * Build the row timing for a triplet path
+ * Without a settling stage every row lasts 100ns. With one, a row whose
+ * command jumps further than jumpThreshold on either axis is blanked and held
+ * long enough to slew and settle.
+ *
+ * @param {Array} triplets - [x, y, intensity] triplets from implicit origin (0, 0)
+ * @param {Object} options - Stage options
+ * @param {Object} options.settling - {jumpThreshold, fullScaleNs}, or null for fixed rows
+ * @param {number} options.slewLimit - Slew limit in units/µs, or null
+ * @returns {Array<Object>} [{start, end, blanked}] per row in nanoseconds
+ */
+export function rowSchedule(triplets, options = {}) {
+    const { settling = null, slewLimit = null } = options;
+    const rows = [];
+    let time = 0;
+    let prevX = 0, prevY = 0;
+
+    for (const [x, y] of triplets) {
+        const jump = Math.max(Math.abs(x - prevX), Math.abs(y - prevY));
+        let duration = ROW_DURATION_NS;
+        let blanked = false;
+
+        if (settling && jump > settling.jumpThreshold) {
+            const slewNs = slewLimit ? jump / slewLimit * 1000 : 0;
+            duration = Math.max(ROW_DURATION_NS, slewNs + settling.fullScaleNs * jump / SCREEN_SIZE);
+            blanked = true;
+        }
+
+        rows.push({ start: time, end: time + duration, blanked });
+        time += duration;
+        prevX = x;
+        prevY = y;
+    }
+
+    return rows;
+}
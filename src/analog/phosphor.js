@@ -0,0 +1,159 @@
+// DD60 Phosphor Persistence
+// Floating-point phosphor buffer that accumulates beam energy and decays
+// exponentially (P31, τ ≈ 1ms), so refresh frames can be played back in time
+//
+// Decay is applied lazily: deposits are stored relative to a reference time
+// and the whole buffer is only rescaled when that reference gets stale, so
+// each sample costs one pixel update however large the screen.
+
+import { ROW_DURATION_NS, SCREEN_SIZE } from '../cdcRomFunctions.js';
+
+/**
+ * P31 phosphor decay time constant in nanoseconds
+ */
+export const P31_TAU_NS = 1e6;
+
+/**
+ * Time constants between buffer rescales, keeping stored values in float range
+ */
+const REBASE_TAUS = 20;
+
+/**
+ * Create an empty phosphor buffer
+ * @param {Object} options - Phosphor options
+ * @param {number} options.width - Width in pixels (default: 512)
+ * @param {number} options.height - Height in pixels (default: 512)
+ * @param {number} options.tauNs - Decay time constant in nanoseconds (default: 1ms)
+ * @returns {Object} Phosphor state {width, height, tauNs, timeNs, referenceNs, buffer}
+ * @throws {Error} If the size or time constant is not positive
+ */
+export function createPhosphor(options = {}) {
+    const { width = SCREEN_SIZE, height = SCREEN_SIZE, tauNs = P31_TAU_NS } = options;
+    if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+        throw new Error(`Phosphor size must be positive integers, got ${width}×${height}`);
+    }
+    if (!(tauNs > 0)) {
+        throw new Error(`Phosphor time constant must be positive, got ${tauNs}`);
+    }
+    return { width, height, tauNs, timeNs: 0, referenceNs: 0, buffer: new Float32Array(width * height) };
+}
+
+/**
+ * Move the reference time forward, applying the pending decay to the buffer
+ * @param {Object} phosphor - Phosphor state
+ * @param {number} timeNs - New reference time
+ */
+function rebase(phosphor, timeNs) {
+    const factor = Math.exp(-(timeNs - phosphor.referenceNs) / phosphor.tauNs);
+    for (let i = 0; i < phosphor.buffer.length; i++) {
+        phosphor.buffer[i] *= factor;
+    }
+    phosphor.referenceNs = timeNs;
+}
+
+/**
+ * Deposit beam energy at a point and time
+ * Pixel (0, 0) is the bottom-left screen corner; points off the buffer are ignored.
+ * @param {Object} phosphor - Phosphor state
+ * @param {number} x - X in pixels
+ * @param {number} y - Y in pixels
+ * @param {number} energy - Energy to add (1 = one 100ns row at base brightness)
+ * @param {number} timeNs - Time of the deposit
+ */
+export function depositEnergy(phosphor, x, y, energy, timeNs) {
+    const px = Math.round(x);
+    const py = phosphor.height - 1 - Math.round(y);
+    if (px < 0 || px >= phosphor.width || py < 0 || py >= phosphor.height || energy <= 0) return;
+
+    if ((timeNs - phosphor.referenceNs) / phosphor.tauNs > REBASE_TAUS) {
+        rebase(phosphor, timeNs);
+    }
+    phosphor.buffer[py * phosphor.width + px] += energy * Math.exp((timeNs - phosphor.referenceNs) / phosphor.tauNs);
+    phosphor.timeNs = Math.max(phosphor.timeNs, timeNs);
+}
+
+/**
+ * Accumulate one pass of a beam trace
+ * Samples use their energy from applyBrightness, or one unit per beam-on row (scaled by
+ * the applyZAxis beam level) without it.
+ * @param {Object} phosphor - Phosphor state
+ * @param {Object} trace - Result of simulateDeflection or applyBrightness
+ * @param {Object} options - Accumulation options
+ * @param {number} options.startNs - Phosphor time of the trace's t = 0 (default: phosphor.timeNs)
+ * @param {number} options.untilNs - Stop depositing after this phosphor time (default: Infinity)
+ * @param {number} options.scale - Pixels per screen unit (default: 1)
+ * @returns {Object} The same phosphor, with timeNs at the end of the pass or untilNs
+ */
+export function accumulateTrace(phosphor, trace, options = {}) {
+    const { startNs = phosphor.timeNs, untilNs = Infinity, scale = 1 } = options;
+
+    trace.points.forEach((point, i) => {
+        const timeNs = startNs + point.t;
+        if (timeNs > untilNs) return;
+        const interval = i > 0 ? point.t - trace.points[i - 1].t : 0;
+        const energy = point.energy ?? (point.beam ? (point.z ?? 1) * interval / ROW_DURATION_NS : 0);
+        depositEnergy(phosphor, point.x * scale, point.y * scale, energy, timeNs);
+    });
+
+    phosphor.timeNs = Math.max(phosphor.timeNs, Math.min(startNs + trace.durationNs, untilNs));
+    return phosphor;
+}
+
+/**
+ * Accumulate several refresh frames of the same trace
+ * @param {Object} phosphor - Phosphor state
+ * @param {Object} trace - Result of simulateDeflection or applyBrightness
+ * @param {Object} options - Frame options
+ * @param {number} options.frames - Number of refresh frames (default: 1)
+ * @param {number} options.framePeriodNs - Time from one frame start to the next (default: trace.durationNs)
+ * @param {number} options.untilNs - Stop depositing after this phosphor time, e.g. mid-refresh (default: Infinity)
+ * @param {number} options.scale - Pixels per screen unit (default: 1)
+ * @returns {Object} The same phosphor, with timeNs at the end of the last frame period or untilNs
+ */
+export function accumulateFrames(phosphor, trace, options = {}) {
+    const { frames = 1, framePeriodNs = trace.durationNs, untilNs = Infinity, scale = 1 } = options;
+    if (framePeriodNs < trace.durationNs) {
+        throw new Error(`Frame period ${framePeriodNs}ns is shorter than the trace (${trace.durationNs}ns)`);
+    }
+
+    const beginNs = phosphor.timeNs;
+    for (let frame = 0; frame < frames; frame++) {
+        const startNs = beginNs + frame * framePeriodNs;
+        if (startNs > untilNs) break;
+        accumulateTrace(phosphor, trace, { startNs, untilNs, scale });
+    }
+
+    phosphor.timeNs = Math.max(phosphor.timeNs, Math.min(beginNs + frames * framePeriodNs, untilNs));
+    return phosphor;
+}
+
+/**
+ * Decay a brightness trace to the end of its own pass
+ * A single render is a snapshot taken when the beam finishes, so earlier samples
+ * have already faded by exp(-(atNs - t) / τ). Energy is left as deposited, since
+ * accumulateTrace applies the decay itself.
+ * @param {Object} trace - Result of applyBrightness
+ * @param {Object} options - Persistence options
+ * @param {number} options.tauNs - Decay time constant in nanoseconds (default: 1ms)
+ * @param {number} options.atNs - Trace time of the snapshot (default: trace.durationNs)
+ * @returns {Object} Trace copy with decayed brightness
+ */
+export function applyPersistence(trace, options = {}) {
+    const { tauNs = P31_TAU_NS, atNs = trace.durationNs } = options;
+    const points = trace.points.map(point => ({
+        ...point,
+        brightness: point.brightness * Math.exp(-Math.max(atNs - point.t, 0) / tauNs)
+    }));
+    return { ...trace, points };
+}
+
+/**
+ * Read phosphor luminance at a point in time
+ * @param {Object} phosphor - Phosphor state
+ * @param {number} atNs - Time to read at, no earlier than the last deposit (default: phosphor.timeNs)
+ * @returns {Float32Array} Luminance per pixel, rows top to bottom
+ */
+export function readPhosphor(phosphor, atNs = phosphor.timeNs) {
+    const factor = Math.exp(-(atNs - phosphor.referenceNs) / phosphor.tauNs);
+    return phosphor.buffer.map(value => value * factor);
+}
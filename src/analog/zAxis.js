@@ -0,0 +1,105 @@
+// DD60 Z-Axis (Beam Unblank) Model
+// The unblank amplifier has its own bandwidth, separate from X/Y deflection,
+// and turns the beam on faster than it turns it off. Stroke starts are sharp,
+// stroke ends fade, and short beam-off moves leave faint ghost trails.
+//
+// Modelled as a first-order lag with asymmetric time constants:
+//   z → target with τ = riseNs while rising and τ = fallNs while falling
+
+import { ROW_DURATION_NS } from '../cdcRomFunctions.js';
+
+/**
+ * Default Z-axis time constants in nanoseconds
+ */
+export const DEFAULT_Z_AXIS = {
+    riseNs: 15,
+    fallNs: 40
+};
+
+/**
+ * Beam level below which a sample is treated as dark
+ */
+export const Z_VISIBLE_THRESHOLD = 0.01;
+
+/**
+ * Resolve and check Z-axis options
+ * @param {Object} options - {riseNs, fallNs}
+ * @returns {Object} {riseNs, fallNs}
+ * @throws {Error} If a time constant is not positive
+ */
+function zParameters(options) {
+    const params = { ...DEFAULT_Z_AXIS, ...options };
+    for (const name of ['riseNs', 'fallNs']) {
+        if (!(params[name] > 0)) {
+            throw new Error(`Z-axis ${name} must be a positive number of nanoseconds, got ${params[name]}`);
+        }
+    }
+    return params;
+}
+
+/**
+ * Advance the beam level toward a target over an interval
+ * @param {number} z - Beam level at the start of the interval
+ * @param {number} target - Commanded level
+ * @param {number} dtNs - Interval in nanoseconds
+ * @param {Object} params - {riseNs, fallNs}
+ * @returns {number} Beam level at the end of the interval
+ */
+function stepZ(z, target, dtNs, params) {
+    const tau = target > z ? params.riseNs : params.fallNs;
+    return target + (z - target) * Math.exp(-dtNs / tau);
+}
+
+/**
+ * Filter a per-row beam-state track
+ * @param {Array<boolean|number>} beamStates - Beam state per 100ns row, e.g. binaryToVector(data).map(p => p[2])
+ * @param {Object} options - Z-axis options
+ * @param {number} options.riseNs - Turn-on time constant (default: 15)
+ * @param {number} options.fallNs - Turn-off time constant (default: 40)
+ * @param {number} options.timeStepNs - Sample interval in nanoseconds (default: 10)
+ * @returns {Array<Object>} [{t, row, target, z}] samples from t = 0 to the end of the last row
+ */
+export function filterBeamTrack(beamStates, options = {}) {
+    const { timeStepNs = 10, ...zOptions } = options;
+    const params = zParameters(zOptions);
+    const durationNs = beamStates.length * ROW_DURATION_NS;
+    const samples = [];
+    let z = 0;
+
+    samples.push({ t: 0, row: beamStates.length > 0 ? 0 : null, target: Number(beamStates[0] ?? 0), z });
+    const steps = Math.round(durationNs / timeStepNs);
+    for (let i = 1; i <= steps; i++) {
+        const t = i * timeStepNs;
+        const row = Math.min(beamStates.length - 1, Math.ceil(t / ROW_DURATION_NS) - 1);
+        const target = Number(beamStates[row]);
+        z = stepZ(z, target, timeStepNs, params);
+        samples.push({ t, row, target, z });
+    }
+
+    return samples;
+}
+
+/**
+ * Apply the Z-axis model to a simulated beam trace
+ * Each point gets its beam level z; beam becomes true wherever the beam is
+ * still visibly lit, so fading stroke ends and ghost trails reach the later stages.
+ * applyBrightness and the phosphor scale their energy by z.
+ *
+ * @param {Object} trace - Result of simulateDeflection
+ * @param {Object} options - Z-axis options (see filterBeamTrack)
+ * @returns {Object} Trace copy whose points also carry {z, unblank}, unblank being the commanded state
+ */
+export function applyZAxis(trace, options = {}) {
+    const params = zParameters(options);
+    let z = 0;
+
+    const points = trace.points.map((point, i) => {
+        const target = point.intensity > 0 ? point.intensity : 0;
+        if (i > 0) {
+            z = stepZ(z, target, point.t - trace.points[i - 1].t, params);
+        }
+        return { ...point, unblank: point.beam, z, beam: z > Z_VISIBLE_THRESHOLD };
+    });
+
+    return { ...trace, points };
+}
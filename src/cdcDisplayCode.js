@@ -0,0 +1,106 @@
+// CDC Display Code Character Set
+// Maps 6-bit CDC display codes (00-77 octal) to ROM keys, names and ASCII equivalents
+
+import { getRom } from './cdcRomRegistry.js';
+
+// [code, ascii, symbol, name] - symbol is the glyph printed in CDC documentation
+// ROM keys use the ASCII equivalent so every key can be typed
+const DISPLAY_CODE_TABLE = [
+    [0o00, ':', ':', 'COLON'],
+    ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('').map((c, i) => [0o01 + i, c, c, `LETTER ${c}`]),
+    ...'0123456789'.split('').map((c, i) => [0o33 + i, c, c, `DIGIT ${c}`]),
+    [0o45, '+', '+', 'PLUS'],
+    [0o46, '-', '-', 'MINUS'],
+    [0o47, '*', '*', 'ASTERISK'],
+    [0o50, '/', '/', 'SLASH'],
+    [0o51, '(', '(', 'LEFT PARENTHESIS'],
+    [0o52, ')', ')', 'RIGHT PARENTHESIS'],
+    [0o53, '$', '$', 'DOLLAR'],
+    [0o54, '=', '=', 'EQUALS'],
+    [0o55, ' ', ' ', 'BLANK'],
+    [0o56, ',', ',', 'COMMA'],
+    [0o57, '.', '.', 'PERIOD'],
+    [0o60, '#', '≡', 'IDENTITY'],
+    [0o61, '[', '[', 'LEFT BRACKET'],
+    [0o62, ']', ']', 'RIGHT BRACKET'],
+    [0o63, '%', '%', 'PERCENT'],
+    [0o64, '"', '≠', 'NOT EQUAL'],
+    [0o65, '_', '→', 'RIGHT ARROW'],
+    [0o66, '!', '∨', 'LOGICAL OR'],
+    [0o67, '&', '∧', 'LOGICAL AND'],
+    [0o70, "'", '↑', 'UP ARROW'],
+    [0o71, '?', '↓', 'DOWN ARROW'],
+    [0o72, '<', '<', 'LESS THAN'],
+    [0o73, '>', '>', 'GREATER THAN'],
+    [0o74, '@', '≤', 'LESS THAN OR EQUAL'],
+    [0o75, '\\', '≥', 'GREATER THAN OR EQUAL'],
+    [0o76, '^', '¬', 'LOGICAL NOT'],
+    [0o77, ';', ';', 'SEMICOLON']
+];
+
+/**
+ * Display code entries indexed by 6-bit code
+ * Each entry: {code, octal, romKey, ascii, symbol, name}
+ */
+export const DISPLAY_CODES = DISPLAY_CODE_TABLE.map(([code, ascii, symbol, name]) => ({
+    code,
+    octal: code.toString(8).padStart(2, '0'),
+    romKey: ascii,
+    ascii,
+    symbol,
+    name
+}));
+
+/**
+ * Get the display code entry for a 6-bit code
+ * @param {number} code - Display code (0-63, usually written in octal 00-77)
+ * @returns {Object|null} Entry {code, octal, romKey, ascii, symbol, name} or null if out of range
+ */
+export function getDisplayCode(code) {
+    if (!Number.isInteger(code) || code < 0 || code >= DISPLAY_CODES.length) {
+        return null;
+    }
+    return DISPLAY_CODES[code];
+}
+
+/**
+ * Get the ROM key for a 6-bit display code
+ * @param {number} code - Display code
+ * @returns {string|null} ROM key or null if out of range
+ */
+export function displayCodeToRomKey(code) {
+    const entry = getDisplayCode(code);
+    return entry ? entry.romKey : null;
+}
+
+/**
+ * Find the display code for a character
+ * Accepts either the ROM key / ASCII equivalent or the CDC symbol (e.g. '≡')
+ * @param {string} char - Character to look up
+ * @returns {number|null} Display code or null if the character is not in the set
+ */
+export function getDisplayCodeForChar(char) {
+    const entry = DISPLAY_CODES.find(e => e.romKey === char || e.symbol === char);
+    return entry ? entry.code : null;
+}
+
+/**
+ * Get ROM keys in display code order, limited to characters the ROM defines
+ * This is the canonical character order for viewers and test patterns.
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Array<string>} ROM keys ordered by display code
+ */
+export function getCharacterOrder(rom) {
+    const romData = getRom(rom);
+    return DISPLAY_CODES.filter(e => romData[e.romKey]).map(e => e.romKey);
+}
+
+/**
+ * Get display codes that have no glyph in the ROM yet
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Array<Object>} Display code entries without a ROM glyph
+ */
+export function getMissingGlyphs(rom) {
+    const romData = getRom(rom);
+    return DISPLAY_CODES.filter(e => !romData[e.romKey]);
+}
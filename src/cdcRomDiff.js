@@ -0,0 +1,178 @@
+// CDC 6602 ROM Diff
+// Compares two character ROMs in cdcRomBinary shape row by row and stroke by stroke
+
+import { binaryToVector, getTimingLabel } from './cdcRomFunctions.js';
+import { getCharacterOrder } from './cdcDisplayCode.js';
+import { getRom } from './cdcRomRegistry.js';
+import { gcd } from './cdcRomEncoder.js';
+
+// Flag names with their bit position in 0bV1V2H1H2U
+const FLAG_BITS = [['V1', 4], ['V2', 3], ['H1', 2], ['H2', 1], ['U', 0]];
+
+/**
+ * Names of the flags that differ between two binary control values
+ * @param {number} before - Binary value (0bV1V2H1H2U)
+ * @param {number} after - Binary value (0bV1V2H1H2U)
+ * @returns {Array<string>} Changed flag names, e.g. ['V1', 'U']
+ */
+export function changedFlags(before, after) {
+    const diff = before ^ after;
+    return FLAG_BITS.filter(([, bit]) => (diff >> bit) & 1).map(([name]) => name);
+}
+
+/**
+ * Reduce a decoded glyph to the geometry the beam actually lights
+ * Beam-on moves are split into primitive lattice steps so the same stroke
+ * drawn in a different order, direction or row split compares equal.
+ * Beam-on points not covered by any stroke are kept as dots.
+ *
+ * @param {Array} vectorData - Array of [x, y, beam] points
+ * @returns {Object} {strokes: Map<key, {x1, y1, x2, y2}>, dots: Map<key, {x, y}>}
+ */
+export function getStrokeGeometry(vectorData) {
+    const strokes = new Map();
+    const points = [];
+    let prevX = 0, prevY = 0;
+
+    for (const [x, y, beam] of vectorData) {
+        if (beam) {
+            const dx = x - prevX;
+            const dy = y - prevY;
+
+            if (dx === 0 && dy === 0) {
+                points.push([x, y]);
+            } else {
+                const g = gcd(Math.abs(dx), Math.abs(dy));
+                for (let i = 0; i < g; i++) {
+                    const x1 = prevX + (dx / g) * i;
+                    const y1 = prevY + (dy / g) * i;
+                    const x2 = x1 + dx / g;
+                    const y2 = y1 + dy / g;
+
+                    // Undirected key: lower endpoint first
+                    const forward = x1 < x2 || (x1 === x2 && y1 < y2);
+                    const stroke = forward ? { x1, y1, x2, y2 } : { x1: x2, y1: y2, x2: x1, y2: y1 };
+                    strokes.set(`${stroke.x1}:${stroke.y1}-${stroke.x2}:${stroke.y2}`, stroke);
+                }
+            }
+        }
+        prevX = x;
+        prevY = y;
+    }
+
+    const covered = new Set();
+    for (const s of strokes.values()) {
+        covered.add(`${s.x1}:${s.y1}`);
+        covered.add(`${s.x2}:${s.y2}`);
+    }
+
+    const dots = new Map();
+    for (const [x, y] of points) {
+        const key = `${x}:${y}`;
+        if (!covered.has(key)) dots.set(key, { x, y });
+    }
+
+    return { strokes, dots };
+}
+
+/**
+ * Split two keyed maps into removed, added and common entries
+ */
+function compareMaps(before, after) {
+    return {
+        removed: [...before].filter(([key]) => !after.has(key)).map(([, value]) => value),
+        added: [...after].filter(([key]) => !before.has(key)).map(([, value]) => value),
+        common: [...after].filter(([key]) => before.has(key)).map(([, value]) => value)
+    };
+}
+
+/**
+ * Compare one character between two ROM versions
+ *
+ * Status is one of:
+ *   'added'     - only in the new ROM
+ *   'removed'   - only in the old ROM
+ *   'visual'    - the lit strokes or dots differ
+ *   'encoding'  - rows differ but the glyph draws the same strokes
+ *   'unchanged' - identical tables
+ *
+ * @param {string} char - Character key
+ * @param {Array<number>|undefined} oldBinary - Table from the old ROM
+ * @param {Array<number>|undefined} newBinary - Table from the new ROM
+ * @returns {Object} {char, status, rows, strokes: {added, removed, common}, dots: {added, removed, common},
+ *                    oldPath, newPath}
+ *          rows: [{row, label, before, after, flags}] for each differing row,
+ *          with before/after null where a table is shorter
+ */
+export function diffCharacter(char, oldBinary, newBinary) {
+    const oldRows = oldBinary || [];
+    const newRows = newBinary || [];
+    const rows = [];
+
+    for (let i = 0; i < Math.max(oldRows.length, newRows.length); i++) {
+        const before = i < oldRows.length ? oldRows[i] : null;
+        const after = i < newRows.length ? newRows[i] : null;
+
+        if (before !== after) {
+            rows.push({
+                row: i,
+                label: getTimingLabel(i),
+                before,
+                after,
+                flags: changedFlags(before || 0, after || 0)
+            });
+        }
+    }
+
+    const oldPath = binaryToVector(oldRows);
+    const newPath = binaryToVector(newRows);
+    const oldGeometry = getStrokeGeometry(oldPath);
+    const newGeometry = getStrokeGeometry(newPath);
+    const strokes = compareMaps(oldGeometry.strokes, newGeometry.strokes);
+    const dots = compareMaps(oldGeometry.dots, newGeometry.dots);
+
+    let status;
+    if (!oldBinary) {
+        status = 'added';
+    } else if (!newBinary) {
+        status = 'removed';
+    } else if (strokes.added.length || strokes.removed.length || dots.added.length || dots.removed.length) {
+        status = 'visual';
+    } else if (rows.length > 0) {
+        status = 'encoding';
+    } else {
+        status = 'unchanged';
+    }
+
+    return { char, status, rows, strokes, dots, oldPath, newPath };
+}
+
+/**
+ * Compare two ROM versions
+ * Characters are visited in display code order, followed by any keys outside the character set.
+ *
+ * @param {string|Object} oldHandle - Old ROM: registered name or ROM object
+ * @param {string|Object} newHandle - New ROM: registered name or ROM object
+ * @returns {Object} {visual, encoding, added, removed, unchanged}
+ *          Arrays of diffCharacter results grouped by status, and the count of unchanged characters
+ */
+export function diffRoms(oldHandle, newHandle) {
+    const oldRom = getRom(oldHandle);
+    const newRom = getRom(newHandle);
+    const allKeys = { ...oldRom, ...newRom };
+    const ordered = getCharacterOrder(allKeys);
+    const chars = [...ordered, ...Object.keys(allKeys).filter(c => !ordered.includes(c))];
+
+    const result = { visual: [], encoding: [], added: [], removed: [], unchanged: 0 };
+
+    for (const char of chars) {
+        const diff = diffCharacter(char, oldRom[char], newRom[char]);
+        if (diff.status === 'unchanged') {
+            result.unchanged++;
+        } else {
+            result[diff.status].push(diff);
+        }
+    }
+
+    return result;
+}
@@ -0,0 +1,237 @@
+// CDC 6602 ROM Encoder
+// Converts [x, y, beam] vector paths back to 6602 binary control words (0bV1V2H1H2U)
+// Inverse of binaryToVector: inserts direction toggles, splits long moves and
+// emits beam toggles so the path can be stored in a character table
+
+import { binaryToVector, TIMING_LABELS } from './cdcRomFunctions.js';
+
+// Flag bits for each axis: move 1, move 2, toggle direction
+const AXIS_BITS = {
+    V: { one: 0b10000, two: 0b01000, toggle: 0b11000 },
+    H: { one: 0b00100, two: 0b00010, toggle: 0b00110 }
+};
+const U_BIT = 0b00001;
+
+/**
+ * Greatest common divisor of two non-negative integers
+ * @param {number} a - First integer
+ * @param {number} b - Second integer
+ * @returns {number} Greatest common divisor
+ */
+export function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+/**
+ * Split a move into per-row steps of at most 2 units on each axis
+ * Beam-on moves are split along the straight line so the stroke stays straight;
+ * beam-off moves may take a staircase since blanked travel is not visible.
+ *
+ * @param {number} dx - Horizontal displacement
+ * @param {number} dy - Vertical displacement
+ * @param {boolean} beamOn - Beam state during the move
+ * @returns {Array<Array<number>>|null} Array of [stepX, stepY], or null if a
+ *          beam-on move cannot be drawn as a straight 6602 stroke
+ */
+function splitMove(dx, dy, beamOn) {
+    const steps = [];
+    if (dx === 0 && dy === 0) return steps;
+
+    const g = gcd(Math.abs(dx), Math.abs(dy));
+    const px = dx / g;
+    const py = dy / g;
+
+    if (Math.abs(px) <= 2 && Math.abs(py) <= 2) {
+        // Pack as many primitive steps per row as the 2-unit limit allows
+        const perRow = Math.floor(2 / Math.max(Math.abs(px), Math.abs(py)));
+        for (let remaining = g; remaining > 0; remaining -= perRow) {
+            const k = Math.min(perRow, remaining);
+            steps.push([px * k, py * k]);
+        }
+        return steps;
+    }
+
+    if (beamOn) {
+        return null;
+    }
+
+    let remX = dx;
+    let remY = dy;
+    while (remX !== 0 || remY !== 0) {
+        const stepX = Math.sign(remX) * Math.min(2, Math.abs(remX));
+        const stepY = Math.sign(remY) * Math.min(2, Math.abs(remY));
+        steps.push([stepX, stepY]);
+        remX -= stepX;
+        remY -= stepY;
+    }
+    return steps;
+}
+
+/**
+ * Encode a vector path as CDC 6602 binary control words
+ *
+ * Decoding the result with binaryToVector gives a path equivalent to the input
+ * (see simplifyPath): extra rows only add direction toggles, dwells and
+ * intermediate points along the original strokes.
+ *
+ * @param {Array} vectorData - Array of [x, y, beam] points, starting from implicit origin (0, 0)
+ * @param {Object} options - Encoding options
+ * @param {boolean} options.pad - Pad a fitting result with empty rows to the full table (default: true)
+ * @returns {Object} {binaryData, rowCount, fits, overflow}
+ *          rowCount: rows needed before padding
+ *          fits: true if the path fits the 23-row (T=76 through T=25) budget
+ *          overflow: rows beyond the budget (0 when it fits)
+ * @throws {Error} If a beam-on stroke cannot be drawn straight with 1/2 unit steps
+ */
+export function encodeVectorPath(vectorData, options = {}) {
+    const { pad = true } = options;
+
+    const rows = [];
+    let currentX = 0;
+    let currentY = 0;
+    let beamOn = false;
+    const direction = { H: 1, V: 1 };
+
+    /**
+     * Flip an axis direction, merging the toggle into the previous row when
+     * that row leaves the axis idle
+     */
+    function toggleDirection(axis) {
+        const bits = AXIS_BITS[axis];
+        const last = rows.length - 1;
+
+        if (last >= 0 && (rows[last] & bits.toggle) === 0) {
+            rows[last] |= bits.toggle;
+        } else {
+            rows.push(bits.toggle);
+        }
+        direction[axis] = -direction[axis];
+    }
+
+    /**
+     * Encode the movement of one axis for a single row
+     */
+    function axisBits(axis, step) {
+        const distance = Math.abs(step);
+        if (distance === 0) return 0;
+        return distance === 1 ? AXIS_BITS[axis].one : AXIS_BITS[axis].two;
+    }
+
+    vectorData.forEach(([x, y, beam], index) => {
+        const targetBeam = Boolean(beam);
+        const steps = splitMove(x - currentX, y - currentY, targetBeam);
+
+        if (steps === null) {
+            throw new Error(`Point ${index}: beam-on stroke from (${currentX}, ${currentY}) to (${x}, ${y}) cannot be drawn straight with 1 and 2 unit steps`);
+        }
+
+        // Zero-length move: beam toggle or dwell in place
+        if (steps.length === 0) {
+            rows.push(targetBeam !== beamOn ? U_BIT : 0);
+            beamOn = targetBeam;
+            return;
+        }
+
+        steps.forEach(([stepX, stepY], i) => {
+            if (stepX !== 0 && Math.sign(stepX) !== direction.H) toggleDirection('H');
+            if (stepY !== 0 && Math.sign(stepY) !== direction.V) toggleDirection('V');
+
+            let binary = axisBits('V', stepY) | axisBits('H', stepX);
+
+            // Beam toggles with the first row of the move so the whole stroke is drawn
+            if (i === 0 && targetBeam !== beamOn) {
+                binary |= U_BIT;
+                beamOn = targetBeam;
+            }
+
+            rows.push(binary);
+        });
+
+        currentX = x;
+        currentY = y;
+    });
+
+    const budget = TIMING_LABELS.length;
+    const rowCount = rows.length;
+    const fits = rowCount <= budget;
+
+    if (fits && pad) {
+        while (rows.length < budget) rows.push(0);
+    }
+
+    return {
+        binaryData: rows,
+        rowCount,
+        fits,
+        overflow: Math.max(0, rowCount - budget)
+    };
+}
+
+/**
+ * Encode triplet data as CDC 6602 binary control words
+ * @param {Array} triplets - Array of [x, y, intensity] triplets
+ * @param {Object} options - Encoding options (see encodeVectorPath)
+ * @returns {Object} {binaryData, rowCount, fits, overflow}
+ */
+export function encodeTriplets(triplets, options = {}) {
+    return encodeVectorPath(triplets.map(([x, y, intensity]) => [x, y, intensity > 0]), options);
+}
+
+/**
+ * Reduce a vector path to its visible geometry for comparison
+ * Removes repeated points with unchanged beam (dwells and toggle rows),
+ * intermediate blanked points, and beam-on points lying straight along a stroke.
+ *
+ * @param {Array} vectorData - Array of [x, y, beam] points
+ * @returns {Array} Simplified array of [x, y, beam] points
+ */
+export function simplifyPath(vectorData) {
+    const result = [];
+    let prev = [0, 0, false];
+
+    for (const [x, y, beam] of vectorData) {
+        const point = [x, y, Boolean(beam)];
+
+        // Same position and beam state: no visible change
+        if (point[0] === prev[0] && point[1] === prev[1] && point[2] === prev[2]) {
+            continue;
+        }
+
+        if (result.length > 0) {
+            const last = result[result.length - 1];
+            const before = result.length > 1 ? result[result.length - 2] : [0, 0, false];
+
+            // Consecutive blanked moves: only the final position matters
+            const bothOff = !last[2] && !point[2];
+
+            // Consecutive beam-on moves continuing in a straight line
+            const ax = last[0] - before[0], ay = last[1] - before[1];
+            const bx = point[0] - last[0], by = point[1] - last[1];
+            const straight = last[2] && point[2] &&
+                             ax * by - ay * bx === 0 && ax * bx + ay * by > 0;
+
+            if (bothOff || straight) {
+                result.pop();
+            }
+        }
+
+        result.push(point);
+        prev = point;
+    }
+
+    return result;
+}
+
+/**
+ * Check that binary data decodes to a path equivalent to the given vector path
+ * @param {Array<number>} binaryData - Array of binary control values
+ * @param {Array} vectorData - Array of [x, y, beam] points
+ * @returns {boolean} True if both describe the same visible path
+ */
+export function decodesToPath(binaryData, vectorData) {
+    const decoded = simplifyPath(binaryToVector(binaryData));
+    const expected = simplifyPath(vectorData);
+
+    return decoded.length === expected.length &&
+           decoded.every((point, i) => point.every((value, j) => value === expected[i][j]));
+}
@@ -1,23 +1,47 @@
 // CDC 6602 Character ROM Functions
 // Functions for working with CDC ROM binary format
 
-import { cdcRomBinary } from './cdcRomBinary.js';
+import { getRom } from './cdcRomRegistry.js';
+import { displayCodeToRomKey } from './cdcDisplayCode.js';
+
+/**
+ * Octal timing labels (T column) for the rows of a CDC 6602 character table
+ * Row 0 is T=76 (start position), followed by T=00 through T=25
+ */
+export const TIMING_LABELS = [
+    '76', '00', '01', '02', '03', '04', '05', '06', '07',
+    '10', '11', '12', '13', '14', '15', '16', '17',
+    '20', '21', '22', '23', '24', '25'
+];
+
+/**
+ * Get the octal timing label for a ROM row
+ * @param {number} index - Row index within the character table
+ * @returns {string} Timing label, or the row index if beyond the table
+ */
+export function getTimingLabel(index) {
+    return TIMING_LABELS[index] || index.toString();
+}
 
 /**
  * Get all available character keys from the ROM
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {Array<string>} Array of available character keys
  */
-export function getAllCharacters() {
-    return Object.keys(cdcRomBinary);
+export function getAllCharacters(rom) {
+    return Object.keys(getRom(rom));
 }
 
 /**
  * Get binary ROM data for a character
- * @param {string} char - Character to retrieve
+ * @param {string|number} char - Character to retrieve, or its 6-bit CDC display code
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {Array<number>} Array of binary control values
  */
-export function getCharacterBinary(char) {
-    return cdcRomBinary[char] || cdcRomBinary[' '];
+export function getCharacterBinary(char, rom) {
+    const romData = getRom(rom);
+    const key = typeof char === 'number' ? displayCodeToRomKey(char) : char;
+    return romData[key] || romData[' '];
 }
 
 /**
@@ -36,19 +60,32 @@ export function decodeBinary(binary) {
 }
 
 /**
- * Convert CDC ROM binary format to vector coordinate format at runtime
- * Implements the exact decoding algorithm from CDC 6602 documentation
+ * Duration of one ROM row (stroke segment) in nanoseconds
+ */
+export const ROW_DURATION_NS = 100;
+
+/**
+ * Size of the DD60 screen in display units (9-bit D/A full scale)
+ */
+export const SCREEN_SIZE = 512;
+
+/**
+ * Step through the CDC 6602 decoder one ROM row at a time
+ * Implements the exact decoding algorithm from CDC 6602 documentation and
+ * exposes the internal direction flip-flops for hardware debugging
  * 
  * @param {Array<number>} binaryData - Array of binary control values
- * @returns {Array} Array of [x, y, beam] coordinates matching vectorRomCDC6602.js format
+ * @yields {Object} Step record for each row:
+ *   {row, label, binary, flags, directionBefore, directionAfter,
+ *    verticalToggle, horizontalToggle, move, x, y, beamToggle, beamOn, startTime, time}
+ *   Directions are {horizontal, vertical} with 1 = positive, -1 = negative;
+ *   move is {dx, dy}; times are elapsed nanoseconds at the start and end of the row
  */
-export function binaryToVector(binaryData) {
-    if (!binaryData || binaryData.length === 0) {
-        return [];
+export function* traceBinarySteps(binaryData) {
+    if (!binaryData) {
+        return;
     }
     
-    const vectorData = [];
-    
     // Initial state as per CDC 6602 specification
     let currentX = 0;
     let currentY = 0;
@@ -58,13 +95,11 @@ export function binaryToVector(binaryData) {
     
     for (let i = 0; i < binaryData.length; i++) {
         const binary = binaryData[i];
-        
-        // Decode flags from binary value
-        const V1 = Boolean((binary >> 4) & 1);
-        const V2 = Boolean((binary >> 3) & 1);
-        const H1 = Boolean((binary >> 2) & 1);
-        const H2 = Boolean((binary >> 1) & 1);
-        const U = Boolean(binary & 1);
+        const flags = decodeBinary(binary);
+        const { V1, V2, H1, H2, U } = flags;
+        const directionBefore = { horizontal: horizontalDirection, vertical: verticalDirection };
+        let dx = 0;
+        let dy = 0;
         
         // Handle vertical movement according to CDC specification
         if (V1 && V2) {
@@ -72,10 +107,10 @@ export function binaryToVector(binaryData) {
             verticalDirection = -verticalDirection;
         } else if (V1) {
             // V1 only: move 1 unit in current vertical direction
-            currentY += 1 * verticalDirection;
+            dy = 1 * verticalDirection;
         } else if (V2) {
             // V2 only: move 2 units in current vertical direction
-            currentY += 2 * verticalDirection;
+            dy = 2 * verticalDirection;
         }
         // If neither V1 nor V2: no vertical movement
         
@@ -85,35 +120,72 @@ export function binaryToVector(binaryData) {
             horizontalDirection = -horizontalDirection;
         } else if (H1) {
             // H1 only: move 1 unit in current horizontal direction
-            currentX += 1 * horizontalDirection;
+            dx = 1 * horizontalDirection;
         } else if (H2) {
             // H2 only: move 2 units in current horizontal direction
-            currentX += 2 * horizontalDirection;
+            dx = 2 * horizontalDirection;
         }
         // If neither H1 nor H2: no horizontal movement
         
+        currentX += dx;
+        currentY += dy;
+        
         // Handle beam toggle
         if (U) {
             beamOn = !beamOn;
         }
         
-        // Add current position to vector data
-        vectorData.push([currentX, currentY, beamOn]);
+        yield {
+            row: i,
+            label: getTimingLabel(i),
+            binary,
+            flags,
+            directionBefore,
+            directionAfter: { horizontal: horizontalDirection, vertical: verticalDirection },
+            verticalToggle: V1 && V2,
+            horizontalToggle: H1 && H2,
+            move: { dx, dy },
+            x: currentX,
+            y: currentY,
+            beamToggle: U,
+            beamOn,
+            startTime: i * ROW_DURATION_NS,
+            time: (i + 1) * ROW_DURATION_NS
+        };
     }
-    
-    return vectorData;
+}
+
+/**
+ * Decode a character table into a full step-by-step trace
+ * @param {Array<number>} binaryData - Array of binary control values
+ * @returns {Array<Object>} Step records (see traceBinarySteps)
+ */
+export function traceBinary(binaryData) {
+    return Array.from(traceBinarySteps(binaryData));
+}
+
+/**
+ * Convert CDC ROM binary format to vector coordinate format at runtime
+ * Implements the exact decoding algorithm from CDC 6602 documentation
+ * 
+ * @param {Array<number>} binaryData - Array of binary control values
+ * @returns {Array} Array of [x, y, beam] coordinates matching vectorRomCDC6602.js format
+ */
+export function binaryToVector(binaryData) {
+    return traceBinary(binaryData).map(step => [step.x, step.y, step.beamOn]);
 }
 
 /**
  * Generate the entire vector ROM at runtime from binary data
  * Converts CDC ROM binary format to vector coordinates
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {Object} Map of character to vector coordinate arrays
  */
-export function generateVectorRom() {
+export function generateVectorRom(rom) {
     const vectorRom = {};
     
-    for (const char of getAllCharacters()) {
-        const binaryData = getCharacterBinary(char);
+    for (const char of getAllCharacters(rom)) {
+        const binaryData = getCharacterBinary(char, rom);
         vectorRom[char] = binaryToVector(binaryData);
     }
     
@@ -123,9 +195,10 @@ export function generateVectorRom() {
 /**
  * Get vector data for a specific character at runtime
  * @param {string} char - Character to retrieve
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {Array} Array of [x, y, beam] coordinates
  */
-export function getCharacterVector(char) {
-    const binaryData = getCharacterBinary(char);
+export function getCharacterVector(char, rom) {
+    const binaryData = getCharacterBinary(char, rom);
     return binaryToVector(binaryData);
 }
\ No newline at end of file
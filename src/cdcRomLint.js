@@ -0,0 +1,144 @@
+// CDC 6602 ROM Linter
+// Validates character tables against the 6602 decoding constraints
+
+import { getRom } from './cdcRomRegistry.js';
+import { binaryToVector, decodeBinary, getTimingLabel, TIMING_LABELS } from './cdcRomFunctions.js';
+
+/**
+ * Diagnostic codes reported by the linter
+ */
+export const LINT_CODES = {
+    OUT_OF_CELL: 'out-of-cell',
+    BEAM_LEFT_ON: 'beam-left-on',
+    BEAM_REENABLED: 'beam-re-enabled',
+    DEAD_ROW: 'dead-row',
+    UNUSED_TOGGLE: 'unused-direction-toggle',
+    ROW_COUNT: 'row-count'
+};
+
+// Character cell bounds (8×8 grid)
+const CELL_MIN = 0;
+const CELL_MAX = 7;
+
+/**
+ * Create a diagnostic record
+ * @param {string} char - Character key
+ * @param {number|null} row - Row index, or null for character-level diagnostics
+ * @param {string} severity - 'error' or 'warning'
+ * @param {string} code - One of LINT_CODES
+ * @param {string} message - Human-readable description
+ * @returns {Object} Diagnostic {char, row, label, severity, code, message}
+ */
+function createDiagnostic(char, row, severity, code, message) {
+    return {
+        char,
+        row,
+        label: row === null ? null : getTimingLabel(row),
+        severity,
+        code,
+        message
+    };
+}
+
+/**
+ * Find the next row after a direction toggle that uses the toggled direction
+ * @param {Array<Object>} flags - Decoded flags for every row
+ * @param {number} start - Row index of the toggle
+ * @param {string} axis - 'V' or 'H'
+ * @returns {boolean} True if a move on that axis follows before another toggle
+ */
+function isToggleUsed(flags, start, axis) {
+    for (let i = start + 1; i < flags.length; i++) {
+        const one = flags[i][`${axis}1`];
+        const two = flags[i][`${axis}2`];
+
+        if (one && two) return false;  // Toggled again before any move
+        if (one || two) return true;
+    }
+    return false;
+}
+
+/**
+ * Lint a single character table
+ * @param {string} char - Character key (used in diagnostics)
+ * @param {Array<number>} binaryData - Array of binary control values
+ * @returns {Array<Object>} Diagnostics, ordered by row
+ */
+export function lintCharacter(char, binaryData) {
+    const diagnostics = [];
+    const vectorData = binaryToVector(binaryData);
+    const flags = binaryData.map(decodeBinary);
+
+    if (binaryData.length !== TIMING_LABELS.length) {
+        diagnostics.push(createDiagnostic(char, null, 'warning', LINT_CODES.ROW_COUNT,
+            `Table has ${binaryData.length} rows, expected ${TIMING_LABELS.length} (T=76 through T=25)`));
+    }
+
+    // Last row that switches the beam off, and the last row that switches it back on after that
+    let lastBeamOff = -1;
+    let reenabled = -1;
+    vectorData.forEach(([, , beamOn], i) => {
+        if (flags[i].U && !beamOn) lastBeamOff = i;
+        if (flags[i].U && beamOn && lastBeamOff >= 0) reenabled = i;
+    });
+    const beamLeftOn = vectorData.length > 0 && vectorData[vectorData.length - 1][2];
+
+    vectorData.forEach(([x, y], i) => {
+        const row = flags[i];
+
+        if (x < CELL_MIN || x > CELL_MAX || y < CELL_MIN || y > CELL_MAX) {
+            diagnostics.push(createDiagnostic(char, i, 'error', LINT_CODES.OUT_OF_CELL,
+                `Position (${x}, ${y}) is outside the ${CELL_MIN}-${CELL_MAX} character cell`));
+        }
+
+        if (row.V1 && row.V2 && !isToggleUsed(flags, i, 'V')) {
+            diagnostics.push(createDiagnostic(char, i, 'warning', LINT_CODES.UNUSED_TOGGLE,
+                'Vertical direction toggle is never used by a later vertical move'));
+        }
+
+        if (row.H1 && row.H2 && !isToggleUsed(flags, i, 'H')) {
+            diagnostics.push(createDiagnostic(char, i, 'warning', LINT_CODES.UNUSED_TOGGLE,
+                'Horizontal direction toggle is never used by a later horizontal move'));
+        }
+
+        // Rows are only dead after a beam-off that is never undone
+        if (!beamLeftOn && lastBeamOff >= 0 && i > lastBeamOff && binaryData[i] !== 0) {
+            diagnostics.push(createDiagnostic(char, i, 'warning', LINT_CODES.DEAD_ROW,
+                'Row after the final beam-off has no visible effect'));
+        }
+
+        if (beamLeftOn && i === reenabled) {
+            diagnostics.push(createDiagnostic(char, i, 'error', LINT_CODES.BEAM_REENABLED,
+                `Beam is turned back on after the beam-off at T=${getTimingLabel(lastBeamOff)} and never turned off`));
+        }
+    });
+
+    if (beamLeftOn) {
+        const last = vectorData.length - 1;
+        diagnostics.push(createDiagnostic(char, last, 'error', LINT_CODES.BEAM_LEFT_ON,
+            'Beam is still ON at the final row'));
+    }
+
+    return diagnostics;
+}
+
+/**
+ * Lint every character in a ROM
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Array<Object>} Diagnostics for all characters, in ROM key order
+ */
+export function lintRom(rom) {
+    return Object.entries(getRom(rom)).flatMap(([char, binaryData]) => lintCharacter(char, binaryData));
+}
+
+/**
+ * Count diagnostics by severity
+ * @param {Array<Object>} diagnostics - Diagnostics from lintCharacter or lintRom
+ * @returns {Object} Counts {errors, warnings}
+ */
+export function countDiagnostics(diagnostics) {
+    return {
+        errors: diagnostics.filter(d => d.severity === 'error').length,
+        warnings: diagnostics.filter(d => d.severity === 'warning').length
+    };
+}
@@ -0,0 +1,163 @@
+// CDC 6602 ROM Listing Format
+// Plain-text import/export of the character ROM in the manual's table layout
+//
+// Listing format (one block per character, lines starting with '#' are comments):
+//
+//   CHARACTER "A"
+//   T   V1  V2  H1  H2  U
+//   76  .   X   .   X   .
+//   00  .   X   .   X   .
+//   ...
+//   END
+//
+// T is the octal timing label, X marks a set flag and . a clear flag
+
+import { getRom } from './cdcRomRegistry.js';
+import { TIMING_LABELS, getTimingLabel } from './cdcRomFunctions.js';
+
+const FLAG_COLUMNS = ['V1', 'V2', 'H1', 'H2', 'U'];
+const SET_MARKS = ['X', 'C', '1'];
+const CLEAR_MARKS = ['.', '-', '0'];
+
+/**
+ * Format a single character table in listing format
+ * @param {string} char - Character key
+ * @param {Array<number>} binaryData - Array of binary control values (0bV1V2H1H2U)
+ * @returns {string} Listing block for the character
+ */
+export function formatCharacterListing(char, binaryData) {
+    const lines = [
+        `CHARACTER ${JSON.stringify(char)}`,
+        ['T', ...FLAG_COLUMNS].map(heading => heading.padEnd(4)).join('').trimEnd()
+    ];
+
+    binaryData.forEach((binary, i) => {
+        const marks = FLAG_COLUMNS.map((_, bit) => {
+            // Columns run from V1 (bit 4) down to U (bit 0)
+            return (binary >> (4 - bit)) & 1 ? 'X' : '.';
+        });
+        lines.push([getTimingLabel(i), ...marks].map(cell => cell.padEnd(4)).join('').trimEnd());
+    });
+
+    lines.push('END');
+    return lines.join('\n');
+}
+
+/**
+ * Format an entire ROM in listing format
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {string} Listing text for all characters, in ROM key order
+ */
+export function formatRomListing(rom) {
+    const header = [
+        '# CDC 6602 Character ROM Listing',
+        '# T = octal timing label, X = flag set, . = flag clear'
+    ].join('\n');
+
+    const blocks = Object.entries(getRom(rom)).map(([char, binaryData]) => formatCharacterListing(char, binaryData));
+
+    return [header, ...blocks].join('\n\n') + '\n';
+}
+
+/**
+ * Parse a flag column mark
+ * @param {string} mark - Column text
+ * @param {number} lineNumber - Source line number for error messages
+ * @returns {number} 1 if set, 0 if clear
+ */
+function parseFlagMark(mark, lineNumber) {
+    const upper = mark.toUpperCase();
+    if (SET_MARKS.includes(upper)) return 1;
+    if (CLEAR_MARKS.includes(upper)) return 0;
+    throw new Error(`Line ${lineNumber}: invalid flag mark '${mark}' (expected X or .)`);
+}
+
+/**
+ * Parse listing text into a ROM object
+ * Timing labels must appear in hardware order (76, 00, 01, ... 25) so that
+ * dropped or duplicated rows in a transcription are caught at load time.
+ *
+ * @param {string} text - Listing text
+ * @returns {Object} ROM object in cdcRomBinary shape
+ * @throws {Error} On malformed listing, with the offending line number
+ */
+export function parseRomListing(text) {
+    const rom = {};
+    let currentChar = null;
+    let currentRows = null;
+    let headerLine = 0;
+
+    const lines = text.split(/\r?\n/);
+
+    lines.forEach((rawLine, index) => {
+        const lineNumber = index + 1;
+        const line = rawLine.trim();
+
+        if (line === '' || line.startsWith('#')) return;
+
+        if (line.startsWith('CHARACTER')) {
+            if (currentChar !== null) {
+                throw new Error(`Line ${lineNumber}: CHARACTER before END of character ${JSON.stringify(currentChar)} (line ${headerLine})`);
+            }
+
+            let char;
+            try {
+                char = JSON.parse(line.slice('CHARACTER'.length).trim());
+            } catch (e) {
+                char = undefined;
+            }
+            if (typeof char !== 'string' || char.length === 0) {
+                throw new Error(`Line ${lineNumber}: character must be a quoted string, e.g. CHARACTER "A"`);
+            }
+            if (Object.prototype.hasOwnProperty.call(rom, char)) {
+                throw new Error(`Line ${lineNumber}: duplicate character ${JSON.stringify(char)}`);
+            }
+
+            currentChar = char;
+            currentRows = [];
+            headerLine = lineNumber;
+            return;
+        }
+
+        if (currentChar === null) {
+            throw new Error(`Line ${lineNumber}: expected CHARACTER header`);
+        }
+
+        if (line === 'END') {
+            rom[currentChar] = currentRows;
+            currentChar = null;
+            currentRows = null;
+            return;
+        }
+
+        const cells = line.split(/\s+/);
+
+        // Column heading row
+        if (cells[0].toUpperCase() === 'T') {
+            return;
+        }
+
+        if (cells.length !== FLAG_COLUMNS.length + 1) {
+            throw new Error(`Line ${lineNumber}: expected T label and ${FLAG_COLUMNS.length} flag columns, found ${cells.length} columns`);
+        }
+
+        if (currentRows.length >= TIMING_LABELS.length) {
+            throw new Error(`Line ${lineNumber}: character ${JSON.stringify(currentChar)} has more than ${TIMING_LABELS.length} rows`);
+        }
+
+        const [label, ...marks] = cells;
+        const expectedLabel = getTimingLabel(currentRows.length);
+        if (label !== expectedLabel) {
+            throw new Error(`Line ${lineNumber}: expected timing label ${expectedLabel}, found ${label}`);
+        }
+
+        const binary = marks.reduce((value, mark) => (value << 1) | parseFlagMark(mark, lineNumber), 0);
+        currentRows.push(binary);
+    });
+
+    if (currentChar !== null) {
+        throw new Error(`Line ${lines.length}: missing END for character ${JSON.stringify(currentChar)} (line ${headerLine})`);
+    }
+
+    return rom;
+}
@@ -0,0 +1,179 @@
+// CDC 6602 Character ROM Registry
+// Named character ROMs (transcribed, experimental, user-edited) with one active ROM
+// ROM handles accepted throughout: a registered name, a ROM object, or nothing for the active ROM
+
+import { cdcRomBinary } from './cdcRomBinary.js';
+
+/**
+ * Name of the transcribed CDC 6602 ROM, always registered
+ */
+export const DEFAULT_ROM_NAME = 'cdc6602';
+
+const registry = new Map();
+const listeners = new Set();
+let activeName = DEFAULT_ROM_NAME;
+
+registry.set(DEFAULT_ROM_NAME, {
+    name: DEFAULT_ROM_NAME,
+    description: 'CDC 6602 character ROM transcribed from documentation',
+    rom: cdcRomBinary
+});
+
+/**
+ * Check that an object looks like a ROM in cdcRomBinary shape
+ * @param {Object} rom - Candidate ROM object
+ * @throws {Error} If any entry is not an array of 5-bit control values
+ */
+function validateRom(rom) {
+    if (!rom || typeof rom !== 'object' || Array.isArray(rom)) {
+        throw new Error('ROM must be an object mapping characters to binary control arrays');
+    }
+
+    for (const [char, binaryData] of Object.entries(rom)) {
+        if (!Array.isArray(binaryData) ||
+            !binaryData.every(b => Number.isInteger(b) && b >= 0 && b <= 0b11111)) {
+            throw new Error(`ROM entry '${char}' must be an array of 5-bit control values`);
+        }
+    }
+}
+
+/**
+ * Register a ROM under a name
+ * @param {string} name - Registry name
+ * @param {Object} rom - ROM object in cdcRomBinary shape
+ * @param {Object} options - Registration options
+ * @param {string} options.description - Human-readable description
+ * @param {boolean} options.replace - Allow replacing an existing ROM of the same name (default: false)
+ * @param {boolean} options.activate - Make the new ROM active (default: false)
+ * @returns {string} The registered name, usable as a ROM handle
+ * @throws {Error} If the name is taken, reserved or the ROM is malformed
+ */
+export function registerRom(name, rom, options = {}) {
+    const { description = '', replace = false, activate = false } = options;
+
+    if (typeof name !== 'string' || name === '') {
+        throw new Error('ROM name must be a non-empty string');
+    }
+    if (name === DEFAULT_ROM_NAME) {
+        throw new Error(`ROM name '${DEFAULT_ROM_NAME}' is reserved for the transcribed ROM`);
+    }
+    if (registry.has(name) && !replace) {
+        throw new Error(`ROM '${name}' is already registered`);
+    }
+    validateRom(rom);
+
+    registry.set(name, { name, description, rom });
+
+    if (activate) {
+        setActiveRom(name);
+    } else if (name === activeName) {
+        notifyListeners();
+    }
+
+    return name;
+}
+
+/**
+ * Register an editable deep copy of a ROM
+ * @param {string|Object} source - ROM handle to copy
+ * @param {string} name - Registry name for the copy
+ * @param {Object} options - Registration options (see registerRom)
+ * @returns {string} The registered name
+ */
+export function cloneRom(source, name, options = {}) {
+    const rom = {};
+    for (const [char, binaryData] of Object.entries(getRom(source))) {
+        rom[char] = [...binaryData];
+    }
+    return registerRom(name, rom, options);
+}
+
+/**
+ * Remove a ROM from the registry
+ * Removing the active ROM makes the transcribed ROM active again.
+ * @param {string} name - Registry name
+ * @returns {boolean} True if a ROM was removed
+ * @throws {Error} If asked to remove the transcribed ROM
+ */
+export function unregisterRom(name) {
+    if (name === DEFAULT_ROM_NAME) {
+        throw new Error(`ROM '${DEFAULT_ROM_NAME}' cannot be unregistered`);
+    }
+    if (!registry.delete(name)) {
+        return false;
+    }
+    if (name === activeName) {
+        setActiveRom(DEFAULT_ROM_NAME);
+    }
+    return true;
+}
+
+/**
+ * Resolve a ROM handle to a ROM object
+ * @param {string|Object} [handle] - Registered name, ROM object, or omitted for the active ROM
+ * @returns {Object} ROM object in cdcRomBinary shape
+ * @throws {Error} If a name is not registered
+ */
+export function getRom(handle) {
+    if (handle === undefined || handle === null) {
+        return registry.get(activeName).rom;
+    }
+    if (typeof handle === 'string') {
+        const entry = registry.get(handle);
+        if (!entry) {
+            throw new Error(`Unknown ROM '${handle}'`);
+        }
+        return entry.rom;
+    }
+    return handle;
+}
+
+/**
+ * List registered ROMs in registration order
+ * @returns {Array<Object>} Entries {name, description, characterCount, active}
+ */
+export function listRoms() {
+    return Array.from(registry.values()).map(({ name, description, rom }) => ({
+        name,
+        description,
+        characterCount: Object.keys(rom).length,
+        active: name === activeName
+    }));
+}
+
+/**
+ * Make a registered ROM the active one
+ * @param {string} name - Registry name
+ * @throws {Error} If the name is not registered
+ */
+export function setActiveRom(name) {
+    if (!registry.has(name)) {
+        throw new Error(`Unknown ROM '${name}'`);
+    }
+    activeName = name;
+    notifyListeners();
+}
+
+/**
+ * Get the name of the active ROM
+ * @returns {string} Registry name
+ */
+export function getActiveRomName() {
+    return activeName;
+}
+
+/**
+ * Subscribe to active ROM changes (switching, or replacing the active ROM)
+ * @param {Function} listener - Called with the active ROM name
+ * @returns {Function} Unsubscribe function
+ */
+export function onActiveRomChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+function notifyListeners() {
+    for (const listener of listeners) {
+        listener(activeName);
+    }
+}
@@ -0,0 +1,288 @@
+// Character Stroke-Order Optimizer
+// Re-encodes CDC 6602 glyphs with fewer 100ns rows and less beam-off travel
+// while keeping the rasterized glyph pixel-identical
+
+import { getRom } from './cdcRomRegistry.js';
+import { binaryToVector } from './cdcRomFunctions.js';
+import { vectorToTriplets, tripletsToSegments, calculateBeamOnDistance } from './chargenTriplets.js';
+import { renderCDCScaledBitmap } from './chargenRenderer.js';
+import { encodeVectorPath } from './cdcRomEncoder.js';
+import { createRasterContext, rasterToText } from './rendering/rasterTarget.js';
+
+// Character scales checked for pixel-identical rendering
+const VERIFY_SCALES = [1, 2, 4];
+
+/**
+ * Count rows actually used by a character table (trailing empty rows are padding)
+ * @param {Array<number>} binaryData - Array of binary control values
+ * @returns {number} Index of the last non-empty row plus one
+ */
+export function countUsedRows(binaryData) {
+    let used = binaryData.length;
+    while (used > 0 && binaryData[used - 1] === 0) used--;
+    return used;
+}
+
+/**
+ * Calculate total beam-off (blanked) travel distance
+ * @param {Array} triplets - Array of [x, y, intensity] triplets
+ * @returns {number} Total distance with beam off, starting from origin
+ */
+export function calculateBeamOffDistance(triplets) {
+    return tripletsToSegments(triplets)
+        .filter(seg => seg.intensity === 0)
+        .reduce((total, seg) => total + Math.hypot(seg.x2 - seg.x1, seg.y2 - seg.y1), 0);
+}
+
+/**
+ * Rasterize triplets with the CDC scaled bitmap renderer on a headless 1-bit raster
+ * The raster has a one-cell margin round the 7×7 glyph area so pixels that stray
+ * outside it still count.
+ *
+ * @param {Array} triplets - Array of [x, y, intensity] triplets
+ * @param {number} characterScale - CDC character scale (1, 2, or 4)
+ * @returns {string} Lit pixels as text rows
+ */
+function rasterizeGlyph(triplets, characterScale) {
+    const margin = 8 * characterScale;
+    const size = 7 * characterScale + 2 * margin;
+    const ctx = createRasterContext(size, size, { depth: 1 });
+    ctx.translate(margin, margin);
+    renderCDCScaledBitmap(ctx, triplets, characterScale, {
+        pixelColor: '#ffffff',
+        backgroundColor: '#000000'
+    });
+    return rasterToText(ctx);
+}
+
+/**
+ * Check that two triplet paths rasterize identically at every character scale
+ * @param {Array} tripletsA - First triplet path
+ * @param {Array} tripletsB - Second triplet path
+ * @returns {boolean} True if lit pixels match at character scales 1, 2 and 4
+ */
+export function rendersIdentically(tripletsA, tripletsB) {
+    return VERIFY_SCALES.every(scale => rasterizeGlyph(tripletsA, scale) === rasterizeGlyph(tripletsB, scale));
+}
+
+/**
+ * Extract the beam-on strokes of a glyph as undirected edges
+ * Strokes drawn more than once are kept once; zero-length beam-on segments
+ * (dwells and dots) are kept as point edges when preserving dwells.
+ *
+ * @param {Array} triplets - Array of [x, y, intensity] triplets
+ * @param {boolean} keepDwells - Keep every dwell row
+ * @returns {Array<Object>} Edges {a: [x, y], b: [x, y], isDot}
+ */
+function extractStrokes(triplets, keepDwells) {
+    const edges = [];
+    const seen = new Set();
+
+    for (const seg of tripletsToSegments(triplets)) {
+        if (seg.intensity === 0) continue;
+
+        const a = [seg.x1, seg.y1];
+        const b = [seg.x2, seg.y2];
+        const isDot = a[0] === b[0] && a[1] === b[1];
+        const key = [a.join(':'), b.join(':')].sort().join('|');
+
+        if (seen.has(key) && !(isDot && keepDwells)) continue;
+        seen.add(key);
+        edges.push({ a, b, isDot });
+    }
+
+    if (keepDwells) {
+        return edges;
+    }
+
+    // Without dwells, a dot only needs drawing if no stroke already lights that point
+    const strokeEnds = new Set(edges.filter(e => !e.isDot).flatMap(e => [e.a.join(':'), e.b.join(':')]));
+    return edges.filter(e => !e.isDot || !strokeEnds.has(e.a.join(':')));
+}
+
+/**
+ * Chebyshev distance - blanked travel costs one row per 2 units on the longer axis
+ */
+function travelCost(p, q) {
+    return Math.max(Math.abs(p[0] - q[0]), Math.abs(p[1] - q[1]));
+}
+
+/**
+ * Order strokes greedily from a given first stroke
+ * Continues straight where possible, then along any connected stroke, and
+ * otherwise jumps to the nearest unvisited stroke end with the beam off.
+ *
+ * @param {Array<Object>} edges - Stroke edges
+ * @param {number} first - Index of the first stroke
+ * @param {boolean} reversed - Draw the first stroke from b to a
+ * @returns {Array<Array<Array<number>>>} Ordered directed strokes [[from, to], ...]
+ */
+function greedyOrder(edges, first, reversed) {
+    const remaining = new Set(edges.map((_, i) => i));
+    const order = [];
+
+    const take = (index, flip) => {
+        const { a, b } = edges[index];
+        order.push(flip ? [b, a] : [a, b]);
+        remaining.delete(index);
+    };
+
+    take(first, reversed);
+
+    while (remaining.size > 0) {
+        const [from, pos] = order[order.length - 1];
+        const lastDir = [Math.sign(pos[0] - from[0]), Math.sign(pos[1] - from[1])];
+        let best = null;
+
+        for (const index of remaining) {
+            const { a, b } = edges[index];
+
+            for (const flip of [false, true]) {
+                const start = flip ? b : a;
+                const end = flip ? a : b;
+                const dir = [Math.sign(end[0] - start[0]), Math.sign(end[1] - start[1])];
+
+                // Lower score is better: travel first, then prefer continuing straight
+                const travel = travelCost(pos, start);
+                const straight = dir[0] === lastDir[0] && dir[1] === lastDir[1] ? 0 : 1;
+                const score = travel * 2 + straight;
+
+                if (best === null || score < best.score) {
+                    best = { index, flip, score };
+                }
+            }
+        }
+
+        take(best.index, best.flip);
+    }
+
+    return order;
+}
+
+/**
+ * Build a [x, y, beam] path from ordered strokes
+ * Consecutive collinear beam-on strokes are joined into one move and
+ * blanked travel goes directly to the next stroke start.
+ *
+ * @param {Array<Array<Array<number>>>} order - Ordered directed strokes
+ * @returns {Array} Array of [x, y, beam] points ending with the beam off
+ */
+function buildPath(order) {
+    const path = [];
+    let pos = [0, 0];
+    let lastDir = null;
+
+    for (const [start, end] of order) {
+        if (start[0] !== pos[0] || start[1] !== pos[1]) {
+            path.push([start[0], start[1], false]);
+            lastDir = null;
+        }
+
+        const dir = [end[0] - start[0], end[1] - start[1]];
+        const isDot = dir[0] === 0 && dir[1] === 0;
+        const prev = path[path.length - 1];
+
+        // Join with the previous stroke when it continues in the same direction
+        const continues = !isDot && lastDir !== null && prev && prev[2] &&
+                          dir[0] * lastDir[1] - dir[1] * lastDir[0] === 0 &&
+                          dir[0] * lastDir[0] + dir[1] * lastDir[1] > 0;
+
+        if (continues) {
+            path[path.length - 1] = [end[0], end[1], true];
+        } else {
+            path.push([end[0], end[1], true]);
+        }
+
+        pos = end;
+        lastDir = isDot ? null : dir;
+    }
+
+    if (path.length > 0) {
+        path.push([pos[0], pos[1], false]);
+    }
+
+    return path;
+}
+
+/**
+ * Optimize the stroke order of a single glyph
+ *
+ * Candidate orders are scored by encoded row count, then beam-off travel.
+ * The best candidate that rasterizes pixel-identically to the original is
+ * returned; if none improves on the original, the original table is kept.
+ *
+ * @param {Array<number>} binaryData - Array of binary control values
+ * @param {Object} options - Optimizer options
+ * @param {boolean} options.keepDwells - Keep dwell rows that brighten dots (default: true)
+ * @returns {Object} {binaryData, improved, rowsBefore, rowsAfter, rowsSaved,
+ *                    beamOnDistanceBefore, beamOnDistanceAfter,
+ *                    beamOffDistanceBefore, beamOffDistanceAfter}
+ */
+export function optimizeGlyph(binaryData, options = {}) {
+    const { keepDwells = true } = options;
+
+    const triplets = vectorToTriplets(binaryToVector(binaryData));
+    const rowsBefore = countUsedRows(binaryData);
+
+    const original = {
+        binaryData,
+        rows: rowsBefore,
+        triplets,
+        beamOff: calculateBeamOffDistance(triplets)
+    };
+
+    const edges = extractStrokes(triplets, keepDwells);
+    const candidates = [];
+
+    edges.forEach((_, first) => {
+        for (const reversed of [false, true]) {
+            const path = buildPath(greedyOrder(edges, first, reversed));
+            const encoded = encodeVectorPath(path);
+            if (!encoded.fits) continue;
+
+            const candidateTriplets = vectorToTriplets(binaryToVector(encoded.binaryData));
+            candidates.push({
+                binaryData: encoded.binaryData,
+                rows: encoded.rowCount,
+                triplets: candidateTriplets,
+                beamOff: calculateBeamOffDistance(candidateTriplets)
+            });
+        }
+    });
+
+    candidates.sort((p, q) => p.rows - q.rows || p.beamOff - q.beamOff);
+
+    const better = candidates.find(c =>
+        (c.rows < original.rows || (c.rows === original.rows && c.beamOff < original.beamOff)) &&
+        rendersIdentically(c.triplets, original.triplets)
+    );
+    const result = better || original;
+
+    return {
+        binaryData: result.binaryData,
+        improved: Boolean(better),
+        rowsBefore,
+        rowsAfter: result.rows,
+        rowsSaved: rowsBefore - result.rows,
+        beamOnDistanceBefore: calculateBeamOnDistance(original.triplets),
+        beamOnDistanceAfter: calculateBeamOnDistance(result.triplets),
+        beamOffDistanceBefore: original.beamOff,
+        beamOffDistanceAfter: result.beamOff
+    };
+}
+
+/**
+ * Optimize every glyph in a ROM
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @param {Object} options - Optimizer options (see optimizeGlyph)
+ * @returns {Object} Map of character to optimizeGlyph result
+ */
+export function optimizeRom(rom, options = {}) {
+    const results = {};
+
+    for (const [char, binaryData] of Object.entries(getRom(rom))) {
+        results[char] = optimizeGlyph(binaryData, options);
+    }
+
+    return results;
+}
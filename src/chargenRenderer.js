@@ -1,6 +1,48 @@
 // Character Generator Rendering Functions
 // Canvas-based rendering for CDC 6602 character triplet data
 
+import { getArtifactPreset, applyArtifacts } from './analog/artifacts.js';
+
+/**
+ * Prepare a triplet path and context for an artifact level
+ * At A0 the path is returned unchanged. Otherwise it is replaced by the
+ * simulated beam path, whose intensities the caller draws as alpha, and the
+ * context gets the preset's bloom as a canvas shadow. Callers save and restore
+ * the context around drawing when the result is active.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array} triplets - Array of [x, y, intensity] triplets
+ * @param {number|string} artifactLevel - Artifact level 0-9 or 'A0'-'A9'
+ * @param {number} characterScale - Screen units per triplet unit
+ * @param {number} pixelsPerUnit - Canvas pixels per triplet unit, for the bloom radius
+ * @param {string} color - Beam colour used for the bloom
+ * @returns {Object} {triplets, active}
+ */
+function prepareArtifacts(ctx, triplets, artifactLevel, characterScale, pixelsPerUnit, color) {
+    const artifacts = getArtifactPreset(artifactLevel);
+    if (artifacts.level === 0) {
+        return { triplets, active: false };
+    }
+    ctx.save();
+    if (artifacts.bloom) {
+        ctx.shadowColor = bloomColor(color, artifacts.bloom.strength);
+        ctx.shadowBlur = artifacts.bloom.radius * pixelsPerUnit / characterScale;
+    }
+    return { triplets: applyArtifacts(triplets, artifacts, { characterScale }), active: true };
+}
+
+/**
+ * Apply a bloom opacity to a #rrggbb colour
+ * @param {string} color - Beam colour
+ * @param {number} strength - Bloom opacity 0-1
+ * @returns {string} rgba() colour, or the colour unchanged if it is not #rrggbb
+ */
+function bloomColor(color, strength) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    if (!match) return color;
+    const [r, g, b] = match.slice(1).map(hex => parseInt(hex, 16));
+    return `rgba(${r}, ${g}, ${b}, ${strength})`;
+}
+
 /**
  * Draw a coordinate grid on canvas
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -65,9 +107,13 @@ export function drawGrid(ctx, gridSize = 8, scale = 20, options = {}) {
  * @param {Array} triplets - Array of [x, y, intensity] triplets
  * @param {number} scale - Pixels per coordinate unit
  * @param {Object} options - Rendering options
+ * @param {number} options.gridSize - Coordinate units per side used to flip Y (default: 8 for a glyph, 512 for a screen path)
+ * @param {boolean} options.intensityAlpha - Draw beam-on strokes with alpha from triplet intensity (default: false)
+ * @param {number|string} options.artifactLevel - Artifact level 0-9; above 0 draws the simulated beam path (default: 0)
  */
 export function renderTriplets(ctx, triplets, scale = 20, options = {}) {
     const {
+        gridSize = 8,
         showBeamOff = true,
         showArrowheads = true,
         showDwellPoints = true,
@@ -78,28 +124,35 @@ export function renderTriplets(ctx, triplets, scale = 20, options = {}) {
         arrowColor = '#000000',
         arrowSize = 4,
         dwellColor = '#0066ff',
-        dotRadius = 3
+        dotRadius = 3,
+        intensityAlpha = false,
+        artifactLevel = 0
     } = options;
     
     ctx.save();
+    const baseAlpha = ctx.globalAlpha;
+    const analog = prepareArtifacts(ctx, triplets, artifactLevel, 1, scale, lineColors.on);
+    const path = analog.triplets;
+    const useAlpha = intensityAlpha || analog.active;
     
     // Track previous position (start from origin)
     let prevX = 0, prevY = 0;
     
     // Draw strokes
-    for (let i = 0; i < triplets.length; i++) {
-        const [x, y, intensity] = triplets[i];
+    for (let i = 0; i < path.length; i++) {
+        const [x, y, intensity] = path[i];
+        ctx.globalAlpha = useAlpha && intensity > 0 ? Math.min(1, intensity) : baseAlpha;
         
         // Convert to canvas coordinates
         const canvasX = x * scale + scale/2;
-        const canvasY = flipY ? (7 - y) * scale + scale/2 : y * scale + scale/2;
+        const canvasY = flipY ? (gridSize - 1 - y) * scale + scale/2 : y * scale + scale/2;
         const prevCanvasX = prevX * scale + scale/2;
-        const prevCanvasY = flipY ? (7 - prevY) * scale + scale/2 : prevY * scale + scale/2;
+        const prevCanvasY = flipY ? (gridSize - 1 - prevY) * scale + scale/2 : prevY * scale + scale/2;
         
         // Special case: draw line from origin to first point
         if (i === 0 && showOriginLine) {
             const originX = scale/2;
-            const originY = flipY ? 7 * scale + scale/2 : scale/2;
+            const originY = flipY ? (gridSize - 1) * scale + scale/2 : scale/2;
             
             ctx.beginPath();
             ctx.moveTo(originX, originY);
@@ -129,8 +182,8 @@ export function renderTriplets(ctx, triplets, scale = 20, options = {}) {
             }
         }
         
-        // Draw arrowheads for length-2 segments
-        if (showArrowheads && i > 0) {
+        // Draw arrowheads for length-2 segments (ROM steps only, not simulated beam samples)
+        if (showArrowheads && !analog.active && i > 0) {
             const dx = x - prevX;
             const dy = y - prevY;
             
@@ -146,10 +199,10 @@ export function renderTriplets(ctx, triplets, scale = 20, options = {}) {
         // Check for dwell points
         const isDwelling = showDwellPoints && i > 0 && 
                           x === prevX && y === prevY && 
-                          intensity > 0 && triplets[i-1][2] > 0;
+                          intensity > 0 && path[i-1][2] > 0;
         
         // Draw position dots
-        if (intensity > 0) {
+        if (intensity > 0 && !analog.active) {
             ctx.fillStyle = isDwelling ? dwellColor : lineColors.on;
             ctx.beginPath();
             ctx.arc(canvasX, canvasY, dotRadius, 0, 2 * Math.PI);
@@ -160,6 +213,7 @@ export function renderTriplets(ctx, triplets, scale = 20, options = {}) {
         prevY = y;
     }
     
+    if (analog.active) ctx.restore();
     ctx.restore();
 }
 
@@ -203,13 +257,15 @@ export function drawArrowhead(ctx, x1, y1, x2, y2, size = 4, color = '#000000')
  * @param {Array} triplets - Array of [x, y, intensity] triplets
  * @param {number} resolution - Bitmap resolution (e.g., 7, 14, 21, 28)
  * @param {Object} options - Bitmap rendering options
+ * @param {number|string} options.artifactLevel - Artifact level 0-9; above 0 draws the simulated beam path (default: 0)
  */
 export function renderBitmap(ctx, triplets, resolution = 14, options = {}) {
     const {
         pixelColor = '#000000',
         backgroundColor = '#ffffff',
         showGrid = false,
-        gridColor = '#cccccc'
+        gridColor = '#cccccc',
+        artifactLevel = 0
     } = options;
     
     // Calculate pixel size (resolution / 7 for 7x7 character bounds)
@@ -242,17 +298,20 @@ export function renderBitmap(ctx, triplets, resolution = 14, options = {}) {
     }
     
     // Rasterize strokes
+    const analog = prepareArtifacts(ctx, triplets, artifactLevel, 1, pixelSize, pixelColor);
     ctx.fillStyle = pixelColor;
     let prevX = 0, prevY = 0;
     
-    for (const [x, y, intensity] of triplets) {
+    for (const [x, y, intensity] of analog.triplets) {
         if (intensity > 0) {
+            if (analog.active) ctx.globalAlpha = Math.min(1, intensity);
             // Use Bresenham's line algorithm to draw pixels
             drawBitmapLine(ctx, prevX, prevY, x, y, pixelSize);
         }
         prevX = x;
         prevY = y;
     }
+    if (analog.active) ctx.restore();
 }
 
 /**
@@ -265,6 +324,11 @@ export function renderBitmap(ctx, triplets, resolution = 14, options = {}) {
  * @param {number} pixelSize - Size of each pixel
  */
 function drawBitmapLine(ctx, x0, y0, x1, y1, pixelSize) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    
     const dx = Math.abs(x1 - x0);
     const dy = Math.abs(y1 - y0);
     const sx = x0 < x1 ? 1 : -1;
@@ -316,6 +380,7 @@ export function createRenderer(defaultOptions = {}) {
  * @param {Array} triplets - Array of [x, y, intensity] triplets
  * @param {number} characterScale - CDC native character scale (1, 2, or 4)
  * @param {Object} options - Rendering options
+ * @param {number|string} options.artifactLevel - Artifact level 0-9; above 0 draws the simulated beam path (default: 0)
  */
 export function renderCDCScaledBitmap(ctx, triplets, characterScale = 1, options = {}) {
     const {
@@ -323,7 +388,8 @@ export function renderCDCScaledBitmap(ctx, triplets, characterScale = 1, options
         backgroundColor = '#ffffff',
         beamWidth = 1,  // CDC authentic: line width constant regardless of character scale
         showPixelGrid = false,
-        gridColor = '#f0f0f0'
+        gridColor = '#f0f0f0',
+        artifactLevel = 0
     } = options;
     
     const resolution = 7 * characterScale;  // Character Scale: 1=7px, 2=14px, 4=28px
@@ -352,11 +418,13 @@ export function renderCDCScaledBitmap(ctx, triplets, characterScale = 1, options
     }
     
     // Rasterize with scaled coordinates but 1-pixel beam
+    const analog = prepareArtifacts(ctx, triplets, artifactLevel, characterScale, characterScale, pixelColor);
     ctx.fillStyle = pixelColor;
     let prevX = 0, prevY = 0;
     
-    for (const [x, y, intensity] of triplets) {
+    for (const [x, y, intensity] of analog.triplets) {
         if (intensity > 0) {
+            if (analog.active) ctx.globalAlpha = Math.min(1, intensity);
             // Scale the coordinates, not the pixel size
             const scaledX0 = prevX * characterScale;
             const scaledY0 = prevY * characterScale;
@@ -364,11 +432,12 @@ export function renderCDCScaledBitmap(ctx, triplets, characterScale = 1, options
             const scaledY1 = y * characterScale;
             
             // Draw 1-pixel wide line at scaled coordinates
-            drawCDCBitmapLine(ctx, scaledX0, scaledY0, scaledX1, scaledY1, beamWidth, characterScale);
+            drawCDCBitmapLine(ctx, scaledX0, scaledY0, scaledX1, scaledY1, beamWidth, resolution);
         }
         prevX = x;
         prevY = y;
     }
+    if (analog.active) ctx.restore();
 }
 
 /**
@@ -379,9 +448,15 @@ export function renderCDCScaledBitmap(ctx, triplets, characterScale = 1, options
  * @param {number} x1 - End X in scaled pixel coordinates
  * @param {number} y1 - End Y in scaled pixel coordinates
  * @param {number} beamWidth - Width of beam in pixels (typically 1)
- * @param {number} characterScale - Character scale factor to determine canvas size
+ * @param {number} height - Height of the drawing area in pixels, used to flip Y
  */
-function drawCDCBitmapLine(ctx, x0, y0, x1, y1, beamWidth, characterScale) {
+function drawCDCBitmapLine(ctx, x0, y0, x1, y1, beamWidth, height) {
+    // Simulated beam paths have fractional coordinates; snap them to the pixel grid
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    
     const dx = Math.abs(x1 - x0);
     const dy = Math.abs(y1 - y0);
     const sx = x0 < x1 ? 1 : -1;
@@ -393,10 +468,9 @@ function drawCDCBitmapLine(ctx, x0, y0, x1, y1, beamWidth, characterScale) {
     
     while (true) {
         // Draw pixel (flip Y for display)
-        // Coordinates are already scaled (0 to 6*characterScale)
-        // For Y-flip: in scaled space, max coord is 6*characterScale, but we want the last pixel row
-        // Since pixels are 0-indexed, coordinate 6*characterScale maps to pixel row (7*characterScale - 1)
-        const pixelY = (7 * characterScale - 1) - y;
+        // Coordinates are already scaled (0 to 6*characterScale for a glyph, 0-511 on screen)
+        // Since pixels are 0-indexed, the top coordinate maps to pixel row (height - 1)
+        const pixelY = (height - 1) - y;
         ctx.fillRect(x, pixelY, beamWidth, beamWidth);
         
         if (x === x1 && y === y1) break;
@@ -413,16 +487,64 @@ function drawCDCBitmapLine(ctx, x0, y0, x1, y1, beamWidth, characterScale) {
     }
 }
 
+/**
+ * Render a screen-space beam path on the 512×512 DD60 coordinate space
+ * Draws 1-pixel beam-on strokes like renderCDCScaledBitmap, with screen origin at bottom left
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (apply canvas scale with ctx.scale)
+ * @param {Array} triplets - Array of [x, y, intensity] triplets in screen units
+ * @param {Object} options - Rendering options
+ * @param {string} options.pixelColor - Beam colour (default: '#00ff00')
+ * @param {string|null} options.backgroundColor - Background fill, or null to draw over existing content (default: '#000000')
+ * @param {number} options.beamWidth - Width of beam in pixels (default: 1)
+ * @param {number} options.screenSize - Screen size in units (default: 512)
+ * @param {boolean} options.intensityAlpha - Draw each segment with alpha from its triplet intensity (default: false)
+ * @param {number|string} options.artifactLevel - Artifact level 0-9; above 0 draws the simulated beam path (default: 0)
+ */
+export function renderScreenBitmap(ctx, triplets, options = {}) {
+    const {
+        pixelColor = '#00ff00',
+        backgroundColor = '#000000',
+        beamWidth = 1,
+        screenSize = 512,
+        intensityAlpha = false,
+        artifactLevel = 0
+    } = options;
+    
+    if (backgroundColor) {
+        ctx.fillStyle = backgroundColor;
+        ctx.fillRect(0, 0, screenSize, screenSize);
+    }
+    
+    const baseAlpha = ctx.globalAlpha;
+    const analog = prepareArtifacts(ctx, triplets, artifactLevel, 1, 1, pixelColor);
+    const useAlpha = intensityAlpha || analog.active;
+    ctx.fillStyle = pixelColor;
+    let prevX = 0, prevY = 0;
+    
+    for (const [x, y, intensity] of analog.triplets) {
+        if (intensity > 0) {
+            if (useAlpha) ctx.globalAlpha = Math.min(1, intensity);
+            drawCDCBitmapLine(ctx, prevX, prevY, x, y, beamWidth, screenSize);
+        }
+        prevX = x;
+        prevY = y;
+    }
+    if (analog.active) ctx.restore();
+    ctx.globalAlpha = baseAlpha;
+}
+
 /**
  * Render true-size 7x7 bitmap without any scaling
  * @param {CanvasRenderingContext2D} ctx - Canvas context  
  * @param {Array} triplets - Array of [x, y, intensity] triplets
  * @param {Object} options - Rendering options
+ * @param {number|string} options.artifactLevel - Artifact level 0-9; above 0 draws the simulated beam path (default: 0)
  */
 export function renderTrueSizeBitmap(ctx, triplets, options = {}) {
     const {
         pixelColor = '#000000',
-        backgroundColor = '#ffffff'
+        backgroundColor = '#ffffff',
+        artifactLevel = 0
     } = options;
     
     // Clear 7x7 canvas
@@ -430,23 +552,31 @@ export function renderTrueSizeBitmap(ctx, triplets, options = {}) {
     ctx.fillRect(0, 0, 7, 7);
     
     // Draw at actual pixel positions
+    const analog = prepareArtifacts(ctx, triplets, artifactLevel, 1, 1, pixelColor);
     ctx.fillStyle = pixelColor;
     let prevX = 0, prevY = 0;
     
-    for (const [x, y, intensity] of triplets) {
+    for (const [x, y, intensity] of analog.triplets) {
         if (intensity > 0) {
+            if (analog.active) ctx.globalAlpha = Math.min(1, intensity);
             // Direct pixel drawing without any scaling
             drawPixelLine(ctx, prevX, prevY, x, y);
         }
         prevX = x;
         prevY = y;
     }
+    if (analog.active) ctx.restore();
 }
 
 /**
  * Simple pixel line drawing for true-size rendering
  */
 function drawPixelLine(ctx, x0, y0, x1, y1) {
+    x0 = Math.round(x0);
+    y0 = Math.round(y0);
+    x1 = Math.round(x1);
+    y1 = Math.round(y1);
+    
     const dx = Math.abs(x1 - x0);
     const dy = Math.abs(y1 - y0);
     const sx = x0 < x1 ? 1 : -1;
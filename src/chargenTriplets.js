@@ -23,13 +23,14 @@ export function vectorToTriplets(vectorData) {
 
 /**
  * Generate triplet ROM for all characters
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {Object} Map of character to triplet arrays
  */
-export function generateTripletRom() {
+export function generateTripletRom(rom) {
     const tripletRom = {};
     
-    for (const char of getAllCharacters()) {
-        const binaryData = getCharacterBinary(char);
+    for (const char of getAllCharacters(rom)) {
+        const binaryData = getCharacterBinary(char, rom);
         const vectorData = binaryToVector(binaryData);
         tripletRom[char] = vectorToTriplets(vectorData);
     }
@@ -40,10 +41,11 @@ export function generateTripletRom() {
 /**
  * Get triplet data for a specific character
  * @param {string} char - Character to retrieve
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {Array} Array of [x, y, beamIntensity] triplets
  */
-export function getCharacterTriplets(char) {
-    const binaryData = getCharacterBinary(char);
+export function getCharacterTriplets(char, rom) {
+    const binaryData = getCharacterBinary(char, rom);
     const vectorData = binaryToVector(binaryData);
     return vectorToTriplets(vectorData);
 }
@@ -0,0 +1,202 @@
+// CDC 6612 Display Controller Interpreter
+// Turns the 12-bit words a peripheral processor sends on the display channel
+// into a display list of positioned glyphs
+//
+// Function words (FAN) select the screen and mode; data words (OAN) set
+// coordinates or carry two 6-bit display codes:
+//   6xxx - set X to the low 9 bits
+//   7xxx - set Y to the low 9 bits (plots a dot in dot mode)
+//   other - two display codes, upper 6 bits first
+
+import { binaryToVector, SCREEN_SIZE } from '../cdcRomFunctions.js';
+import { displayCodeToRomKey } from '../cdcDisplayCode.js';
+import { getRom } from '../cdcRomRegistry.js';
+import { CELL_SIZE, glyphToScreenPath } from './textLayout.js';
+import { dotToScreenPath } from './dotMode.js';
+
+/**
+ * 6612 function codes (octal) and the state they select
+ */
+export const FUNCTION_CODES = {
+    0o7000: { screen: 'left', mode: 'character', characterScale: 1 },   // 64 characters per line
+    0o7001: { screen: 'left', mode: 'character', characterScale: 2 },   // 32 characters per line
+    0o7002: { screen: 'left', mode: 'character', characterScale: 4 },   // 16 characters per line
+    0o7010: { screen: 'left', mode: 'dot' },
+    0o7100: { screen: 'right', mode: 'character', characterScale: 1 },
+    0o7101: { screen: 'right', mode: 'character', characterScale: 2 },
+    0o7102: { screen: 'right', mode: 'character', characterScale: 4 },
+    0o7110: { screen: 'right', mode: 'dot' },
+    0o7020: { keyboard: true }                                           // keyboard input select
+};
+
+/**
+ * Error codes returned for malformed channel words
+ */
+export const CONTROLLER_ERRORS = {
+    INVALID_WORD: 'invalid-word',
+    UNKNOWN_FUNCTION: 'unknown-function',
+    CHARACTER_IN_DOT_MODE: 'character-in-dot-mode'
+};
+
+const WORD_MASK = 0o7777;
+const COORDINATE_MASK = 0o777;
+
+/**
+ * Create a function word entry for interpretDisplayWords
+ * @param {number} code - 12-bit function code, e.g. 0o7000
+ * @returns {Object} {function: code}
+ */
+export function functionWord(code) {
+    return { function: code };
+}
+
+/**
+ * Pack two display codes into one 12-bit data word
+ * @param {number} first - Display code drawn first (upper 6 bits)
+ * @param {number} second - Display code drawn second (lower 6 bits)
+ * @returns {number} 12-bit data word
+ */
+export function packCharacters(first, second = 0) {
+    return ((first & 0o77) << 6) | (second & 0o77);
+}
+
+/**
+ * Create a fresh controller state
+ * @returns {Object} {screen, mode, characterScale, x, y, keyboard}
+ */
+export function createControllerState() {
+    return { screen: 'left', mode: 'character', characterScale: 1, x: 0, y: 0, keyboard: false };
+}
+
+/**
+ * Interpret a sequence of display channel words
+ *
+ * Each character advances X by one cell (8, 16 or 32 units); X wraps at 512
+ * like the 9-bit register. Display code 00 pads the second half of a word and
+ * draws nothing unless options.drawCode00 is set.
+ *
+ * @param {Array<number|Object>} words - Data words as numbers and function words as {function: code}
+ * @param {Object} options - Interpreter options
+ * @param {Object} options.state - Starting controller state (default: createControllerState())
+ * @param {boolean} options.drawCode00 - Treat display code 00 as a character (default: false)
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Object} {displayList, errors, state}
+ *          displayList: [{type: 'char', screen, x, y, characterScale, code, char, path, missing, wordIndex}]
+ *                       and [{type: 'dot', screen, x, y, wordIndex}] entries in channel order
+ *          errors: [{index, word, code, message}] for malformed words, which are otherwise skipped
+ *          state: controller state after the last word
+ */
+export function interpretDisplayWords(words, options = {}) {
+    const { drawCode00 = false, rom } = options;
+    const romData = getRom(rom);
+    const state = { ...createControllerState(), ...options.state };
+    const displayList = [];
+    const errors = [];
+
+    const error = (index, word, code, message) => {
+        errors.push({ index, word, code, message });
+    };
+
+    const emitCharacter = (code, wordIndex) => {
+        if (code === 0 && !drawCode00) return;
+
+        const char = displayCodeToRomKey(code);
+        const binaryData = romData[char];
+
+        displayList.push({
+            type: 'char',
+            screen: state.screen,
+            x: state.x,
+            y: state.y,
+            characterScale: state.characterScale,
+            code,
+            char,
+            path: binaryData ? binaryToVector(binaryData) : [],
+            missing: !binaryData,
+            wordIndex
+        });
+
+        state.x = (state.x + CELL_SIZE * state.characterScale) & COORDINATE_MASK;
+    };
+
+    words.forEach((entry, index) => {
+        const isFunction = entry !== null && typeof entry === 'object';
+        const word = isFunction ? entry.function : entry;
+
+        if (!Number.isInteger(word) || word < 0 || word > WORD_MASK) {
+            error(index, word, CONTROLLER_ERRORS.INVALID_WORD,
+                  `Word ${index}: ${JSON.stringify(word)} is not a 12-bit value`);
+            return;
+        }
+
+        if (isFunction) {
+            const selected = FUNCTION_CODES[word];
+            if (!selected) {
+                error(index, word, CONTROLLER_ERRORS.UNKNOWN_FUNCTION,
+                      `Word ${index}: unknown function code ${word.toString(8).padStart(4, '0')}`);
+                return;
+            }
+            Object.assign(state, selected);
+            if (!selected.keyboard) state.keyboard = false;
+            return;
+        }
+
+        switch (word & 0o7000) {
+            case 0o6000:
+                state.x = word & COORDINATE_MASK;
+                break;
+            case 0o7000:
+                state.y = word & COORDINATE_MASK;
+                if (state.mode === 'dot') {
+                    displayList.push({ type: 'dot', screen: state.screen, x: state.x, y: state.y, wordIndex: index });
+                }
+                break;
+            default:
+                if (state.mode === 'dot') {
+                    error(index, word, CONTROLLER_ERRORS.CHARACTER_IN_DOT_MODE,
+                          `Word ${index}: character data ${word.toString(8).padStart(4, '0')} sent in dot mode`);
+                    return;
+                }
+                emitCharacter((word >> 6) & 0o77, index);
+                emitCharacter(word & 0o77, index);
+        }
+    });
+
+    return { displayList, errors, state };
+}
+
+/**
+ * Convert a display list to a screen-space beam path
+ * Glyphs and dots are drawn in channel order; glyphs crossing the screen edge are clipped whole.
+ * @param {Array<Object>} displayList - Display list from interpretDisplayWords
+ * @param {string} screen - Screen to include ('left' or 'right'), or null for all entries
+ * @returns {Array} [x, y, intensity] triplets in screen units from implicit origin (0, 0)
+ */
+export function displayListToTriplets(displayList, screen = null) {
+    const triplets = [];
+
+    for (const entry of displayList) {
+        if (screen !== null && entry.screen !== screen) continue;
+
+        triplets.push(...displayEntryPath(entry));
+    }
+
+    return triplets;
+}
+
+/**
+ * Get the beam path for one display list entry
+ * The first triplet is the blanked move to the entry's position.
+ * @param {Object} entry - Display list entry from interpretDisplayWords
+ * @returns {Array} [x, y, intensity] triplets in screen units, empty for glyphs crossing the screen edge
+ */
+export function displayEntryPath(entry) {
+    if (entry.type === 'dot') {
+        return dotToScreenPath(entry.x, entry.y);
+    }
+    if (entry.x + CELL_SIZE * entry.characterScale > SCREEN_SIZE ||
+        entry.y + CELL_SIZE * entry.characterScale > SCREEN_SIZE) {
+        return [];
+    }
+    return glyphToScreenPath(entry.path, entry.x, entry.y, entry.characterScale);
+}
@@ -0,0 +1,65 @@
+// DD60 Dot Mode Plotting
+// Plots beam dwells at addressed 9-bit X/Y coordinates, as used for graphs and cursors
+// Dots share the triplet beam path format with character strokes so both mix in one frame
+
+import { SCREEN_SIZE } from '../cdcRomFunctions.js';
+
+/**
+ * Beam-on rows per dot: one 100ns row, the same as one stroke row
+ */
+export const DOT_DWELL_ROWS = 1;
+
+/**
+ * Check that a coordinate fits the 9-bit D/A
+ * @param {number} value - Coordinate value
+ * @param {string} axis - Axis name for the error message
+ * @throws {Error} If the value is not an integer from 0 to 511
+ */
+function checkCoordinate(value, axis) {
+    if (!Number.isInteger(value) || value < 0 || value >= SCREEN_SIZE) {
+        throw new Error(`Dot ${axis} coordinate must be an integer from 0 to ${SCREEN_SIZE - 1}, got ${value}`);
+    }
+}
+
+/**
+ * Build the beam path for a single dot
+ * The beam moves blanked to (x, y) and dwells with the beam on for dwellRows
+ * rows (one triplet each, like a zero-length stroke row). No closing blank row
+ * is added: the next entry's blanked move turns the beam off, as after a stroke.
+ *
+ * @param {number} x - X coordinate (0-511)
+ * @param {number} y - Y coordinate (0-511)
+ * @param {Object} options - Dot options
+ * @param {number} options.dwellRows - Beam-on rows; more rows give a brighter dot (default: 1)
+ * @param {number} options.intensity - Beam intensity while on (default: 1)
+ * @returns {Array} [x, y, intensity] triplets in screen units
+ * @throws {Error} If a coordinate is outside the 9-bit screen or dwellRows is not a positive integer
+ */
+export function dotToScreenPath(x, y, options = {}) {
+    const { dwellRows = DOT_DWELL_ROWS, intensity = 1 } = options;
+
+    checkCoordinate(x, 'X');
+    checkCoordinate(y, 'Y');
+    if (!Number.isInteger(dwellRows) || dwellRows < 1) {
+        throw new Error(`Dot dwell rows must be a positive integer, got ${dwellRows}`);
+    }
+
+    return [
+        [x, y, 0],
+        ...Array.from({ length: dwellRows }, () => [x, y, intensity])
+    ];
+}
+
+/**
+ * Build one beam path for a list of dots
+ * @param {Array<Array<number>|Object>} dots - Dots as [x, y] pairs or {x, y, dwellRows} objects
+ * @param {Object} options - Default dot options (see dotToScreenPath)
+ * @returns {Array} [x, y, intensity] triplets in screen units from implicit origin (0, 0)
+ */
+export function plotDots(dots, options = {}) {
+    return dots.flatMap(dot => {
+        const [x, y] = Array.isArray(dot) ? dot : [dot.x, dot.y];
+        const dotOptions = Array.isArray(dot) ? options : { ...options, ...dot };
+        return dotToScreenPath(x, y, dotOptions);
+    });
+}
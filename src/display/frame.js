@@ -0,0 +1,109 @@
+// DD60 Dual-Screen Frame Model
+// Independent left and right CRT screens, each with its own display list and beam path
+
+import { interpretDisplayWords, displayListToTriplets } from './controller6612.js';
+import { estimateScreenTiming } from './timing.js';
+
+/**
+ * Screens driven by the 6612 controller
+ */
+export const SCREENS = ['left', 'right'];
+
+/**
+ * Create an empty two-screen frame
+ * @returns {Object} {left: {displayList}, right: {displayList}, errors}
+ */
+export function createFrame() {
+    return {
+        left: { displayList: [] },
+        right: { displayList: [] },
+        errors: []
+    };
+}
+
+/**
+ * Add display list entries to a frame, routed by each entry's screen
+ * @param {Object} frame - Frame from createFrame
+ * @param {Array<Object>} displayList - Entries from interpretDisplayWords
+ * @returns {Object} The same frame
+ * @throws {Error} If an entry names an unknown screen
+ */
+export function addToFrame(frame, displayList) {
+    for (const entry of displayList) {
+        if (!SCREENS.includes(entry.screen)) {
+            throw new Error(`Unknown screen '${entry.screen}'`);
+        }
+        frame[entry.screen].displayList.push(entry);
+    }
+    return frame;
+}
+
+/**
+ * Build a frame from display channel words
+ * @param {Array<number|Object>} words - Channel words (see interpretDisplayWords)
+ * @param {Object} options - Interpreter options (see interpretDisplayWords)
+ * @returns {Object} Frame with controller errors and final state
+ */
+export function frameFromWords(words, options = {}) {
+    const { displayList, errors, state } = interpretDisplayWords(words, options);
+    const frame = addToFrame(createFrame(), displayList);
+    frame.errors = errors;
+    frame.state = state;
+    return frame;
+}
+
+/**
+ * Get one screen's beam path
+ * @param {Object} frame - Frame from createFrame
+ * @param {string} screen - 'left' or 'right'
+ * @returns {Array} [x, y, intensity] triplets in screen units
+ */
+export function getScreenTriplets(frame, screen) {
+    return displayListToTriplets(frame[screen].displayList);
+}
+
+/**
+ * Count vectors and refresh time for one screen
+ * Vectors are beam-on rows that move the beam. Refresh time and flicker risk
+ * come from estimateScreenTiming, so repositioning moves are charged as slews.
+ *
+ * @param {Object} frame - Frame from createFrame
+ * @param {string} screen - 'left' or 'right'
+ * @returns {Object} {glyphCount, dotCount, vectorCount, rowCount, refreshTimeNs, refreshRateHz, flickerRisk}
+ */
+export function getScreenStats(frame, screen) {
+    const { displayList } = frame[screen];
+    const triplets = getScreenTriplets(frame, screen);
+
+    let vectorCount = 0;
+    let prevX = 0, prevY = 0;
+    for (const [x, y, intensity] of triplets) {
+        if (intensity > 0 && (x !== prevX || y !== prevY)) vectorCount++;
+        prevX = x;
+        prevY = y;
+    }
+
+    const timing = estimateScreenTiming(displayList);
+
+    return {
+        glyphCount: timing.glyphCount,
+        dotCount: timing.dotCount,
+        vectorCount,
+        rowCount: triplets.length,
+        refreshTimeNs: timing.totalTimeNs,
+        refreshRateHz: timing.refreshRateHz,
+        flickerRisk: timing.flickerRisk
+    };
+}
+
+/**
+ * Get stats for both screens
+ * @param {Object} frame - Frame from createFrame
+ * @returns {Object} {left, right} stats from getScreenStats
+ */
+export function getFrameStats(frame) {
+    return {
+        left: getScreenStats(frame, 'left'),
+        right: getScreenStats(frame, 'right')
+    };
+}
@@ -0,0 +1,159 @@
+// DD60 Text Layout
+// Places strings on the 9-bit 512×512 screen space as one beam path
+// Screen origin is bottom left; text runs left to right and lines run downwards
+
+import { binaryToVector, SCREEN_SIZE } from '../cdcRomFunctions.js';
+import { getRom } from '../cdcRomRegistry.js';
+
+/**
+ * Character scales supported by the 6602 character generator
+ */
+export const CHARACTER_SCALES = [1, 2, 4];
+
+/**
+ * Base character cell in glyph units: 8 units per character gives 64 small,
+ * 32 medium or 16 large characters per 512-unit line
+ */
+export const CELL_SIZE = 8;
+
+/**
+ * Policies for characters with no glyph in the ROM
+ *   'blank'   - advance without drawing (the hardware draws nothing)
+ *   'skip'    - drop the character without advancing
+ *   'replace' - draw the replacement character instead
+ *   'throw'   - throw an Error naming the character and its position
+ */
+export const MISSING_POLICIES = ['blank', 'skip', 'replace', 'throw'];
+
+/**
+ * Place a decoded glyph on the screen
+ * @param {Array} vectorData - Glyph path of [x, y, beam] points from binaryToVector
+ * @param {number} x - Left edge of the character cell in screen units
+ * @param {number} y - Bottom edge of the character cell in screen units
+ * @param {number} characterScale - CDC character scale 1, 2 or 4
+ * @returns {Array} [x, y, intensity] triplets: a blanked move to (x, y), then one point per ROM row
+ */
+export function glyphToScreenPath(vectorData, x, y, characterScale = 1) {
+    return [
+        [x, y, 0],
+        ...vectorData.map(([gx, gy, beam]) => [x + gx * characterScale, y + gy * characterScale, beam ? 1 : 0])
+    ];
+}
+
+/**
+ * Lay out a string as positioned glyphs and a single screen-space beam path
+ *
+ * Each glyph contributes a blanked move to its cell origin followed by every
+ * decoded ROM row, so the path keeps one point per 100ns row for timing.
+ * Glyphs whose cell would cross the screen edge are clipped whole.
+ *
+ * @param {string} text - Text to lay out; '\n' starts a new line
+ * @param {Object} options - Layout options
+ * @param {number} options.characterScale - CDC character scale 1, 2 or 4 (default: 1)
+ * @param {number} options.x - Left edge of the first character cell (default: 0)
+ * @param {number} options.y - Bottom edge of the first line (default: top line of the screen)
+ * @param {number} options.advance - Horizontal advance in screen units (default: 8 × characterScale)
+ * @param {number} options.lineSpacing - Distance between lines in screen units (default: 8 × characterScale)
+ * @param {boolean} options.wrap - Wrap to the next line at the right edge instead of clipping (default: true)
+ * @param {number} options.right - Right edge used for wrapping and clipping (default: 512)
+ * @param {boolean} options.foldCase - Map lowercase letters to uppercase (default: true)
+ * @param {string} options.missing - Missing character policy, one of MISSING_POLICIES (default: 'blank')
+ * @param {string} options.replacement - Character drawn by the 'replace' policy (default: '*')
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Object} {triplets, glyphs, clipped, missing, cursor}
+ *          triplets: [x, y, intensity] beam path in screen units from implicit origin (0, 0)
+ *          glyphs: [{char, index, line, column, x, y, start, end}] placed glyphs with their triplet range
+ *          clipped: [{char, index, line, column}] characters outside the screen
+ *          missing: [{char, index}] characters with no glyph in the ROM
+ *          cursor: {x, y} position for the next character
+ * @throws {Error} For an unsupported character scale, an unknown policy, or a missing character under 'throw'
+ */
+export function layoutText(text, options = {}) {
+    const {
+        characterScale = 1,
+        x: left = 0,
+        y: top = SCREEN_SIZE - CELL_SIZE * characterScale,
+        advance = CELL_SIZE * characterScale,
+        lineSpacing = CELL_SIZE * characterScale,
+        wrap = true,
+        right = SCREEN_SIZE,
+        foldCase = true,
+        missing: missingPolicy = 'blank',
+        replacement = '*',
+        rom
+    } = options;
+
+    if (!CHARACTER_SCALES.includes(characterScale)) {
+        throw new Error(`Character scale must be one of ${CHARACTER_SCALES.join(', ')}, got ${characterScale}`);
+    }
+    if (!MISSING_POLICIES.includes(missingPolicy)) {
+        throw new Error(`Unknown missing character policy '${missingPolicy}'`);
+    }
+
+    const romData = getRom(rom);
+    const cellSize = CELL_SIZE * characterScale;
+    const triplets = [];
+    const glyphs = [];
+    const clipped = [];
+    const missing = [];
+
+    let cursorX = left;
+    let cursorY = top;
+    let line = 0;
+    let column = 0;
+
+    const newLine = () => {
+        cursorX = left;
+        cursorY -= lineSpacing;
+        line++;
+        column = 0;
+    };
+
+    const chars = Array.from(text);
+
+    for (let index = 0; index < chars.length; index++) {
+        let char = chars[index];
+
+        if (char === '\r') continue;
+        if (char === '\n') {
+            newLine();
+            continue;
+        }
+        if (foldCase) char = char.toUpperCase();
+
+        let binaryData = romData[char];
+        if (!binaryData) {
+            missing.push({ char, index });
+
+            if (missingPolicy === 'throw') {
+                throw new Error(`Character '${char}' at position ${index} has no glyph in the ROM`);
+            }
+            if (missingPolicy === 'skip') continue;
+            if (missingPolicy === 'replace') {
+                char = replacement;
+                binaryData = romData[replacement];
+            }
+        }
+
+        if (wrap && cursorX + cellSize > right && column > 0) {
+            newLine();
+        }
+
+        const offScreen = cursorX < 0 || cursorX + cellSize > Math.min(right, SCREEN_SIZE) ||
+                          cursorY < 0 || cursorY + cellSize > SCREEN_SIZE;
+
+        if (offScreen) {
+            clipped.push({ char, index, line, column });
+        } else if (binaryData) {
+            const start = triplets.length;
+            triplets.push(...glyphToScreenPath(binaryToVector(binaryData), cursorX, cursorY, characterScale));
+
+            glyphs.push({ char, index, line, column, x: cursorX, y: cursorY, start, end: triplets.length });
+        }
+
+        cursorX += advance;
+        column++;
+    }
+
+    return { triplets, glyphs, clipped, missing, cursor: { x: cursorX, y: cursorY } };
+}
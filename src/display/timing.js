@@ -0,0 +1,144 @@
+// DD60 Refresh Timing Estimator
+// Beam time per glyph and per screen, and the refresh rate and flicker risk that follow
+//
+// Each ROM row (stroke segment) takes 100ns whether the beam is on or off.
+// Moving the beam to the next character position is modelled as a deflection
+// slew: roughly 3µs for a full-screen (512 unit) move, scaled by the longer axis.
+
+import { ROW_DURATION_NS, SCREEN_SIZE } from '../cdcRomFunctions.js';
+import { displayEntryPath } from './controller6612.js';
+
+/**
+ * Time for a full-screen repositioning move in nanoseconds
+ */
+export const REPOSITION_FULL_SCREEN_NS = 3000;
+
+/**
+ * Flicker risk ratings by minimum refresh rate, checked in order
+ * 50Hz is considered a high refresh rate for the DD60.
+ */
+export const FLICKER_RATINGS = [
+    { rating: 'low', minRateHz: 50 },
+    { rating: 'moderate', minRateHz: 30 },
+    { rating: 'high', minRateHz: 0 }
+];
+
+/**
+ * Refresh rate used to report how many copies of a glyph fit in one frame
+ */
+const REFERENCE_RATE_HZ = 50;
+
+/**
+ * Time to reposition the beam between two screen points
+ * X and Y deflect together, so the longer axis sets the time.
+ * @param {Array<number>} from - [x, y] start position
+ * @param {Array<number>} to - [x, y] end position
+ * @returns {number} Repositioning time in nanoseconds
+ */
+export function repositionTimeNs(from, to) {
+    const distance = Math.max(Math.abs(to[0] - from[0]), Math.abs(to[1] - from[1]));
+    return distance / SCREEN_SIZE * REPOSITION_FULL_SCREEN_NS;
+}
+
+/**
+ * Rate flicker risk for a refresh rate
+ * @param {number} refreshRateHz - Achievable refresh rate
+ * @returns {string} 'low', 'moderate' or 'high'
+ */
+export function flickerRisk(refreshRateHz) {
+    return FLICKER_RATINGS.find(({ minRateHz }) => refreshRateHz >= minRateHz).rating;
+}
+
+/**
+ * Beam time for one glyph's rows
+ * @param {Array} triplets - [x, y, intensity] triplets, one per ROM row
+ * @returns {Object} {rows, beamOnRows, blankedRows, timeNs, beamOnTimeNs, blankedTimeNs, glyphsPer50Hz}
+ */
+export function glyphTiming(triplets) {
+    const rows = triplets.length;
+    const beamOnRows = triplets.filter(([, , intensity]) => intensity > 0).length;
+    const blankedRows = rows - beamOnRows;
+    const timeNs = rows * ROW_DURATION_NS;
+
+    return {
+        rows,
+        beamOnRows,
+        blankedRows,
+        timeNs,
+        beamOnTimeNs: beamOnRows * ROW_DURATION_NS,
+        blankedTimeNs: blankedRows * ROW_DURATION_NS,
+        glyphsPer50Hz: timeNs > 0 ? Math.floor(1e9 / REFERENCE_RATE_HZ / timeNs) : Infinity
+    };
+}
+
+/**
+ * Split a display list or text layout into per-item beam paths
+ * @param {Array<Object>|Object} screen - Display list, or layout result from layoutText
+ * @returns {Array<Object>} [{type, path}] where path[0] is the blanked move to the item
+ */
+function screenItems(screen) {
+    if (Array.isArray(screen)) {
+        return screen
+            .map(entry => ({ type: entry.type, path: displayEntryPath(entry) }))
+            .filter(item => item.path.length > 0);
+    }
+    return screen.glyphs.map(glyph => ({
+        type: 'char',
+        path: screen.triplets.slice(glyph.start, glyph.end)
+    }));
+}
+
+/**
+ * Estimate total beam time for one screen
+ *
+ * The beam starts at the origin and visits each glyph and dot in order.
+ * Character time counts every ROM row; blanked time is the beam-off rows
+ * plus all repositioning moves.
+ *
+ * @param {Array<Object>|Object} screen - Display list from interpretDisplayWords, or layout result from layoutText
+ * @returns {Object} {glyphCount, dotCount, characterRows, beamOnRows, blankedRows, repositionCount,
+ *                    characterTimeNs, beamOnTimeNs, repositionTimeNs, blankedTimeNs, totalTimeNs,
+ *                    refreshRateHz, flickerRisk}
+ */
+export function estimateScreenTiming(screen) {
+    const totals = {
+        glyphCount: 0,
+        dotCount: 0,
+        characterRows: 0,
+        beamOnRows: 0,
+        blankedRows: 0,
+        repositionCount: 0,
+        repositionTimeNs: 0
+    };
+
+    let position = [0, 0];
+    for (const { type, path } of screenItems(screen)) {
+        if (type === 'dot') totals.dotCount++;
+        else totals.glyphCount++;
+
+        const [move, ...rows] = path;
+        totals.repositionCount++;
+        totals.repositionTimeNs += repositionTimeNs(position, move);
+
+        const timing = glyphTiming(rows);
+        totals.characterRows += timing.rows;
+        totals.beamOnRows += timing.beamOnRows;
+        totals.blankedRows += timing.blankedRows;
+
+        position = path[path.length - 1];
+    }
+
+    const characterTimeNs = totals.characterRows * ROW_DURATION_NS;
+    const totalTimeNs = characterTimeNs + totals.repositionTimeNs;
+    const refreshRateHz = totalTimeNs > 0 ? 1e9 / totalTimeNs : Infinity;
+
+    return {
+        ...totals,
+        characterTimeNs,
+        beamOnTimeNs: totals.beamOnRows * ROW_DURATION_NS,
+        blankedTimeNs: totals.blankedRows * ROW_DURATION_NS + totals.repositionTimeNs,
+        totalTimeNs,
+        refreshRateHz,
+        flickerRisk: flickerRisk(refreshRateHz)
+    };
+}
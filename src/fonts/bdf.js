@@ -0,0 +1,171 @@
+// BDF Font Writer
+// Writes rasterized DD60 fonts as X11 Bitmap Distribution Format 2.1 text,
+// ready for bdftopcf (see docs/x11_fonts.md)
+//
+// ENCODING is the 6-bit CDC display code, so the font is registered with the
+// CDC6600-DISPLAY charset rather than an ASCII one.
+
+import { rasterizeFont, fontScaleCombinations } from './bitmapFont.js';
+import { getDisplayCodeForChar } from '../cdcDisplayCode.js';
+
+/**
+ * Screen resolution written to SIZE and the XLFD name, in dots per inch
+ */
+const RESOLUTION = 75;
+
+/**
+ * XLFD charset for display code encodings
+ */
+export const BDF_CHARSET = { registry: 'CDC6600', encoding: 'DISPLAY' };
+
+/**
+ * Encode one bitmap row as BDF hex, padded to whole bytes with the leftmost pixel in the MSB
+ * @param {Array<number>} row - 0/1 pixels
+ * @returns {string} Uppercase hex digits
+ */
+function rowToHex(row) {
+    let hex = '';
+    for (let i = 0; i < row.length; i += 8) {
+        const byte = row.slice(i, i + 8).reduce((value, bit, j) => value | (bit ? 0x80 >> j : 0), 0);
+        hex += byte.toString(16).toUpperCase().padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Glyph name for STARTCHAR and the PCF glyph name table
+ * @param {Object} glyph - Glyph from rasterizeFont
+ * @returns {string} Display code name with underscores, e.g. 'LETTER_A'
+ */
+export function glyphName(glyph) {
+    return glyph.name.replace(/ /g, '_');
+}
+
+/**
+ * X Logical Font Description for a rasterized font
+ * @param {Object} font - Result of rasterizeFont
+ * @returns {string} XLFD name with the DD60 name as family
+ */
+export function fontXLFD(font) {
+    return [
+        '', 'cdc', font.name, 'medium', 'r', 'normal', '',
+        font.cellSize, decipoints(font), RESOLUTION, RESOLUTION, 'c', font.cellSize * 10,
+        BDF_CHARSET.registry, BDF_CHARSET.encoding
+    ].join('-');
+}
+
+/**
+ * Point size in decipoints for a font's pixel size at RESOLUTION
+ * @param {Object} font - Result of rasterizeFont
+ * @returns {number} Point size × 10
+ */
+function decipoints(font) {
+    return Math.round(font.cellSize * 720 / RESOLUTION);
+}
+
+/**
+ * Scalable advance width shared by every glyph
+ * @param {Object} font - Result of rasterizeFont
+ * @returns {number} SWIDTH in 1/1000 em: DWIDTH × 1000 × 72 / (point size × resolution)
+ */
+export function scalableWidth(font) {
+    return Math.round(font.cellSize * 1000 * 72 / (decipoints(font) / 10 * RESOLUTION));
+}
+
+/**
+ * XLFD font properties shared by the BDF and PCF writers
+ * @param {Object} font - Result of rasterizeFont
+ * @returns {Array<Object>} [{name, value}] with string values for string properties
+ */
+export function fontProperties(font) {
+    const { cellSize, glyphs } = font;
+    const blank = getDisplayCodeForChar(' ');
+    const properties = [
+        { name: 'FOUNDRY', value: 'cdc' },
+        { name: 'FAMILY_NAME', value: font.name },
+        { name: 'WEIGHT_NAME', value: 'Medium' },
+        { name: 'SLANT', value: 'R' },
+        { name: 'SETWIDTH_NAME', value: 'Normal' },
+        { name: 'ADD_STYLE_NAME', value: '' },
+        { name: 'PIXEL_SIZE', value: cellSize },
+        { name: 'POINT_SIZE', value: decipoints(font) },
+        { name: 'RESOLUTION_X', value: RESOLUTION },
+        { name: 'RESOLUTION_Y', value: RESOLUTION },
+        { name: 'SPACING', value: 'C' },
+        { name: 'AVERAGE_WIDTH', value: cellSize * 10 },
+        { name: 'CHARSET_REGISTRY', value: BDF_CHARSET.registry },
+        { name: 'CHARSET_ENCODING', value: BDF_CHARSET.encoding },
+        { name: 'FONT_ASCENT', value: cellSize },
+        { name: 'FONT_DESCENT', value: 0 }
+    ];
+    if (glyphs.some(glyph => glyph.code === blank)) {
+        properties.push({ name: 'DEFAULT_CHAR', value: blank });
+    }
+    return properties;
+}
+
+/**
+ * Write a rasterized font as BDF
+ * Each glyph's BBX is its ink box above the baseline and DWIDTH is the 8-unit cell,
+ * so the font is character-cell spaced like the 6602.
+ *
+ * @param {Object} font - Result of rasterizeFont
+ * @returns {string} BDF file contents
+ */
+export function writeBDF(font) {
+    const { cellSize, glyphs } = font;
+    const boxes = glyphs.map(glyph => glyph.bbx);
+    const minX = Math.min(...boxes.map(b => b.x));
+    const minY = Math.min(...boxes.map(b => b.y));
+    const maxX = Math.max(...boxes.map(b => b.x + b.width));
+    const maxY = Math.max(...boxes.map(b => b.y + b.height));
+    const properties = fontProperties(font);
+    const swidth = scalableWidth(font);
+
+    const lines = [
+        'STARTFONT 2.1',
+        `FONT ${fontXLFD(font)}`,
+        `SIZE ${cellSize} ${RESOLUTION} ${RESOLUTION}`,
+        `FONTBOUNDINGBOX ${maxX - minX} ${maxY - minY} ${minX} ${minY}`,
+        `STARTPROPERTIES ${properties.length}`,
+        ...properties.map(({ name, value }) => `${name} ${typeof value === 'string' ? `"${value}"` : value}`),
+        'ENDPROPERTIES',
+        `CHARS ${glyphs.length}`
+    ];
+
+    for (const glyph of glyphs) {
+        const { width, height, x, y, rows } = glyph.bbx;
+        lines.push(
+            `STARTCHAR ${glyphName(glyph)}`,
+            `ENCODING ${glyph.code}`,
+            `SWIDTH ${swidth} 0`,
+            `DWIDTH ${cellSize} 0`,
+            `BBX ${width} ${height} ${x} ${y}`,
+            'BITMAP',
+            ...rows.map(rowToHex),
+            'ENDCHAR'
+        );
+    }
+
+    lines.push('ENDFONT');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Rasterize the ROM and write it as BDF
+ * @param {Object} options - rasterizeFont options (parameter set and rom)
+ * @returns {Object} {name, fileName, bdf}
+ */
+export function generateBDF(options = {}) {
+    const font = rasterizeFont(options);
+    return { name: font.name, fileName: `${font.name}.bdf`, bdf: writeBDF(font) };
+}
+
+/**
+ * Write a BDF font for every character scale × canvas scale combination
+ * @param {Object} options - Shared rasterizeFont options (deviceScale, artifactLevel, rom)
+ * @returns {Array<Object>} [{name, fileName, bdf}] from DD60_C1_R1 to DD60_C4_R8
+ */
+export function generateBDFFonts(options = {}) {
+    return fontScaleCombinations(options).map(generateBDF);
+}
@@ -0,0 +1,169 @@
+// DD60 Bitmap Fonts
+// Rasterizes every ROM glyph for one DD60_C_R_D_B_A parameter set, the shared
+// input for the X11 bitmap font writers
+//
+// Glyphs are drawn with renderCDCScaledBitmap on a headless 1-bit raster, so
+// the beam stays one unit wide at every character scale and canvas and device
+// scale enlarge glyph and beam together, as in the viewers.
+
+import { generateTripletRom } from '../chargenTriplets.js';
+import { renderCDCScaledBitmap } from '../chargenRenderer.js';
+import { DISPLAY_CODES } from '../cdcDisplayCode.js';
+import { getRom } from '../cdcRomRegistry.js';
+import { CHARACTER_SCALES, CELL_SIZE } from '../display/textLayout.js';
+import { createRasterContext, rasterToBits } from '../rendering/rasterTarget.js';
+import { getArtifactPreset } from '../analog/artifacts.js';
+
+/**
+ * Canvas scales (R) and device scales (D) of the naming scheme
+ */
+export const CANVAS_SCALES = [1, 2, 4, 8];
+export const DEVICE_SCALES = [1, 2, 4];
+
+/**
+ * Glyph size in units before scaling (the 7×7 drawing area of the 8×8 cell)
+ */
+const GLYPH_SIZE = 7;
+
+/**
+ * Resolve and check a DD60 parameter set
+ * @param {Object} options - {characterScale, canvasScale, deviceScale, bitDepth, artifactLevel}
+ * @returns {Object} Parameters with defaults C1 R1 D1 B1 A0
+ * @throws {Error} If a parameter is outside the naming scheme
+ */
+function fontParameters(options) {
+    const { characterScale = 1, canvasScale = 1, deviceScale = 1, bitDepth = 1, artifactLevel = 0 } = options;
+    const checks = [
+        ['Character scale', characterScale, CHARACTER_SCALES],
+        ['Canvas scale', canvasScale, CANVAS_SCALES],
+        ['Device scale', deviceScale, DEVICE_SCALES],
+        ['Bit depth', bitDepth, [1, 8]]
+    ];
+    for (const [label, value, allowed] of checks) {
+        if (!allowed.includes(value)) {
+            throw new Error(`${label} must be one of ${allowed.join(', ')}, got ${value}`);
+        }
+    }
+    return { characterScale, canvasScale, deviceScale, bitDepth, artifactLevel: getArtifactPreset(artifactLevel).level };
+}
+
+/**
+ * Name a font or display mode by the DD60_C_R_D_B_A convention
+ * @param {Object} options - Parameter set
+ * @param {number} options.characterScale - C: 1, 2 or 4 (default: 1)
+ * @param {number} options.canvasScale - R: 1, 2, 4 or 8 (default: 1)
+ * @param {number} options.deviceScale - D: 1, 2 or 4 (default: 1)
+ * @param {number} options.bitDepth - B: 1 or 8 (default: 1)
+ * @param {number|string} options.artifactLevel - A: 0-9 or 'A0'-'A9' (default: 0)
+ * @returns {string} Name such as 'DD60_C1_R1_D1_B1_A0'
+ * @throws {Error} If a parameter is outside the naming scheme
+ */
+export function fontName(options = {}) {
+    const p = fontParameters(options);
+    return `DD60_C${p.characterScale}_R${p.canvasScale}_D${p.deviceScale}_B${p.bitDepth}_A${p.artifactLevel}`;
+}
+
+/**
+ * Parse a DD60_C_R_D_B_A name
+ * @param {string} name - Name such as 'DD60_C2_R1_D1_B1_A0'
+ * @returns {Object} {characterScale, canvasScale, deviceScale, bitDepth, artifactLevel}
+ * @throws {Error} If the name does not follow the convention
+ */
+export function parseFontName(name) {
+    const match = /^DD60_C(\d+)_R(\d+)_D(\d+)_B(\d+)_A(\d)$/.exec(name);
+    if (!match) {
+        throw new Error(`'${name}' is not a DD60_C_R_D_B_A name`);
+    }
+    const [characterScale, canvasScale, deviceScale, bitDepth, artifactLevel] = match.slice(1).map(Number);
+    return fontParameters({ characterScale, canvasScale, deviceScale, bitDepth, artifactLevel });
+}
+
+/**
+ * Every character scale × canvas scale combination at one device scale
+ * @param {Object} options - Shared parameters (deviceScale, bitDepth, artifactLevel)
+ * @returns {Array<Object>} Parameter sets, character scale varying fastest within each canvas scale
+ */
+export function fontScaleCombinations(options = {}) {
+    return CANVAS_SCALES.flatMap(canvasScale =>
+        CHARACTER_SCALES.map(characterScale => ({ ...options, characterScale, canvasScale })));
+}
+
+/**
+ * Crop a glyph bitmap to its ink
+ * @param {Array<Array<number>>} bits - Rows of 0/1, top row first, bottom row on the baseline
+ * @returns {Object} {width, height, x, y, rows}: BDF-style bounding box and cropped rows;
+ *          a glyph without ink keeps the full, blank bitmap
+ */
+function cropGlyph(bits) {
+    const size = bits.length;
+    const inkRows = bits.map((row, y) => (row.includes(1) ? y : -1)).filter(y => y >= 0);
+    if (inkRows.length === 0) {
+        return { width: size, height: size, x: 0, y: 0, rows: bits };
+    }
+    const inkColumns = bits[0].map((_, x) => x).filter(x => bits.some(row => row[x]));
+    const top = inkRows[0], bottom = inkRows[inkRows.length - 1];
+    const left = inkColumns[0], right = inkColumns[inkColumns.length - 1];
+    return {
+        width: right - left + 1,
+        height: bottom - top + 1,
+        x: left,
+        y: size - 1 - bottom,
+        rows: bits.slice(top, bottom + 1).map(row => row.slice(left, right + 1))
+    };
+}
+
+/**
+ * Rasterize the ROM as a 1-bit bitmap font
+ * Glyphs come in display code order; codes without a ROM glyph are left out.
+ * The baseline is the bottom of the glyph and the cell is 8 units square,
+ * so the advance and line height match layoutText.
+ *
+ * @param {Object} options - Parameter set (see fontName) plus:
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Object} {name, parameters, pixelScale, cellSize, glyphSize, glyphs}
+ *          pixelScale: pixels per screen unit (canvas × device scale)
+ *          cellSize: advance and line height in pixels
+ *          glyphSize: side of the unscaled 7×7 drawing area in pixels
+ *          glyphs: [{code, octal, romKey, name, symbol, bits, bbx: {width, height, x, y, rows}}]
+ * @throws {Error} If a parameter is outside the naming scheme or the bit depth is not 1
+ */
+export function rasterizeFont(options = {}) {
+    const parameters = fontParameters(options);
+    if (parameters.bitDepth !== 1) {
+        throw new Error(`Bitmap fonts are 1-bit only, got bit depth ${parameters.bitDepth}`);
+    }
+    const { characterScale, canvasScale, deviceScale, artifactLevel } = parameters;
+    const pixelScale = canvasScale * deviceScale;
+    const glyphSize = GLYPH_SIZE * characterScale * pixelScale;
+    const romData = getRom(options.rom);
+    const tripletRom = generateTripletRom(options.rom);
+
+    const glyphs = DISPLAY_CODES.filter(entry => romData[entry.romKey]).map(entry => {
+        const ctx = createRasterContext(glyphSize, glyphSize, { depth: 1 });
+        ctx.scale(pixelScale, pixelScale);
+        renderCDCScaledBitmap(ctx, tripletRom[entry.romKey], characterScale, {
+            pixelColor: '#ffffff',
+            backgroundColor: '#000000',
+            artifactLevel
+        });
+        const bits = rasterToBits(ctx);
+        return {
+            code: entry.code,
+            octal: entry.octal,
+            romKey: entry.romKey,
+            name: entry.name,
+            symbol: entry.symbol,
+            bits,
+            bbx: cropGlyph(bits)
+        };
+    });
+
+    return {
+        name: fontName(parameters),
+        parameters,
+        pixelScale,
+        cellSize: CELL_SIZE * characterScale * pixelScale,
+        glyphSize,
+        glyphs
+    };
+}
@@ -0,0 +1,603 @@
+// PCF Font Writer and Reader
+// Writes rasterized DD60 fonts as X11 Portable Compiled Format, the binary form
+// bdftopcf produces, and reads them back (see docs/x11_fonts.md)
+//
+// The file header and table directory are always LSB first. Each table starts
+// with its format, also LSB first; the format bits then give the byte order of
+// the rest of the table and, for bitmaps, the bit order, row padding and scan unit.
+
+import { rasterizeFont, fontScaleCombinations } from './bitmapFont.js';
+import { fontXLFD, fontProperties, scalableWidth, glyphName } from './bdf.js';
+
+/**
+ * Table types, in the order they are written
+ */
+export const PCF_TABLES = Object.freeze({
+    PROPERTIES: 1 << 0,
+    ACCELERATORS: 1 << 1,
+    METRICS: 1 << 2,
+    BITMAPS: 1 << 3,
+    INK_METRICS: 1 << 4,
+    BDF_ENCODINGS: 1 << 5,
+    SWIDTHS: 1 << 6,
+    GLYPH_NAMES: 1 << 7,
+    BDF_ACCELERATORS: 1 << 8
+});
+
+/**
+ * Format bits
+ *   GLYPH_PAD_MASK  - row padding index: rows pad to 1 << (format & 3) bytes
+ *   BYTE_MASK       - set: most significant byte first
+ *   BIT_MASK        - set: most significant bit is the leftmost pixel
+ *   SCAN_UNIT_MASK  - scan unit index: bitmap bytes are swapped in 1 << index byte units
+ *                     when byte order and bit order differ
+ */
+export const PCF_FORMAT = Object.freeze({
+    DEFAULT: 0x000,
+    ACCEL_W_INKBOUNDS: 0x100,
+    COMPRESSED_METRICS: 0x100,
+    GLYPH_PAD_MASK: 3 << 0,
+    BYTE_MASK: 1 << 2,
+    BIT_MASK: 1 << 3,
+    SCAN_UNIT_MASK: 3 << 4
+});
+
+const PCF_MAGIC = 0x70636601;     // '\1fcp'
+const NO_GLYPH = 0xffff;
+const PAD_SIZES = [1, 2, 4, 8];
+const SCAN_UNITS = [1, 2, 4];
+
+/**
+ * Resolve the layout options to format modifier bits
+ * @param {Object} options - {byteOrder, bitOrder, glyphPad, scanUnit}
+ * @returns {number} Format bits shared by every table
+ * @throws {Error} If an option is not a supported value
+ */
+function layoutFormat(options) {
+    const { byteOrder = 'msb', bitOrder = 'msb', glyphPad = 4, scanUnit = 1 } = options;
+    for (const [label, value] of [['Byte order', byteOrder], ['Bit order', bitOrder]]) {
+        if (value !== 'msb' && value !== 'lsb') {
+            throw new Error(`${label} must be 'msb' or 'lsb', got '${value}'`);
+        }
+    }
+    if (!PAD_SIZES.includes(glyphPad)) {
+        throw new Error(`Glyph padding must be one of ${PAD_SIZES.join(', ')} bytes, got ${glyphPad}`);
+    }
+    if (!SCAN_UNITS.includes(scanUnit) || scanUnit > glyphPad) {
+        throw new Error(`Scan unit must be 1, 2 or 4 bytes and no larger than the glyph padding, got ${scanUnit}`);
+    }
+    return PAD_SIZES.indexOf(glyphPad) |
+        (byteOrder === 'msb' ? PCF_FORMAT.BYTE_MASK : 0) |
+        (bitOrder === 'msb' ? PCF_FORMAT.BIT_MASK : 0) |
+        (SCAN_UNITS.indexOf(scanUnit) << 4);
+}
+
+/**
+ * Start a table: a byte list with integer writers in the format's byte order
+ * @param {number} format - Table format; written first, LSB first
+ * @returns {Object} {bytes, int8, int16, int32, pad4}
+ */
+function createTable(format) {
+    const bytes = [];
+    const msb = Boolean(format & PCF_FORMAT.BYTE_MASK);
+    const int = (value, size, bigEndian) => {
+        for (let i = 0; i < size; i++) {
+            const shift = 8 * (bigEndian ? size - 1 - i : i);
+            bytes.push((value >>> shift) & 0xff);
+        }
+    };
+    int(format, 4, false);
+    return {
+        bytes,
+        int8: value => int(value, 1, msb),
+        int16: value => int(value, 2, msb),
+        int32: value => int(value, 4, msb),
+        pad4: () => { while (bytes.length % 4) bytes.push(0); }
+    };
+}
+
+/**
+ * Glyph metrics from the rasterized bounding boxes
+ * @param {Object} font - Result of rasterizeFont
+ * @returns {Object} {metrics, inkMetrics}: X CharInfo fields per glyph; glyphs without ink
+ *          keep their full box in metrics and an empty ink box
+ */
+function glyphMetrics(font) {
+    const toMetric = (box, characterWidth) => ({
+        leftSideBearing: box.x,
+        rightSideBearing: box.x + box.width,
+        characterWidth,
+        ascent: box.y + box.height,
+        descent: -box.y,
+        attributes: 0
+    });
+    const metrics = font.glyphs.map(glyph => toMetric(glyph.bbx, font.cellSize));
+    const inkMetrics = font.glyphs.map(glyph => (glyph.bbx.rows.some(row => row.includes(1))
+        ? toMetric(glyph.bbx, font.cellSize)
+        : toMetric({ x: 0, y: 0, width: 0, height: 0 }, font.cellSize)));
+    return { metrics, inkMetrics };
+}
+
+const METRIC_FIELDS = ['leftSideBearing', 'rightSideBearing', 'characterWidth', 'ascent', 'descent', 'attributes'];
+
+/**
+ * Field-wise bounds of a metric list
+ * @param {Array<Object>} metrics - Glyph metrics
+ * @param {Function} pick - Math.min or Math.max
+ * @returns {Object} Bounding metric
+ */
+function metricBounds(metrics, pick) {
+    return Object.fromEntries(METRIC_FIELDS.map(field => [field, pick(...metrics.map(m => m[field]))]));
+}
+
+/**
+ * Write one uncompressed metric (six 16-bit fields)
+ * @param {Object} table - Table from createTable
+ * @param {Object} metric - Glyph metric
+ */
+function writeMetric(table, metric) {
+    METRIC_FIELDS.forEach(field => table.int16(metric[field]));
+}
+
+/**
+ * Build the properties table
+ * @param {Array<Object>} properties - [{name, value}]
+ * @param {number} format - Table format
+ * @returns {Array<number>} Table bytes
+ */
+function propertiesTable(properties, format) {
+    const table = createTable(format);
+    const strings = [];
+    let stringSize = 0;
+    const addString = text => {
+        const offset = stringSize;
+        const encoded = [...new TextEncoder().encode(text), 0];
+        strings.push(...encoded);
+        stringSize += encoded.length;
+        return offset;
+    };
+
+    table.int32(properties.length);
+    for (const { name, value } of properties) {
+        table.int32(addString(name));
+        table.int8(typeof value === 'string' ? 1 : 0);
+        table.int32(typeof value === 'string' ? addString(value) : value);
+    }
+    table.pad4();
+    table.int32(stringSize);
+    table.bytes.push(...strings);
+    return table.bytes;
+}
+
+/**
+ * Build an accelerator table; PCF_ACCELERATORS and PCF_BDF_ACCELERATORS carry the same values
+ * @param {Object} font - Result of rasterizeFont
+ * @param {Array<Object>} metrics - Metrics the bounds come from
+ * @param {Array<Object>} inkMetrics - Ink metrics for the ink bounds
+ * @param {number} format - Layout format bits
+ * @returns {Array<number>} Table bytes
+ */
+function acceleratorTable(font, metrics, inkMetrics, format) {
+    const table = createTable(format | PCF_FORMAT.ACCEL_W_INKBOUNDS);
+    const fontAscent = font.cellSize;
+    const fontDescent = 0;
+    const minbounds = metricBounds(metrics, Math.min);
+    const maxbounds = metricBounds(metrics, Math.max);
+    const maxOverlap = Math.max(...metrics.map(m => m.rightSideBearing - m.characterWidth));
+    const constantWidth = minbounds.characterWidth === maxbounds.characterWidth;
+    const constantMetrics = METRIC_FIELDS.every(field => minbounds[field] === maxbounds[field]);
+    const inkInside = metrics.every(m => m.leftSideBearing >= 0 && m.rightSideBearing <= m.characterWidth &&
+        m.ascent <= fontAscent && m.descent <= fontDescent);
+    const terminalFont = constantMetrics && minbounds.leftSideBearing === 0 &&
+        minbounds.rightSideBearing === minbounds.characterWidth &&
+        minbounds.ascent === fontAscent && minbounds.descent === fontDescent;
+    const inkDiffers = metrics.some((m, i) => METRIC_FIELDS.some(field => m[field] !== inkMetrics[i][field]));
+
+    [maxOverlap <= minbounds.leftSideBearing, constantMetrics, terminalFont, constantWidth,
+        inkInside, inkDiffers, false, false].forEach(flag => table.int8(flag ? 1 : 0));
+    table.int32(fontAscent);
+    table.int32(fontDescent);
+    table.int32(maxOverlap);
+    writeMetric(table, minbounds);
+    writeMetric(table, maxbounds);
+    writeMetric(table, metricBounds(inkMetrics, Math.min));
+    writeMetric(table, metricBounds(inkMetrics, Math.max));
+    return table.bytes;
+}
+
+/**
+ * Build a metrics table, compressed when every field fits in a byte
+ * @param {Array<Object>} metrics - Glyph metrics
+ * @param {number} format - Layout format bits
+ * @returns {Array<number>} Table bytes
+ */
+function metricsTable(metrics, format) {
+    const compressed = metrics.every(m => METRIC_FIELDS.slice(0, 5).every(field => m[field] >= -128 && m[field] <= 127));
+    const table = createTable(format | (compressed ? PCF_FORMAT.COMPRESSED_METRICS : 0));
+    if (compressed) {
+        table.int16(metrics.length);
+        metrics.forEach(m => METRIC_FIELDS.slice(0, 5).forEach(field => table.int8(m[field] + 0x80)));
+    } else {
+        table.int32(metrics.length);
+        metrics.forEach(m => writeMetric(table, m));
+    }
+    return table.bytes;
+}
+
+/**
+ * Pack one glyph's rows in the format's bit order, row padding and scan unit byte order
+ * @param {Array<Array<number>>} rows - Rows of 0/1, top first
+ * @param {number} format - Layout format bits
+ * @param {number} glyphPad - Row padding in bytes (may differ from the format's, for bitmapSizes)
+ * @returns {Array<number>} Glyph bytes
+ */
+function packGlyph(rows, format, glyphPad) {
+    const msbBit = Boolean(format & PCF_FORMAT.BIT_MASK);
+    const swap = Boolean(format & PCF_FORMAT.BYTE_MASK) !== msbBit;
+    const scanUnit = SCAN_UNITS[(format & PCF_FORMAT.SCAN_UNIT_MASK) >> 4];
+    const bytes = [];
+
+    for (const row of rows) {
+        const rowBytes = Math.ceil(Math.ceil(row.length / 8) / glyphPad) * glyphPad;
+        const packed = new Array(rowBytes).fill(0);
+        row.forEach((bit, x) => {
+            if (bit) packed[x >> 3] |= msbBit ? 0x80 >> (x & 7) : 1 << (x & 7);
+        });
+        if (swap && scanUnit > 1) {
+            for (let i = 0; i < rowBytes; i += scanUnit) {
+                packed.splice(i, scanUnit, ...packed.slice(i, i + scanUnit).reverse());
+            }
+        }
+        bytes.push(...packed);
+    }
+    return bytes;
+}
+
+/**
+ * Build the bitmaps table
+ * @param {Object} font - Result of rasterizeFont
+ * @param {Array<Object>} metrics - Glyph metrics, giving each bitmap's size
+ * @param {number} format - Layout format bits
+ * @returns {Array<number>} Table bytes
+ */
+function bitmapsTable(font, metrics, format) {
+    const table = createTable(format);
+    const glyphPad = PAD_SIZES[format & PCF_FORMAT.GLYPH_PAD_MASK];
+    const rowsOf = (glyph, i) => {
+        const { rightSideBearing, leftSideBearing, ascent, descent } = metrics[i];
+        const width = rightSideBearing - leftSideBearing;
+        return glyph.bbx.rows.slice(0, ascent + descent).map(row => row.slice(0, width));
+    };
+    const glyphBytes = font.glyphs.map((glyph, i) => packGlyph(rowsOf(glyph, i), format, glyphPad));
+    const sizes = PAD_SIZES.map(pad => font.glyphs.reduce((total, glyph, i) => {
+        const { rightSideBearing, leftSideBearing, ascent, descent } = metrics[i];
+        return total + Math.ceil(Math.ceil((rightSideBearing - leftSideBearing) / 8) / pad) * pad * (ascent + descent);
+    }, 0));
+
+    table.int32(font.glyphs.length);
+    let offset = 0;
+    for (const bytes of glyphBytes) {
+        table.int32(offset);
+        offset += bytes.length;
+    }
+    sizes.forEach(size => table.int32(size));
+    glyphBytes.forEach(bytes => table.bytes.push(...bytes));
+    return table.bytes;
+}
+
+/**
+ * Build the BDF encodings table (single-byte, indexed by display code)
+ * @param {Object} font - Result of rasterizeFont
+ * @param {number} defaultChar - Default character code, or NO_GLYPH
+ * @param {number} format - Layout format bits
+ * @returns {Array<number>} Table bytes
+ */
+function encodingsTable(font, defaultChar, format) {
+    const table = createTable(format);
+    const codes = font.glyphs.map(glyph => glyph.code);
+    const minCode = Math.min(...codes);
+    const maxCode = Math.max(...codes);
+
+    [minCode, maxCode, 0, 0, defaultChar].forEach(value => table.int16(value));
+    for (let code = minCode; code <= maxCode; code++) {
+        const index = codes.indexOf(code);
+        table.int16(index >= 0 ? index : NO_GLYPH);
+    }
+    return table.bytes;
+}
+
+/**
+ * Build a table of 32-bit values with a count, then a string table (swidths and glyph names)
+ * @param {Array<number>} values - One value per glyph
+ * @param {number} format - Layout format bits
+ * @param {Array<number>} strings - Optional trailing string bytes, written with their size
+ * @returns {Array<number>} Table bytes
+ */
+function glyphValuesTable(values, format, strings = null) {
+    const table = createTable(format);
+    table.int32(values.length);
+    values.forEach(value => table.int32(value));
+    if (strings) {
+        table.int32(strings.length);
+        table.bytes.push(...strings);
+    }
+    return table.bytes;
+}
+
+/**
+ * Write a rasterized font as PCF
+ * @param {Object} font - Result of rasterizeFont
+ * @param {Object} options - Layout options, shared by every table
+ * @param {string} options.byteOrder - 'msb' or 'lsb' (default: 'msb')
+ * @param {string} options.bitOrder - 'msb' or 'lsb': which bit holds the leftmost pixel (default: 'msb')
+ * @param {number} options.glyphPad - Bitmap row padding in bytes: 1, 2, 4 or 8 (default: 4)
+ * @param {number} options.scanUnit - Bitmap scan unit in bytes: 1, 2 or 4, at most glyphPad (default: 1)
+ * @returns {Uint8Array} PCF file contents
+ * @throws {Error} If a layout option is not supported
+ */
+export function writePCF(font, options = {}) {
+    const format = layoutFormat(options);
+    const { metrics, inkMetrics } = glyphMetrics(font);
+    const properties = [{ name: 'FONT', value: fontXLFD(font) }, ...fontProperties(font)];
+    const defaultChar = properties.find(p => p.name === 'DEFAULT_CHAR')?.value ?? NO_GLYPH;
+
+    const encoder = new TextEncoder();
+    const nameOffsets = [];
+    const nameBytes = [];
+    font.glyphs.forEach(glyph => {
+        nameOffsets.push(nameBytes.length);
+        nameBytes.push(...encoder.encode(glyphName(glyph)), 0);
+    });
+
+    const tables = [
+        [PCF_TABLES.PROPERTIES, propertiesTable(properties, format)],
+        [PCF_TABLES.ACCELERATORS, acceleratorTable(font, metrics, inkMetrics, format)],
+        [PCF_TABLES.METRICS, metricsTable(metrics, format)],
+        [PCF_TABLES.BITMAPS, bitmapsTable(font, metrics, format)],
+        [PCF_TABLES.INK_METRICS, metricsTable(inkMetrics, format)],
+        [PCF_TABLES.BDF_ENCODINGS, encodingsTable(font, defaultChar, format)],
+        [PCF_TABLES.SWIDTHS, glyphValuesTable(font.glyphs.map(() => scalableWidth(font)), format)],
+        [PCF_TABLES.GLYPH_NAMES, glyphValuesTable(nameOffsets, format, nameBytes)],
+        [PCF_TABLES.BDF_ACCELERATORS, acceleratorTable(font, metrics, inkMetrics, format)]
+    ].map(([type, bytes]) => {
+        while (bytes.length % 4) bytes.push(0);
+        return { type, bytes };
+    });
+
+    const headerSize = 8 + tables.length * 16;
+    const size = headerSize + tables.reduce((total, t) => total + t.bytes.length, 0);
+    const out = new Uint8Array(size);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, PCF_MAGIC, true);
+    view.setUint32(4, tables.length, true);
+
+    let offset = headerSize;
+    tables.forEach((table, i) => {
+        const entry = 8 + i * 16;
+        view.setUint32(entry, table.type, true);
+        view.setUint32(entry + 4, table.bytes[0] | (table.bytes[1] << 8) | (table.bytes[2] << 16) | (table.bytes[3] << 24), true);
+        view.setUint32(entry + 8, table.bytes.length, true);
+        view.setUint32(entry + 12, offset, true);
+        out.set(table.bytes, offset);
+        offset += table.bytes.length;
+    });
+
+    return out;
+}
+
+/**
+ * Read a table: integer readers in the byte order of the format stored at its start
+ * @param {DataView} view - File view
+ * @param {number} offset - Table offset
+ * @returns {Object} {format, int8, int16, uint16, int32, skip, position}
+ */
+function openTable(view, offset) {
+    const format = view.getUint32(offset, true);
+    const littleEndian = !(format & PCF_FORMAT.BYTE_MASK);
+    let position = offset + 4;
+    const read = (size, getter) => {
+        const value = getter(position);
+        position += size;
+        return value;
+    };
+    return {
+        format,
+        int8: () => read(1, p => view.getInt8(p)),
+        uint8: () => read(1, p => view.getUint8(p)),
+        int16: () => read(2, p => view.getInt16(p, littleEndian)),
+        uint16: () => read(2, p => view.getUint16(p, littleEndian)),
+        int32: () => read(4, p => view.getInt32(p, littleEndian)),
+        skip: count => { position += count; },
+        align4: () => { position = offset + Math.ceil((position - offset) / 4) * 4; },
+        position: () => position
+    };
+}
+
+/**
+ * Read a null-terminated string
+ * @param {Uint8Array} bytes - File bytes
+ * @param {number} start - First byte
+ * @returns {string} Decoded string
+ */
+function readString(bytes, start) {
+    let end = start;
+    while (bytes[end] !== 0 && end < bytes.length) end++;
+    return new TextDecoder().decode(bytes.subarray(start, end));
+}
+
+/**
+ * Read a metric, compressed or not
+ * @param {Object} table - Table from openTable
+ * @param {boolean} compressed - Five biased bytes instead of six 16-bit fields
+ * @returns {Object} Glyph metric
+ */
+function readMetric(table, compressed) {
+    if (compressed) {
+        const values = METRIC_FIELDS.slice(0, 5).map(() => table.uint8() - 0x80);
+        return { ...Object.fromEntries(METRIC_FIELDS.slice(0, 5).map((f, i) => [f, values[i]])), attributes: 0 };
+    }
+    const values = METRIC_FIELDS.map(field => (field === 'attributes' ? table.uint16() : table.int16()));
+    return Object.fromEntries(METRIC_FIELDS.map((f, i) => [f, values[i]]));
+}
+
+/**
+ * Read a PCF font
+ * Covers the tables writePCF produces, in any supported byte order, bit order,
+ * padding and scan unit.
+ *
+ * @param {Uint8Array|ArrayBuffer} data - PCF file contents
+ * @returns {Object} {tables, properties, accelerators, bdfAccelerators, metrics, inkMetrics,
+ *          encodings, swidths, glyphNames, glyphs}
+ *          tables: [{type, format, size, offset}]
+ *          encodings: {minChar, maxChar, defaultChar, glyphIndex: {code: index}}
+ *          glyphs: [{name, code, metric, rows}] with rows of 0/1 pixels, top first
+ * @throws {Error} If the data is not a PCF file or a required table is missing
+ */
+export function readPCF(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (bytes.length < 8 || view.getUint32(0, true) !== PCF_MAGIC) {
+        throw new Error('Not a PCF font: missing \\1fcp header');
+    }
+
+    const tables = Array.from({ length: view.getUint32(4, true) }, (_, i) => ({
+        type: view.getUint32(8 + i * 16, true),
+        format: view.getUint32(12 + i * 16, true),
+        size: view.getUint32(16 + i * 16, true),
+        offset: view.getUint32(20 + i * 16, true)
+    }));
+    const find = type => tables.find(t => t.type === type);
+    const open = type => {
+        const entry = find(type);
+        if (!entry) throw new Error(`PCF font has no table of type ${type}`);
+        return openTable(view, entry.offset);
+    };
+
+    // Properties
+    const props = open(PCF_TABLES.PROPERTIES);
+    const rawProps = Array.from({ length: props.int32() }, () => ({
+        nameOffset: props.int32(), isString: props.int8() !== 0, value: props.int32()
+    }));
+    props.align4();
+    props.skip(4);
+    const stringBase = props.position();
+    const properties = Object.fromEntries(rawProps.map(p => [
+        readString(bytes, stringBase + p.nameOffset),
+        p.isString ? readString(bytes, stringBase + p.value) : p.value
+    ]));
+
+    const readMetrics = type => {
+        if (!find(type)) return null;
+        const table = open(type);
+        const compressed = Boolean(table.format & PCF_FORMAT.COMPRESSED_METRICS);
+        const count = compressed ? table.int16() : table.int32();
+        return Array.from({ length: count }, () => readMetric(table, compressed));
+    };
+    const metrics = readMetrics(PCF_TABLES.METRICS);
+    const inkMetrics = readMetrics(PCF_TABLES.INK_METRICS);
+
+    const readAccelerators = type => {
+        if (!find(type)) return null;
+        const table = open(type);
+        const flags = ['noOverlap', 'constantMetrics', 'terminalFont', 'constantWidth',
+            'inkInside', 'inkMetrics', 'drawDirection', 'padding'].map(name => [name, table.uint8()]);
+        const accel = { ...Object.fromEntries(flags), fontAscent: table.int32(), fontDescent: table.int32(), maxOverlap: table.int32() };
+        accel.minbounds = readMetric(table, false);
+        accel.maxbounds = readMetric(table, false);
+        if (table.format & PCF_FORMAT.ACCEL_W_INKBOUNDS) {
+            accel.inkMinbounds = readMetric(table, false);
+            accel.inkMaxbounds = readMetric(table, false);
+        }
+        delete accel.padding;
+        return accel;
+    };
+
+    // Encodings
+    const enc = open(PCF_TABLES.BDF_ENCODINGS);
+    const [minChar, maxChar, minByte1, maxByte1, defaultChar] = [0, 0, 0, 0, 0].map(() => enc.uint16());
+    const glyphIndex = {};
+    for (let byte1 = minByte1; byte1 <= maxByte1; byte1++) {
+        for (let code = minChar; code <= maxChar; code++) {
+            const index = enc.uint16();
+            if (index !== NO_GLYPH) glyphIndex[(byte1 << 8) | code] = index;
+        }
+    }
+
+    // Scalable widths and glyph names
+    let swidths = null;
+    if (find(PCF_TABLES.SWIDTHS)) {
+        const table = open(PCF_TABLES.SWIDTHS);
+        swidths = Array.from({ length: table.int32() }, () => table.int32());
+    }
+    let glyphNames = null;
+    if (find(PCF_TABLES.GLYPH_NAMES)) {
+        const table = open(PCF_TABLES.GLYPH_NAMES);
+        const offsets = Array.from({ length: table.int32() }, () => table.int32());
+        table.skip(4);
+        const base = table.position();
+        glyphNames = offsets.map(offset => readString(bytes, base + offset));
+    }
+
+    // Bitmaps
+    const bitmaps = open(PCF_TABLES.BITMAPS);
+    const format = bitmaps.format;
+    const glyphPad = PAD_SIZES[format & PCF_FORMAT.GLYPH_PAD_MASK];
+    const scanUnit = SCAN_UNITS[(format & PCF_FORMAT.SCAN_UNIT_MASK) >> 4];
+    const msbBit = Boolean(format & PCF_FORMAT.BIT_MASK);
+    const swap = Boolean(format & PCF_FORMAT.BYTE_MASK) !== msbBit;
+    const glyphCount = bitmaps.int32();
+    const offsets = Array.from({ length: glyphCount }, () => bitmaps.int32());
+    bitmaps.skip(16);
+    const dataStart = bitmaps.position();
+
+    const codeOf = Object.fromEntries(Object.entries(glyphIndex).map(([code, index]) => [index, Number(code)]));
+    const glyphs = offsets.map((offset, i) => {
+        const metric = metrics[i];
+        const width = metric.rightSideBearing - metric.leftSideBearing;
+        const height = metric.ascent + metric.descent;
+        const rowBytes = Math.ceil(Math.ceil(width / 8) / glyphPad) * glyphPad;
+        const rows = Array.from({ length: height }, (_, y) => {
+            const packed = Array.from(bytes.subarray(dataStart + offset + y * rowBytes, dataStart + offset + (y + 1) * rowBytes));
+            if (swap && scanUnit > 1) {
+                for (let j = 0; j < rowBytes; j += scanUnit) {
+                    packed.splice(j, scanUnit, ...packed.slice(j, j + scanUnit).reverse());
+                }
+            }
+            return Array.from({ length: width }, (_, x) =>
+                (packed[x >> 3] & (msbBit ? 0x80 >> (x & 7) : 1 << (x & 7))) ? 1 : 0);
+        });
+        return { name: glyphNames?.[i] ?? null, code: codeOf[i] ?? null, metric, rows };
+    });
+
+    return {
+        tables,
+        properties,
+        accelerators: readAccelerators(PCF_TABLES.ACCELERATORS),
+        bdfAccelerators: readAccelerators(PCF_TABLES.BDF_ACCELERATORS),
+        metrics,
+        inkMetrics,
+        encodings: { minChar, maxChar, defaultChar, glyphIndex },
+        swidths,
+        glyphNames,
+        glyphs
+    };
+}
+
+/**
+ * Rasterize the ROM and write it as PCF
+ * @param {Object} options - rasterizeFont options plus writePCF layout options
+ * @returns {Object} {name, fileName, pcf}
+ */
+export function generatePCF(options = {}) {
+    const font = rasterizeFont(options);
+    return { name: font.name, fileName: `${font.name}.pcf`, pcf: writePCF(font, options) };
+}
+
+/**
+ * Write a PCF font for every character scale × canvas scale combination
+ * @param {Object} options - Shared rasterizeFont and writePCF options
+ * @returns {Array<Object>} [{name, fileName, pcf}] from DD60_C1_R1 to DD60_C4_R8
+ */
+export function generatePCFFonts(options = {}) {
+    return fontScaleCombinations(options).map(generatePCF);
+}
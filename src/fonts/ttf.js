@@ -0,0 +1,540 @@
+// TrueType Outline Fonts
+// Expands each glyph's beam-on centreline into filled outlines and writes the
+// ROM as a monospaced TrueType-flavoured OpenType font for terminals and documents
+//
+// Every stroke becomes a capsule (two straight sides and two round caps) and every
+// isolated dot a circle. The contours all wind clockwise and overlap where strokes
+// meet, so the nonzero fill gives round joins without any path union.
+
+import { tripletsToSegments, generateTripletRom } from '../chargenTriplets.js';
+import { DISPLAY_CODES } from '../cdcDisplayCode.js';
+import { getRom } from '../cdcRomRegistry.js';
+import { CELL_SIZE } from '../display/textLayout.js';
+
+/**
+ * Seconds from the TrueType epoch (1904-01-01) to the Unix epoch
+ */
+const MAC_EPOCH_OFFSET = 2082844800;
+
+/**
+ * Checksum target for head.checkSumAdjustment
+ */
+const CHECKSUM_MAGIC = 0xB1B0AFBA;
+
+/**
+ * Quadratic segments per half circle; each spans 45 degrees
+ */
+const ARC_STEPS = 4;
+
+/**
+ * Unicode ranges flagged in OS/2 ulUnicodeRange: [bit, first, last]
+ */
+const UNICODE_RANGES = [
+    [0, 0x0020, 0x007E],     // Basic Latin
+    [1, 0x00A0, 0x00FF],     // Latin-1 Supplement
+    [37, 0x2190, 0x21FF],    // Arrows
+    [38, 0x2200, 0x22FF]     // Mathematical Operators
+];
+
+/**
+ * Binary writer for big-endian font tables
+ * @returns {Object} {bytes, u8, u16, i16, u32, i32, array}
+ */
+function createWriter() {
+    const bytes = [];
+    const int = (value, size) => {
+        for (let i = size - 1; i >= 0; i--) bytes.push((value >>> (8 * i)) & 0xff);
+    };
+    return {
+        bytes,
+        u8: value => int(value, 1),
+        u16: value => int(value, 2),
+        i16: value => int(value, 2),
+        u32: value => int(value, 4),
+        i32: value => int(value, 4),
+        array: values => bytes.push(...values)
+    };
+}
+
+/**
+ * PostScript name for a family: printable ASCII without PostScript delimiters
+ * @param {string} familyName - Font family name
+ * @returns {string} Name such as 'DD60-Regular'
+ */
+function postScriptName(familyName) {
+    return `${familyName.replace(/[^\x21-\x7e]|[[\](){}<>/%]/g, '')}-Regular`;
+}
+
+/**
+ * Append a clockwise arc of quadratic segments to a contour
+ * @param {Array<Object>} points - Contour points {x, y, onCurve}; the arc start is already in it
+ * @param {number} cx - Centre X
+ * @param {number} cy - Centre Y
+ * @param {number} radius - Radius
+ * @param {number} startAngle - Angle of the start point in radians
+ * @param {number} steps - 45-degree steps to sweep
+ */
+function appendArc(points, cx, cy, radius, startAngle, steps) {
+    const step = Math.PI / 4;
+    const controlRadius = radius / Math.cos(step / 2);
+    for (let k = 1; k <= steps; k++) {
+        const mid = startAngle - (k - 0.5) * step;
+        const end = startAngle - k * step;
+        points.push({ x: cx + controlRadius * Math.cos(mid), y: cy + controlRadius * Math.sin(mid), onCurve: false });
+        points.push({ x: cx + radius * Math.cos(end), y: cy + radius * Math.sin(end), onCurve: true });
+    }
+}
+
+/**
+ * Round a contour to integer font units, dropping repeated points
+ * @param {Array<Object>} points - Contour points
+ * @returns {Array<Object>} Rounded contour
+ */
+function roundContour(points) {
+    const rounded = [];
+    for (const point of points) {
+        const x = Math.round(point.x), y = Math.round(point.y);
+        const last = rounded[rounded.length - 1];
+        if (!last || last.x !== x || last.y !== y) rounded.push({ x, y, onCurve: point.onCurve });
+    }
+    const first = rounded[0], last = rounded[rounded.length - 1];
+    if (rounded.length > 1 && first.x === last.x && first.y === last.y) rounded.pop();
+    return rounded;
+}
+
+/**
+ * Expand a beam path into filled contours
+ * @param {Array} triplets - [x, y, intensity] glyph path from implicit origin (0, 0)
+ * @param {Object} options - Expansion options
+ * @param {number} options.unit - Font units per display unit (default: 128)
+ * @param {number} options.beamWidth - Beam width in display units (default: 1)
+ * @returns {Array<Array<Object>>} Clockwise contours of {x, y, onCurve} in font units,
+ *          with the beam centred on pixel centres and the glyph bottom on the baseline
+ */
+export function expandStrokes(triplets, options = {}) {
+    const { unit = 128, beamWidth = 1 } = options;
+    const radius = beamWidth * unit / 2;
+    const toFont = value => (value + 0.5) * unit;
+
+    const strokes = new Map();
+    const dots = new Map();
+    for (const { x1, y1, x2, y2, intensity } of tripletsToSegments(triplets)) {
+        if (intensity <= 0) continue;
+        if (x1 === x2 && y1 === y2) {
+            dots.set(`${x1},${y1}`, [x1, y1]);
+        } else {
+            // The same stroke drawn in either direction is one capsule
+            const [a, b] = [[x1, y1], [x2, y2]].sort((p, q) => p[0] - q[0] || p[1] - q[1]);
+            strokes.set(`${a},${b}`, [a, b]);
+        }
+    }
+    const strokeEnds = new Set([...strokes.values()].flat().map(String));
+
+    const contours = [];
+    for (const [[x1, y1], [x2, y2]] of strokes.values()) {
+        const [ax, ay, bx, by] = [x1, y1, x2, y2].map(toFont);
+        const angle = Math.atan2(by - ay, bx - ax);
+        const nx = -Math.sin(angle) * radius, ny = Math.cos(angle) * radius;
+        const points = [{ x: ax + nx, y: ay + ny, onCurve: true }, { x: bx + nx, y: by + ny, onCurve: true }];
+        appendArc(points, bx, by, radius, angle + Math.PI / 2, ARC_STEPS);
+        points.push({ x: ax - nx, y: ay - ny, onCurve: true });
+        appendArc(points, ax, ay, radius, angle - Math.PI / 2, ARC_STEPS);
+        contours.push(roundContour(points));
+    }
+    for (const [x, y] of dots.values()) {
+        if (strokeEnds.has(String([x, y]))) continue;
+        const [cx, cy] = [x, y].map(toFont);
+        const points = [{ x: cx, y: cy + radius, onCurve: true }];
+        appendArc(points, cx, cy, radius, Math.PI / 2, 2 * ARC_STEPS);
+        contours.push(roundContour(points));
+    }
+    return contours.filter(contour => contour.length >= 3);
+}
+
+/**
+ * Hollow box for the .notdef glyph
+ * @param {number} unit - Font units per display unit
+ * @param {number} beamWidth - Line width in display units
+ * @returns {Array<Array<Object>>} Clockwise outer and counter-clockwise inner contour
+ */
+function notdefContours(unit, beamWidth) {
+    const box = (x0, y0, x1, y1) => [[x0, y0], [x0, y1], [x1, y1], [x1, y0]]
+        .map(([x, y]) => ({ x: Math.round(x), y: Math.round(y), onCurve: true }));
+    const inset = beamWidth * unit;
+    const outer = box(0, 0, 7 * unit, 7 * unit);
+    const inner = box(inset, inset, 7 * unit - inset, 7 * unit - inset).reverse();
+    return [outer, inner];
+}
+
+/**
+ * Bounding box of a glyph's points
+ * @param {Array<Array<Object>>} contours - Glyph contours
+ * @returns {Object|null} {xMin, yMin, xMax, yMax}, or null for an empty glyph
+ */
+function contourBounds(contours) {
+    const points = contours.flat();
+    if (points.length === 0) return null;
+    return {
+        xMin: Math.min(...points.map(p => p.x)),
+        yMin: Math.min(...points.map(p => p.y)),
+        xMax: Math.max(...points.map(p => p.x)),
+        yMax: Math.max(...points.map(p => p.y))
+    };
+}
+
+/**
+ * Build the outline glyph set for the ROM
+ * Glyphs come in display code order after .notdef. Each maps its ASCII key, its
+ * CDC symbol where that differs, and for letters the lowercase form.
+ *
+ * @param {Object} options - Outline options
+ * @param {number} options.beamWidth - Beam width in display units (default: 1)
+ * @param {number} options.unitsPerEm - Font units per em; the em is the 8-unit cell (default: 1024)
+ * @param {string} options.familyName - Font family name (default: 'DD60')
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {Object} {familyName, unitsPerEm, unit, advance, beamWidth, glyphs}
+ *          glyphs: [{name, codepoints, contours, bounds}]
+ * @throws {Error} If the beam width or units per em is out of range
+ */
+export function buildOutlineFont(options = {}) {
+    const { beamWidth = 1, unitsPerEm = 1024, familyName = 'DD60', rom } = options;
+    if (!(beamWidth > 0 && beamWidth <= 4)) {
+        throw new Error(`Beam width must be greater than 0 and at most 4 units, got ${beamWidth}`);
+    }
+    if (!Number.isInteger(unitsPerEm) || unitsPerEm < 16 || unitsPerEm > 16384) {
+        throw new Error(`Units per em must be an integer from 16 to 16384, got ${unitsPerEm}`);
+    }
+    const unit = unitsPerEm / CELL_SIZE;
+    const romData = getRom(rom);
+    const tripletRom = generateTripletRom(rom);
+
+    const notdef = notdefContours(unit, beamWidth);
+    const glyphs = [{ name: '.notdef', codepoints: [], contours: notdef, bounds: contourBounds(notdef) }];
+    for (const entry of DISPLAY_CODES.filter(e => romData[e.romKey])) {
+        const contours = expandStrokes(tripletRom[entry.romKey], { unit, beamWidth });
+        const codepoints = new Set([entry.ascii, entry.symbol, entry.ascii.toLowerCase()].map(c => c.codePointAt(0)));
+        glyphs.push({
+            name: entry.name.replace(/ /g, '_'),
+            codepoints: [...codepoints].sort((a, b) => a - b),
+            contours,
+            bounds: contourBounds(contours)
+        });
+    }
+    return { familyName, unitsPerEm, unit, advance: CELL_SIZE * unit, beamWidth, glyphs };
+}
+
+/**
+ * Encode a simple glyph for the glyf table
+ * Coordinates are written as 16-bit deltas; overlapping contours set OVERLAP_SIMPLE.
+ *
+ * @param {Object} glyph - Glyph from buildOutlineFont
+ * @returns {Array<number>} Glyph bytes padded to 4, empty for a glyph without contours
+ */
+function encodeGlyph(glyph) {
+    if (!glyph.bounds) return [];
+    const w = createWriter();
+    const points = glyph.contours.flat();
+    w.i16(glyph.contours.length);
+    w.i16(glyph.bounds.xMin);
+    w.i16(glyph.bounds.yMin);
+    w.i16(glyph.bounds.xMax);
+    w.i16(glyph.bounds.yMax);
+    let end = -1;
+    glyph.contours.forEach(contour => w.u16(end += contour.length));
+    w.u16(0);   // no instructions
+    points.forEach((point, i) => w.u8((point.onCurve ? 0x01 : 0) | (i === 0 && glyph.contours.length > 1 ? 0x40 : 0)));
+    let prev = 0;
+    points.forEach(point => { w.i16(point.x - prev); prev = point.x; });
+    prev = 0;
+    points.forEach(point => { w.i16(point.y - prev); prev = point.y; });
+    while (w.bytes.length % 4) w.u8(0);
+    return w.bytes;
+}
+
+/**
+ * Build a cmap format 4 subtable
+ * @param {Array<Array<number>>} mapping - [codepoint, glyphIndex] pairs sorted by codepoint
+ * @returns {Array<number>} Subtable bytes
+ */
+function cmapFormat4(mapping) {
+    const segments = [];
+    for (const [code, glyph] of mapping) {
+        const last = segments[segments.length - 1];
+        if (last && code === last.end + 1 && glyph === last.glyph + (code - last.start)) {
+            last.end = code;
+        } else {
+            segments.push({ start: code, end: code, glyph });
+        }
+    }
+    segments.push({ start: 0xFFFF, end: 0xFFFF, glyph: 0 });
+
+    const segCount = segments.length;
+    const entrySelector = Math.floor(Math.log2(segCount));
+    const searchRange = 2 * 2 ** entrySelector;
+    const w = createWriter();
+    w.u16(4);
+    w.u16(16 + segCount * 8);
+    w.u16(0);
+    w.u16(segCount * 2);
+    w.u16(searchRange);
+    w.u16(entrySelector);
+    w.u16(segCount * 2 - searchRange);
+    segments.forEach(s => w.u16(s.end));
+    w.u16(0);
+    segments.forEach(s => w.u16(s.start));
+    segments.forEach(s => w.u16(s.start === 0xFFFF ? 1 : (s.glyph - s.start) & 0xFFFF));
+    segments.forEach(() => w.u16(0));
+    return w.bytes;
+}
+
+/**
+ * Build the name table (Windows Unicode records)
+ * @param {Object} names - {nameID: string}
+ * @returns {Array<number>} Table bytes
+ */
+function nameTable(names) {
+    const ids = Object.keys(names).map(Number).sort((a, b) => a - b);
+    const strings = [];
+    const w = createWriter();
+    w.u16(0);
+    w.u16(ids.length);
+    w.u16(6 + ids.length * 12);
+    for (const id of ids) {
+        // UTF-16BE
+        const encoded = [];
+        for (let i = 0; i < names[id].length; i++) {
+            const unit = names[id].charCodeAt(i);
+            encoded.push(unit >> 8, unit & 0xff);
+        }
+        [3, 1, 0x409, id, encoded.length, strings.length].forEach(value => w.u16(value));
+        strings.push(...encoded);
+    }
+    w.array(strings);
+    return w.bytes;
+}
+
+/**
+ * Sum a table as big-endian 32-bit words
+ * @param {Array<number>|Uint8Array} bytes - Table bytes, padded or not
+ * @returns {number} Unsigned checksum
+ */
+function tableChecksum(bytes) {
+    let sum = 0;
+    for (let i = 0; i < bytes.length; i += 4) {
+        sum = (sum + (((bytes[i] << 24) | ((bytes[i + 1] ?? 0) << 16) | ((bytes[i + 2] ?? 0) << 8) | (bytes[i + 3] ?? 0)) >>> 0)) >>> 0;
+    }
+    return sum;
+}
+
+/**
+ * Write an outline font as TrueType
+ * Writes cmap, glyf, head, hhea, hmtx, loca, maxp, name, OS/2 and post. Every glyph
+ * advances by the 8-unit cell, the em, and the baseline is the bottom of the glyphs.
+ *
+ * @param {Object} font - Result of buildOutlineFont
+ * @param {Object} options - Writer options
+ * @param {Date} options.date - Created and modified date in head (default: the Unix epoch, so output is reproducible)
+ * @param {string} options.version - Version string without the 'Version ' prefix (default: '1.000')
+ * @returns {Uint8Array} Font file contents
+ */
+export function writeTTF(font, options = {}) {
+    const { date = new Date(0), version = '1.000' } = options;
+    const { familyName, unitsPerEm, unit, advance, beamWidth, glyphs } = font;
+    const inked = glyphs.filter(g => g.bounds);
+    const bounds = {
+        xMin: Math.min(...inked.map(g => g.bounds.xMin)),
+        yMin: Math.min(...inked.map(g => g.bounds.yMin)),
+        xMax: Math.max(...inked.map(g => g.bounds.xMax)),
+        yMax: Math.max(...inked.map(g => g.bounds.yMax))
+    };
+    const ascender = Math.max(advance, bounds.yMax);
+    const descender = Math.min(0, bounds.yMin);
+    const beam = Math.round(beamWidth * unit);
+    const mapping = glyphs.flatMap((g, index) => g.codepoints.map(code => [code, index])).sort((a, b) => a[0] - b[0]);
+    const codepoints = mapping.map(([code]) => code);
+    const capGlyph = glyphs.find(g => g.name === 'LETTER_H' && g.bounds);
+    const capHeight = capGlyph ? capGlyph.bounds.yMax : bounds.yMax;
+    const tables = {};
+
+    // glyf and loca
+    const glyphData = glyphs.map(encodeGlyph);
+    const glyf = createWriter();
+    const loca = createWriter();
+    for (const data of glyphData) {
+        loca.u32(glyf.bytes.length);
+        glyf.array(data);
+    }
+    loca.u32(glyf.bytes.length);
+    tables.glyf = glyf.bytes;
+    tables.loca = loca.bytes;
+
+    // cmap: Unicode BMP and Windows Unicode BMP share one format 4 subtable
+    const cmap = createWriter();
+    cmap.u16(0);
+    cmap.u16(2);
+    [[0, 3], [3, 1]].forEach(([platform, encoding]) => {
+        cmap.u16(platform);
+        cmap.u16(encoding);
+        cmap.u32(20);
+    });
+    cmap.array(cmapFormat4(mapping));
+    tables.cmap = cmap.bytes;
+
+    // head
+    const seconds = Math.floor(date.getTime() / 1000) + MAC_EPOCH_OFFSET;
+    const head = createWriter();
+    head.u32(0x00010000);
+    head.u32(Math.round(parseFloat(version) * 65536));
+    head.u32(0);            // checkSumAdjustment, filled in last
+    head.u32(0x5F0F3CF5);
+    head.u16(0x000B);       // baseline at y=0, lsb at x=0, integer ppem
+    head.u16(unitsPerEm);
+    for (let i = 0; i < 2; i++) {
+        head.u32(Math.floor(seconds / 2 ** 32));
+        head.u32(seconds >>> 0);
+    }
+    [bounds.xMin, bounds.yMin, bounds.xMax, bounds.yMax].forEach(value => head.i16(value));
+    head.u16(0);            // macStyle
+    head.u16(8);            // lowestRecPPEM: one pixel per display unit
+    head.i16(2);            // fontDirectionHint
+    head.i16(1);            // long loca offsets
+    head.i16(0);
+    tables.head = head.bytes;
+
+    // hhea and hmtx
+    const hhea = createWriter();
+    hhea.u32(0x00010000);
+    hhea.i16(ascender);
+    hhea.i16(descender);
+    hhea.i16(0);
+    hhea.u16(advance);
+    hhea.i16(Math.min(...inked.map(g => g.bounds.xMin)));
+    hhea.i16(Math.min(...inked.map(g => advance - g.bounds.xMax)));
+    hhea.i16(bounds.xMax);
+    hhea.i16(1);            // caretSlopeRise
+    hhea.i16(0);            // caretSlopeRun
+    hhea.i16(0);            // caretOffset
+    for (let i = 0; i < 4; i++) hhea.i16(0);
+    hhea.i16(0);            // metricDataFormat
+    hhea.u16(glyphs.length);
+    tables.hhea = hhea.bytes;
+
+    const hmtx = createWriter();
+    glyphs.forEach(g => {
+        hmtx.u16(advance);
+        hmtx.i16(g.bounds ? g.bounds.xMin : 0);
+    });
+    tables.hmtx = hmtx.bytes;
+
+    // maxp
+    const maxp = createWriter();
+    maxp.u32(0x00010000);
+    maxp.u16(glyphs.length);
+    maxp.u16(Math.max(...glyphs.map(g => g.contours.flat().length)));
+    maxp.u16(Math.max(...glyphs.map(g => g.contours.length)));
+    maxp.u16(0);            // maxCompositePoints
+    maxp.u16(0);            // maxCompositeContours
+    maxp.u16(2);            // maxZones
+    for (let i = 0; i < 8; i++) maxp.u16(0);
+    tables.maxp = maxp.bytes;
+
+    // name
+    tables.name = nameTable({
+        1: familyName,
+        2: 'Regular',
+        3: `${familyName} Regular; Version ${version}`,
+        4: `${familyName} Regular`,
+        5: `Version ${version}`,
+        6: postScriptName(familyName)
+    });
+
+    // OS/2 version 4
+    const unicodeRanges = [0, 0, 0, 0];
+    for (const [bit, first, last] of UNICODE_RANGES) {
+        if (codepoints.some(code => code >= first && code <= last)) unicodeRanges[bit >> 5] |= 1 << (bit & 31);
+    }
+    const os2 = createWriter();
+    os2.u16(4);
+    os2.i16(advance);       // xAvgCharWidth
+    os2.u16(400);           // usWeightClass
+    os2.u16(5);             // usWidthClass
+    os2.u16(0);             // fsType: installable
+    const scriptSize = Math.round(unitsPerEm * 0.65);
+    [scriptSize, scriptSize, 0, Math.round(unitsPerEm * 0.14),
+        scriptSize, scriptSize, 0, Math.round(unitsPerEm * 0.48)].forEach(value => os2.i16(value));
+    os2.i16(beam);                              // yStrikeoutSize
+    os2.i16(Math.round(3.5 * unit));            // yStrikeoutPosition: middle row of the 7×7 glyph
+    os2.i16(0);                                 // sFamilyClass
+    os2.array([2, 11, 5, 9, 0, 0, 0, 0, 0, 0]); // PANOSE: Latin text, sans, book, monospaced
+    unicodeRanges.forEach(range => os2.u32(range >>> 0));
+    os2.array([...'CDC '].map(c => c.charCodeAt(0)));
+    os2.u16(0x0040);                            // fsSelection: REGULAR
+    os2.u16(Math.min(...codepoints));
+    os2.u16(Math.min(0xFFFF, Math.max(...codepoints)));
+    os2.i16(ascender);
+    os2.i16(descender);
+    os2.i16(0);
+    os2.u16(ascender);
+    os2.u16(-descender);
+    os2.u32(1);                                 // ulCodePageRange1: Latin 1
+    os2.u32(0);
+    os2.i16(capHeight);                         // sxHeight: capitals only, lowercase maps to them
+    os2.i16(capHeight);
+    os2.u16(0);                                 // usDefaultChar: .notdef
+    os2.u16(0x20);
+    os2.u16(0);
+    tables['OS/2'] = os2.bytes;
+
+    // post format 3: no glyph names
+    const post = createWriter();
+    post.u32(0x00030000);
+    post.u32(0);            // italicAngle
+    post.i16(-Math.round(unit / 2));
+    post.i16(beam);
+    post.u32(1);            // isFixedPitch
+    for (let i = 0; i < 4; i++) post.u32(0);
+    tables.post = post.bytes;
+
+    // Table directory, tables sorted by tag and 4-byte aligned
+    const tags = Object.keys(tables).sort();
+    const entrySelector = Math.floor(Math.log2(tags.length));
+    const searchRange = 16 * 2 ** entrySelector;
+    const out = createWriter();
+    out.u32(0x00010000);
+    out.u16(tags.length);
+    out.u16(searchRange);
+    out.u16(entrySelector);
+    out.u16(tags.length * 16 - searchRange);
+
+    let offset = 12 + tags.length * 16;
+    let headOffset = 0;
+    for (const tag of tags) {
+        const data = tables[tag];
+        out.array([...tag].map(c => c.charCodeAt(0)));
+        out.u32(tableChecksum(data));
+        out.u32(offset);
+        out.u32(data.length);
+        if (tag === 'head') headOffset = offset;
+        offset += Math.ceil(data.length / 4) * 4;
+    }
+    for (const tag of tags) {
+        out.array(tables[tag]);
+        while (out.bytes.length % 4) out.u8(0);
+    }
+
+    const bytes = Uint8Array.from(out.bytes);
+    const adjustment = (CHECKSUM_MAGIC - tableChecksum(bytes)) >>> 0;
+    new DataView(bytes.buffer).setUint32(headOffset + 8, adjustment);
+    return bytes;
+}
+
+/**
+ * Build and write the ROM as a TrueType font
+ * @param {Object} options - buildOutlineFont options plus writeTTF options
+ * @returns {Object} {name, fileName, ttf} named by the PostScript name, e.g. 'DD60-Regular'
+ */
+export function generateTTF(options = {}) {
+    const font = buildOutlineFont(options);
+    const name = postScriptName(font.familyName);
+    return { name, fileName: `${name}.ttf`, ttf: writeTTF(font, options) };
+}
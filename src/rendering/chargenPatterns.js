@@ -3,50 +3,31 @@
 
 import { generateTripletRom } from '../chargenTriplets.js';
 import { renderTrueSizeBitmap, renderCDCScaledBitmap } from '../chargenRenderer.js';
+import { getCharacterOrder } from '../cdcDisplayCode.js';
 
 /**
- * Render CDC 6600 test pattern showing all characters at multiple scales
- * @param {string} containerId - ID of container element
- * @param {Object} options - Rendering options
- * @param {Array} options.scales - Array of scales to render [1, 2, 4]
- * @param {string} options.pixelColor - Color for pixels (default: '#00ff00')
- * @param {string} options.backgroundColor - Background color (default: '#000')
- * @param {string} options.charOrder - Character order string
+ * Draw the CDC 6600 test pattern onto a 512×512 context
+ * Takes the same options as renderCDCTestPattern; works with a DOM canvas or a
+ * headless context from createRasterContext.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} options - Rendering options (see renderCDCTestPattern)
  */
-export function renderCDCTestPattern(containerId, options = {}) {
+export function drawCDCTestPattern(ctx, options = {}) {
     const {
         scales = [1, 2, 4],
         pixelColor = '#00ff00',
         backgroundColor = '#000',
-        charOrder = '0123456789 ABCDEFGHIJKLMNOPQRSTUVWXYZ+-*/()=,.'
+        artifactLevel = 0,
+        rom,
+        charOrder = getCharacterOrder(rom)
     } = options;
     
-    const container = document.getElementById(containerId);
-    if (!container) {
-        console.warn(`Test pattern container '${containerId}' not found`);
-        return;
-    }
-    
-    container.innerHTML = '';
-    
-    const panel = document.createElement('div');
-    panel.className = 'render-panel';
-    panel.innerHTML = '<h3>CDC 6600 Display Test Pattern - 512×512 pixels</h3>';
-    
-    // Create 512x512 test canvas with all characters
-    const testCanvas = document.createElement('canvas');
-    testCanvas.width = 512;
-    testCanvas.height = 512;
-    testCanvas.style.border = '1px solid #000';
-    testCanvas.style.imageRendering = 'pixelated';
-    const ctx = testCanvas.getContext('2d');
-    
     // Fill background
     ctx.fillStyle = backgroundColor;
     ctx.fillRect(0, 0, 512, 512);
     
-    const tripletRom = generateTripletRom();
-    const availableChars = charOrder.split('').filter(c => tripletRom[c]);
+    const tripletRom = generateTripletRom(rom);
+    const availableChars = Array.from(charOrder).filter(c => tripletRom[c]);
     
     // Render each scale in its section
     const sectionYPositions = [15, 45, 295]; // Top, middle, bottom sections
@@ -74,13 +55,15 @@ export function renderCDCTestPattern(containerId, options = {}) {
             if (scale === 1) {
                 renderTrueSizeBitmap(ctx, tripletRom[char], {
                     pixelColor,
-                    backgroundColor: 'transparent'
+                    backgroundColor: 'transparent',
+                    artifactLevel
                 });
             } else {
                 renderCDCScaledBitmap(ctx, tripletRom[char], scale, {
                     pixelColor,
                     backgroundColor: 'transparent',
-                    showPixelGrid: false
+                    showPixelGrid: false,
+                    artifactLevel
                 });
             }
             
@@ -100,6 +83,41 @@ export function renderCDCTestPattern(containerId, options = {}) {
             ctx.fillText(`${scale}× (${pixelSize}×${pixelSize} pixels) - All Characters`, 10, sectionYPositions[i] - 5);
         }
     });
+}
+
+/**
+ * Render CDC 6600 test pattern showing all characters at multiple scales
+ * @param {string} containerId - ID of container element
+ * @param {Object} options - Rendering options
+ * @param {Array} options.scales - Array of scales to render [1, 2, 4]
+ * @param {string} options.pixelColor - Color for pixels (default: '#00ff00')
+ * @param {string} options.backgroundColor - Background color (default: '#000')
+ * @param {Array<string>|string} options.charOrder - Character order (default: display code order)
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @param {number|string} options.artifactLevel - Artifact level 0-9 (default: 0)
+ */
+export function renderCDCTestPattern(containerId, options = {}) {
+    const { scales = [1, 2, 4] } = options;
+    
+    const container = document.getElementById(containerId);
+    if (!container) {
+        console.warn(`Test pattern container '${containerId}' not found`);
+        return;
+    }
+    
+    container.innerHTML = '';
+    
+    const panel = document.createElement('div');
+    panel.className = 'render-panel';
+    panel.innerHTML = '<h3>CDC 6600 Display Test Pattern - 512×512 pixels</h3>';
+    
+    // Create 512x512 test canvas with all characters
+    const testCanvas = document.createElement('canvas');
+    testCanvas.width = 512;
+    testCanvas.height = 512;
+    testCanvas.style.border = '1px solid #000';
+    testCanvas.style.imageRendering = 'pixelated';
+    drawCDCTestPattern(testCanvas.getContext('2d'), options);
     
     const wrapper = document.createElement('div');
     wrapper.className = 'canvas-wrapper';
@@ -122,6 +140,7 @@ export function renderCDCTestPattern(containerId, options = {}) {
  * @param {string} containerId - ID of container element
  * @param {string} character - Character to display
  * @param {Object} renderingOptions - Rendering options from controls
+ * @param {string|Object} renderingOptions.rom - ROM handle: registered name or ROM object (default: active ROM)
  * @param {number} comparisonScale - Scale for comparison (default: 28)
  */
 export function renderComparison(containerId, character, renderingOptions = {}, comparisonScale = 28) {
@@ -133,7 +152,7 @@ export function renderComparison(containerId, character, renderingOptions = {},
     
     container.innerHTML = '<h3>Vector vs CDC Scaled Bitmap Comparison</h3>';
     
-    const tripletRom = generateTripletRom();
+    const tripletRom = generateTripletRom(renderingOptions.rom);
     const triplets = tripletRom[character];
     
     if (!triplets) {
@@ -0,0 +1,72 @@
+// Dual-screen frame compositor
+// Draws the left and right DD60 screens side by side, or either one alone
+
+import { renderScreenBitmap } from '../chargenRenderer.js';
+import { SCREEN_SIZE } from '../cdcRomFunctions.js';
+import { getScreenTriplets } from '../display/frame.js';
+
+/**
+ * Screens drawn for each compositor layout
+ */
+export const FRAME_LAYOUTS = {
+    both: ['left', 'right'],
+    left: ['left'],
+    right: ['right']
+};
+
+/**
+ * Get the canvas size needed for a frame layout
+ * @param {string} layout - 'both', 'left' or 'right' (default: 'both')
+ * @param {number} canvasScale - Canvas scale 1, 2, 4 or 8 (default: 1)
+ * @param {number} gap - Gap between screens in screen units (default: 16)
+ * @returns {Object} {width, height} in canvas pixels
+ */
+export function getFrameCanvasSize(layout = 'both', canvasScale = 1, gap = 16) {
+    const screens = FRAME_LAYOUTS[layout];
+    if (!screens) {
+        throw new Error(`Unknown frame layout '${layout}'`);
+    }
+    const width = screens.length * SCREEN_SIZE + (screens.length - 1) * gap;
+    return { width: width * canvasScale, height: SCREEN_SIZE * canvasScale };
+}
+
+/**
+ * Render a two-screen frame
+ * @param {CanvasRenderingContext2D} ctx - Canvas context sized with getFrameCanvasSize
+ * @param {Object} frame - Frame from createFrame
+ * @param {Object} options - Compositor options
+ * @param {string} options.layout - 'both', 'left' or 'right' (default: 'both')
+ * @param {number} options.canvasScale - Canvas scale 1, 2, 4 or 8 (default: 1)
+ * @param {number} options.gap - Gap between screens in screen units (default: 16)
+ * @param {string} options.pixelColor - Beam colour (default: '#00ff00')
+ * @param {string} options.backgroundColor - Screen background (default: '#000000')
+ * @param {string} options.gapColor - Colour between screens (default: '#333333')
+ * @param {number|string} options.artifactLevel - Artifact level 0-9 (default: 0)
+ */
+export function renderFrame(ctx, frame, options = {}) {
+    const {
+        layout = 'both',
+        canvasScale = 1,
+        gap = 16,
+        pixelColor = '#00ff00',
+        backgroundColor = '#000000',
+        gapColor = '#333333',
+        artifactLevel = 0
+    } = options;
+
+    const { width, height } = getFrameCanvasSize(layout, canvasScale, gap);
+
+    ctx.save();
+    ctx.fillStyle = gapColor;
+    ctx.fillRect(0, 0, width, height);
+    ctx.scale(canvasScale, canvasScale);
+
+    FRAME_LAYOUTS[layout].forEach((screen, i) => {
+        ctx.save();
+        ctx.translate(i * (SCREEN_SIZE + gap), 0);
+        renderScreenBitmap(ctx, getScreenTriplets(frame, screen), { pixelColor, backgroundColor, artifactLevel });
+        ctx.restore();
+    });
+
+    ctx.restore();
+}
@@ -0,0 +1,454 @@
+// Headless Raster Target
+// Pure-JS stand-in for the CanvasRenderingContext2D subset the renderers use,
+// drawing into 1-bit, 8-bit RGBA or float luminance buffers so glyph
+// rasterization, exports and tests run in Node without a DOM canvas
+//
+// Fills and strokes cover a pixel when its centre is inside the shape (non-zero
+// rule, no anti-aliasing). Text and shadows are accepted and ignored.
+
+/**
+ * Supported buffer depths, matching the Bit Depth display parameter
+ *   1       - Uint8Array, one 0/1 value per pixel (lit = luminance >= 0.5)
+ *   8       - Uint8ClampedArray RGBA, laid out like ImageData
+ *   'float' - Float32Array luminance 0-1 per pixel, like the phosphor buffer
+ */
+export const RASTER_DEPTHS = Object.freeze([1, 8, 'float']);
+
+const NAMED_COLORS = {
+    transparent: [0, 0, 0, 0],
+    black: [0, 0, 0, 1],
+    white: [255, 255, 255, 1],
+    red: [255, 0, 0, 1],
+    green: [0, 128, 0, 1],
+    lime: [0, 255, 0, 1],
+    blue: [0, 0, 255, 1]
+};
+
+/**
+ * Parse a CSS colour
+ * @param {string} style - '#rgb', '#rrggbb', '#rrggbbaa', 'rgb()', 'rgba()' or a basic colour name
+ * @returns {Array<number>} [r, g, b, a] with channels 0-255 and alpha 0-1
+ * @throws {Error} If the colour format is not supported
+ */
+export function parseColor(style) {
+    const text = String(style).trim().toLowerCase();
+    if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+
+    const hex = /^#([0-9a-f]{3,8})$/.exec(text);
+    if (hex && hex[1].length !== 5 && hex[1].length !== 7) {
+        const digits = hex[1].length <= 4 ? hex[1].replace(/./g, '$&$&') : hex[1];
+        const [r, g, b, a = 255] = digits.match(/../g).map(pair => parseInt(pair, 16));
+        return [r, g, b, a / 255];
+    }
+
+    const fn = /^rgba?\(([^)]*)\)$/.exec(text);
+    if (fn) {
+        const [r, g, b, a = 1] = fn[1].split(/[\s,/]+/).filter(Boolean).map(Number);
+        if ([r, g, b, a].every(Number.isFinite)) return [r, g, b, a];
+    }
+
+    throw new Error(`Unsupported colour '${style}' for the raster target`);
+}
+
+/**
+ * Relative luminance of a colour
+ * @param {Array<number>} color - [r, g, b, a] from parseColor
+ * @returns {number} Luminance 0-1
+ */
+function luminance([r, g, b]) {
+    return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+}
+
+/**
+ * Multiply two affine transforms [a, b, c, d, e, f]
+ * @param {Array<number>} m - Current transform
+ * @param {Array<number>} n - Transform applied in m's user space
+ * @returns {Array<number>} m·n
+ */
+function multiply(m, n) {
+    return [
+        m[0] * n[0] + m[2] * n[1],
+        m[1] * n[0] + m[3] * n[1],
+        m[0] * n[2] + m[2] * n[3],
+        m[1] * n[2] + m[3] * n[3],
+        m[0] * n[4] + m[2] * n[5] + m[4],
+        m[1] * n[4] + m[3] * n[5] + m[5]
+    ];
+}
+
+/**
+ * Signed area of a polygon (positive when clockwise in canvas coordinates)
+ * @param {Array<Array<number>>} polygon - [[x, y], ...]
+ * @returns {number} Signed area
+ */
+function signedArea(polygon) {
+    let area = 0;
+    for (let i = 0; i < polygon.length; i++) {
+        const [x0, y0] = polygon[i];
+        const [x1, y1] = polygon[(i + 1) % polygon.length];
+        area += x0 * y1 - x1 * y0;
+    }
+    return area / 2;
+}
+
+/**
+ * Points approximating a circle, clockwise, for round caps and dots
+ * @param {number} cx - Centre X in pixels
+ * @param {number} cy - Centre Y in pixels
+ * @param {number} radius - Radius in pixels
+ * @returns {Array<Array<number>>} Polygon
+ */
+function circlePolygon(cx, cy, radius) {
+    const segments = Math.max(8, Math.ceil(radius * 4));
+    return Array.from({ length: segments }, (_, i) => {
+        const angle = 2 * Math.PI * i / segments;
+        return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+    });
+}
+
+/**
+ * Polygons covering the stroke of one subpath
+ * Segments are quads with the requested cap; interior vertices get bevel joins.
+ * Every polygon is oriented clockwise so the non-zero rule takes their union.
+ * @param {Object} subpath - {points, closed} in pixels
+ * @param {number} halfWidth - Half the line width in pixels
+ * @param {string} lineCap - 'butt', 'round' or 'square'
+ * @returns {Array<Array<Array<number>>>} Polygons
+ */
+function strokePolygons(subpath, halfWidth, lineCap) {
+    const points = subpath.closed ? [...subpath.points, subpath.points[0]] : subpath.points;
+    const polygons = [];
+    const normals = [];
+
+    for (let i = 1; i < points.length; i++) {
+        const [x0, y0] = points[i - 1];
+        const [x1, y1] = points[i];
+        const length = Math.hypot(x1 - x0, y1 - y0);
+        if (length === 0) {
+            normals.push(null);
+            continue;
+        }
+        const nx = -(y1 - y0) / length * halfWidth;
+        const ny = (x1 - x0) / length * halfWidth;
+        const ex = lineCap === 'square' ? (x1 - x0) / length * halfWidth : 0;
+        const ey = lineCap === 'square' ? (y1 - y0) / length * halfWidth : 0;
+        normals.push([nx, ny]);
+        polygons.push([
+            [x0 - ex + nx, y0 - ey + ny], [x1 + ex + nx, y1 + ey + ny],
+            [x1 + ex - nx, y1 + ey - ny], [x0 - ex - nx, y0 - ey - ny]
+        ]);
+    }
+
+    // Bevel joins between consecutive segments
+    for (let i = 1; i < normals.length; i++) {
+        if (!normals[i - 1] || !normals[i]) continue;
+        const [x, y] = points[i];
+        for (const side of [1, -1]) {
+            polygons.push([
+                [x, y],
+                [x + side * normals[i - 1][0], y + side * normals[i - 1][1]],
+                [x + side * normals[i][0], y + side * normals[i][1]]
+            ]);
+        }
+    }
+
+    if (lineCap === 'round' && !subpath.closed) {
+        polygons.push(circlePolygon(...points[0], halfWidth));
+        polygons.push(circlePolygon(...points[points.length - 1], halfWidth));
+    }
+
+    return polygons
+        .filter(polygon => signedArea(polygon) !== 0)
+        .map(polygon => (signedArea(polygon) < 0 ? polygon.reverse() : polygon));
+}
+
+/**
+ * Create a headless raster context
+ * The returned object implements the CanvasRenderingContext2D subset used by
+ * chargenRenderer.js and the rendering modules: save/restore, translate, scale,
+ * rotate, fillRect, strokeRect, clearRect, beginPath, moveTo, lineTo, arc,
+ * closePath, fill, stroke and getImageData. Strokes scale their width by the
+ * transform's area factor, so non-uniform scales give an average width, and
+ * are never narrower than one pixel.
+ *
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {Object} options - Raster options
+ * @param {number|string} options.depth - Buffer depth from RASTER_DEPTHS (default: 8)
+ * @returns {Object} Context with canvas {width, height} and raster {width, height, depth, data}
+ * @throws {Error} If the size or depth is not supported
+ */
+export function createRasterContext(width, height, options = {}) {
+    const { depth = 8 } = options;
+    if (!(Number.isInteger(width) && width > 0 && Number.isInteger(height) && height > 0)) {
+        throw new Error(`Raster size must be positive integers, got ${width}×${height}`);
+    }
+    if (!RASTER_DEPTHS.includes(depth)) {
+        throw new Error(`Unsupported raster depth '${depth}', expected one of ${RASTER_DEPTHS.join(', ')}`);
+    }
+
+    const data = depth === 1 ? new Uint8Array(width * height)
+        : depth === 8 ? new Uint8ClampedArray(width * height * 4)
+        : new Float32Array(width * height);
+    const raster = { width, height, depth, data };
+
+    let transform = [1, 0, 0, 1, 0, 0];
+    let subpaths = [];
+    const stack = [];
+    const STATE_KEYS = ['fillStyle', 'strokeStyle', 'globalAlpha', 'lineWidth', 'lineCap',
+        'font', 'textAlign', 'textBaseline', 'shadowBlur', 'shadowColor'];
+
+    const toDevice = (x, y) => [
+        transform[0] * x + transform[2] * y + transform[4],
+        transform[1] * x + transform[3] * y + transform[5]
+    ];
+
+    // Composite one pixel with source-over
+    const blend = (index, color, alpha) => {
+        if (depth === 1) {
+            if (alpha >= 0.5) data[index] = luminance(color) >= 0.5 ? 1 : 0;
+        } else if (depth === 'float') {
+            data[index] = luminance(color) * alpha + data[index] * (1 - alpha);
+        } else {
+            const offset = index * 4;
+            const dstAlpha = data[offset + 3] / 255;
+            const outAlpha = alpha + dstAlpha * (1 - alpha);
+            for (let c = 0; c < 3; c++) {
+                data[offset + c] = outAlpha > 0
+                    ? (color[c] * alpha + data[offset + c] * dstAlpha * (1 - alpha)) / outAlpha
+                    : 0;
+            }
+            data[offset + 3] = outAlpha * 255;
+        }
+    };
+
+    // Scanline fill of polygons in pixels, sampling pixel centres with the non-zero rule
+    const fillPolygons = (polygons, style) => {
+        const color = parseColor(style);
+        const alpha = color[3] * ctx.globalAlpha;
+        if (alpha <= 0 || polygons.length === 0) return;
+
+        const edges = [];
+        let minY = Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            for (let i = 0; i < polygon.length; i++) {
+                const [x0, y0] = polygon[i];
+                const [x1, y1] = polygon[(i + 1) % polygon.length];
+                if (y0 === y1) continue;
+                edges.push({ x0, y0, x1, y1, winding: y1 > y0 ? 1 : -1 });
+                minY = Math.min(minY, y0, y1);
+                maxY = Math.max(maxY, y0, y1);
+            }
+        }
+
+        const firstRow = Math.max(0, Math.ceil(minY - 0.5));
+        const lastRow = Math.min(height - 1, Math.ceil(maxY - 0.5) - 1);
+        for (let py = firstRow; py <= lastRow; py++) {
+            const yc = py + 0.5;
+            const crossings = [];
+            for (const edge of edges) {
+                if (yc >= Math.min(edge.y0, edge.y1) && yc < Math.max(edge.y0, edge.y1)) {
+                    const x = edge.x0 + (yc - edge.y0) * (edge.x1 - edge.x0) / (edge.y1 - edge.y0);
+                    crossings.push([x, edge.winding]);
+                }
+            }
+            crossings.sort((a, b) => a[0] - b[0]);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i][1];
+                if (winding === 0) continue;
+                const startX = Math.max(0, Math.ceil(crossings[i][0] - 0.5));
+                const endX = Math.min(width, Math.ceil(crossings[i + 1][0] - 0.5));
+                for (let px = startX; px < endX; px++) {
+                    blend(py * width + px, color, alpha);
+                }
+            }
+        }
+    };
+
+    const rectPolygon = (x, y, w, h) => [toDevice(x, y), toDevice(x + w, y), toDevice(x + w, y + h), toDevice(x, y + h)];
+
+    const strokeSubpaths = (paths) => {
+        const scaleFactor = Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2]));
+        // Hairlines are widened to one pixel so thin grid lines stay visible without anti-aliasing
+        const halfWidth = Math.max(0.5, ctx.lineWidth * scaleFactor / 2);
+        fillPolygons(paths.flatMap(subpath => strokePolygons(subpath, halfWidth, ctx.lineCap)), ctx.strokeStyle);
+    };
+
+    const currentSubpath = () => subpaths[subpaths.length - 1];
+
+    const ctx = {
+        canvas: { width, height },
+        raster,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        globalAlpha: 1,
+        lineWidth: 1,
+        lineCap: 'butt',
+        font: '10px sans-serif',
+        textAlign: 'start',
+        textBaseline: 'alphabetic',
+        shadowBlur: 0,
+        shadowColor: 'rgba(0, 0, 0, 0)',
+
+        save() {
+            const state = { transform };
+            STATE_KEYS.forEach(key => { state[key] = ctx[key]; });
+            stack.push(state);
+        },
+        restore() {
+            const state = stack.pop();
+            if (!state) return;
+            transform = state.transform;
+            STATE_KEYS.forEach(key => { ctx[key] = state[key]; });
+        },
+        translate(x, y) {
+            transform = multiply(transform, [1, 0, 0, 1, x, y]);
+        },
+        scale(x, y) {
+            transform = multiply(transform, [x, 0, 0, y, 0, 0]);
+        },
+        rotate(angle) {
+            const cos = Math.cos(angle), sin = Math.sin(angle);
+            transform = multiply(transform, [cos, sin, -sin, cos, 0, 0]);
+        },
+
+        fillRect(x, y, w, h) {
+            fillPolygons([rectPolygon(x, y, w, h)], ctx.fillStyle);
+        },
+        strokeRect(x, y, w, h) {
+            strokeSubpaths([{ points: rectPolygon(x, y, w, h), closed: true }]);
+        },
+        clearRect(x, y, w, h) {
+            const [x0, y0] = toDevice(x, y);
+            const [x1, y1] = toDevice(x + w, y + h);
+            for (let py = Math.max(0, Math.ceil(Math.min(y0, y1) - 0.5)); py < Math.min(height, Math.ceil(Math.max(y0, y1) - 0.5)); py++) {
+                for (let px = Math.max(0, Math.ceil(Math.min(x0, x1) - 0.5)); px < Math.min(width, Math.ceil(Math.max(x0, x1) - 0.5)); px++) {
+                    if (depth === 8) data.fill(0, (py * width + px) * 4, (py * width + px) * 4 + 4);
+                    else data[py * width + px] = 0;
+                }
+            }
+        },
+
+        beginPath() {
+            subpaths = [];
+        },
+        moveTo(x, y) {
+            subpaths.push({ points: [toDevice(x, y)], closed: false });
+        },
+        lineTo(x, y) {
+            const subpath = currentSubpath();
+            if (!subpath || subpath.closed) {
+                ctx.moveTo(x, y);
+            } else {
+                subpath.points.push(toDevice(x, y));
+            }
+        },
+        closePath() {
+            const subpath = currentSubpath();
+            if (subpath && !subpath.closed) {
+                subpath.closed = true;
+                subpaths.push({ points: [subpath.points[0]], closed: false });
+            }
+        },
+        arc(cx, cy, radius, startAngle, endAngle, anticlockwise = false) {
+            const full = 2 * Math.PI;
+            let sweep = endAngle - startAngle;
+            if (!anticlockwise && sweep < 0) sweep = (sweep % full) + full;
+            if (anticlockwise && sweep > 0) sweep = (sweep % full) - full;
+            sweep = Math.max(-full, Math.min(full, sweep));
+
+            const deviceRadius = radius * Math.sqrt(Math.abs(transform[0] * transform[3] - transform[1] * transform[2]));
+            const segments = Math.max(8, Math.ceil(Math.abs(sweep) * Math.max(1, deviceRadius)));
+            for (let i = 0; i <= segments; i++) {
+                const angle = startAngle + sweep * i / segments;
+                const x = cx + radius * Math.cos(angle);
+                const y = cy + radius * Math.sin(angle);
+                if (i === 0 && !currentSubpath()?.points.length) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            }
+        },
+        fill() {
+            fillPolygons(subpaths.filter(s => s.points.length > 2).map(s => s.points), ctx.fillStyle);
+        },
+        stroke() {
+            strokeSubpaths(subpaths.filter(s => s.points.length > 1));
+        },
+
+        fillText() {},
+
+        getImageData(sx, sy, sw, sh) {
+            const out = new Uint8ClampedArray(sw * sh * 4);
+            for (let y = 0; y < sh; y++) {
+                for (let x = 0; x < sw; x++) {
+                    const px = sx + x, py = sy + y;
+                    if (px < 0 || px >= width || py < 0 || py >= height) continue;
+                    out.set(getRasterPixelRGBA(raster, px, py), (y * sw + x) * 4);
+                }
+            }
+            return { width: sw, height: sh, data: out };
+        }
+    };
+
+    return ctx;
+}
+
+/**
+ * Read one pixel as RGBA bytes whatever the raster depth
+ * @param {Object} raster - Raster from createRasterContext (ctx.raster)
+ * @param {number} x - Pixel X
+ * @param {number} y - Pixel Y (0 = top row)
+ * @returns {Array<number>} [r, g, b, a] 0-255; 1-bit and float rasters are grey, opaque where lit
+ */
+function getRasterPixelRGBA(raster, x, y) {
+    const index = y * raster.width + x;
+    if (raster.depth === 8) return Array.from(raster.data.subarray(index * 4, index * 4 + 4));
+    const level = Math.round(Math.min(1, raster.data[index]) * 255);
+    return [level, level, level, level > 0 ? 255 : 0];
+}
+
+/**
+ * Read one pixel of a raster context
+ * @param {Object} ctx - Context from createRasterContext
+ * @param {number} x - Pixel X
+ * @param {number} y - Pixel Y (0 = top row)
+ * @returns {number|Array<number>} 0/1 at depth 1, luminance at 'float', [r, g, b, a] at depth 8
+ * @throws {Error} If the pixel is outside the raster
+ */
+export function getRasterPixel(ctx, x, y) {
+    const { raster } = ctx;
+    if (!(x >= 0 && x < raster.width && y >= 0 && y < raster.height)) {
+        throw new Error(`Pixel (${x}, ${y}) is outside the ${raster.width}×${raster.height} raster`);
+    }
+    return raster.depth === 8 ? getRasterPixelRGBA(raster, x, y) : raster.data[y * raster.width + x];
+}
+
+/**
+ * Threshold a raster context to lit/unlit rows
+ * A pixel is lit when its luminance is at least 0.5 (and, at depth 8, its alpha is too).
+ * @param {Object} ctx - Context from createRasterContext
+ * @returns {Array<Array<number>>} Rows of 0/1 values, top row first
+ */
+export function rasterToBits(ctx) {
+    const { raster } = ctx;
+    return Array.from({ length: raster.height }, (_, y) =>
+        Array.from({ length: raster.width }, (_, x) => {
+            if (raster.depth === 1) return raster.data[y * raster.width + x];
+            if (raster.depth === 'float') return raster.data[y * raster.width + x] >= 0.5 ? 1 : 0;
+            const [r, g, b, a] = getRasterPixelRGBA(raster, x, y);
+            return a >= 128 && luminance([r, g, b]) >= 0.5 ? 1 : 0;
+        })
+    );
+}
+
+/**
+ * Format a raster context as text, one line per pixel row
+ * @param {Object} ctx - Context from createRasterContext
+ * @param {string} on - Character for lit pixels (default: '#')
+ * @param {string} off - Character for unlit pixels (default: '.')
+ * @returns {string} Rows joined with newlines, top row first
+ */
+export function rasterToText(ctx, on = '#', off = '.') {
+    return rasterToBits(ctx).map(row => row.map(bit => (bit ? on : off)).join('')).join('\n');
+}
@@ -1,7 +1,7 @@
 // ROM analysis visualization functions
 // Extracted from inline JavaScript in view_chargen_rom.html
 
-import { binaryToVector, getCharacterBinary } from '../cdcRomFunctions.js';
+import { binaryToVector, getCharacterBinary, traceBinarySteps } from '../cdcRomFunctions.js';
 
 /**
  * Draw character grid with vector strokes and analysis
@@ -16,10 +16,19 @@ export function drawCharacterGrid(strokes, canvasId, scale = 20) {
         return;
     }
     
-    const ctx = canvas.getContext('2d');
-    
+    drawCharacterStrokes(canvas.getContext('2d'), strokes, scale);
+}
+
+/**
+ * Draw the character grid and vector strokes onto a context
+ * Works with a DOM canvas or a headless context from createRasterContext.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context, at least 8 × scale pixels square
+ * @param {Array} strokes - Array of [x, y, beam] strokes
+ * @param {number} scale - Scale factor for rendering (default: 20)
+ */
+export function drawCharacterStrokes(ctx, strokes, scale = 20) {
     // Clear canvas
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
     
     // Draw grid
     ctx.strokeStyle = '#999';
@@ -151,54 +160,70 @@ function drawArrowheadForLength2Movement(ctx, ppx, ppy, px, py, scale) {
     }
 }
 
+/**
+ * Format direction flip-flop states as arrows
+ * @param {Object} direction - {horizontal, vertical} with 1 = positive, -1 = negative
+ * @returns {string} Arrow pair, e.g. '→↑'
+ */
+export function formatDirection(direction) {
+    return (direction.horizontal > 0 ? '→' : '←') + (direction.vertical > 0 ? '↑' : '↓');
+}
+
 /**
  * Generate binary table HTML for a character
+ * Built on the decoder trace so flags, direction flip-flops and timing come
+ * straight from the 6602 decoding algorithm
  * @param {string} char - Character to analyze
+ * @param {string|Object} rom - ROM handle: registered name or ROM object (default: active ROM)
  * @returns {string} HTML table string
  */
-export function generateBinaryTable(char) {
-    const binaryData = getCharacterBinary(char);
+export function generateBinaryTable(char, rom) {
+    const binaryData = getCharacterBinary(char, rom);
     if (!binaryData) return '<p>Character not found</p>';
     
+    const cellStyle = 'border: 1px solid #ccc; padding: 5px;';
+    
     let tableHTML = `
         <h4>Character '${char}' - CDC 6602 Binary ROM Table</h4>
         <table style="border-collapse: collapse; margin: 10px 0;">
             <tr style="background: #f0f0f0;">
-                <th style="border: 1px solid #ccc; padding: 5px;">Row</th>
-                <th style="border: 1px solid #ccc; padding: 5px;">Binary</th>
-                <th style="border: 1px solid #ccc; padding: 5px;">V₁V₂H₁H₂U</th>
-                <th style="border: 1px solid #ccc; padding: 5px;">Flags</th>
+                <th style="${cellStyle}">Row</th>
+                <th style="${cellStyle}">Binary</th>
+                <th style="${cellStyle}">V₁V₂H₁H₂U</th>
+                <th style="${cellStyle}">Flags</th>
+                <th style="${cellStyle}">Direction (H V)</th>
+                <th style="${cellStyle}">Move</th>
+                <th style="${cellStyle}">Position</th>
+                <th style="${cellStyle}">Beam</th>
+                <th style="${cellStyle}">Time (ns)</th>
             </tr>
     `;
     
-    // Row number mapping (from CDC documentation)
-    const rowNumbers = [
-        '76', '00', '01', '02', '03', '04', '05', '06', '07',
-        '10', '11', '12', '13', '14', '15', '16', '17',
-        '20', '21', '22', '23', '24', '25'
-    ];
-    
-    for (let i = 0; i < binaryData.length; i++) {
-        const binary = binaryData[i];
-        const V1 = (binary >> 4) & 1;
-        const V2 = (binary >> 3) & 1;
-        const H1 = (binary >> 2) & 1;
-        const H2 = (binary >> 1) & 1;
-        const U = binary & 1;
+    for (const step of traceBinarySteps(binaryData)) {
+        const { V1, V2, H1, H2, U } = step.flags;
+        
+        const flags = Object.entries(step.flags)
+            .filter(([, set]) => set)
+            .map(([name]) => name);
         
-        const flags = [];
-        if (V1) flags.push('V1');
-        if (V2) flags.push('V2');
-        if (H1) flags.push('H1');
-        if (H2) flags.push('H2');
-        if (U) flags.push('U');
+        // Direction flip-flops before → after, highlighted when toggled
+        const hasDirectionChange = step.verticalToggle || step.horizontalToggle;
+        const directionText = hasDirectionChange
+            ? `${formatDirection(step.directionBefore)} ⇒ ${formatDirection(step.directionAfter)}`
+            : formatDirection(step.directionAfter);
+        const rowStyle = hasDirectionChange ? 'background-color: #ffe6e6;' : '';
         
         tableHTML += `
-            <tr>
-                <td style="border: 1px solid #ccc; padding: 5px; font-family: monospace;">${rowNumbers[i] || i}</td>
-                <td style="border: 1px solid #ccc; padding: 5px; font-family: monospace;">${binary.toString(2).padStart(5, '0')}</td>
-                <td style="border: 1px solid #ccc; padding: 5px; font-family: monospace;">${V1}${V2}${H1}${H2}${U}</td>
-                <td style="border: 1px solid #ccc; padding: 5px;">${flags.join(', ') || 'None'}</td>
+            <tr style="${rowStyle}">
+                <td style="${cellStyle} font-family: monospace;">${step.label}</td>
+                <td style="${cellStyle} font-family: monospace;">${step.binary.toString(2).padStart(5, '0')}</td>
+                <td style="${cellStyle} font-family: monospace;">${+V1}${+V2}${+H1}${+H2}${+U}</td>
+                <td style="${cellStyle}">${flags.join(', ') || 'None'}</td>
+                <td style="${cellStyle} font-family: monospace;">${directionText}</td>
+                <td style="${cellStyle} font-family: monospace;">(${step.move.dx}, ${step.move.dy})</td>
+                <td style="${cellStyle} font-family: monospace;">(${step.x}, ${step.y})</td>
+                <td style="${cellStyle}">${step.beamOn ? 'ON' : 'OFF'}</td>
+                <td style="${cellStyle} font-family: monospace;">${step.time}</td>
             </tr>
         `;
     }
@@ -214,9 +239,10 @@ export function generateBinaryTable(char) {
  * @param {Object} options - Rendering options
  * @param {number} options.scale - Grid scale (default: 20)
  * @param {boolean} options.showTable - Show binary table (default: true)
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
  */
 export function renderCharacterAnalysis(char, containerId, options = {}) {
-    const { scale = 20, showTable = true } = options;
+    const { scale = 20, showTable = true, rom } = options;
     
     const container = document.getElementById(containerId);
     if (!container) {
@@ -224,7 +250,7 @@ export function renderCharacterAnalysis(char, containerId, options = {}) {
         return;
     }
     
-    const binaryData = getCharacterBinary(char);
+    const binaryData = getCharacterBinary(char, rom);
     const vectorData = binaryToVector(binaryData);
     
     // Create canvas for grid
@@ -240,7 +266,7 @@ export function renderCharacterAnalysis(char, containerId, options = {}) {
     section.appendChild(canvas);
     
     if (showTable) {
-        section.innerHTML += generateBinaryTable(char);
+        section.innerHTML += generateBinaryTable(char, rom);
     }
     
     container.appendChild(section);
@@ -0,0 +1,110 @@
+// ROM diff visualization functions
+// Overlays the decoded paths of two ROM versions and tabulates changed rows
+
+import { decodeBinary } from '../cdcRomFunctions.js';
+
+const DEFAULT_DIFF_COLORS = {
+    common: '#999999',
+    removed: '#cc0000',
+    added: '#00aa00',
+    changed: '#fff0c0'
+};
+
+/**
+ * Draw an overlay of one character's old and new strokes
+ * Strokes in both versions are drawn in the common colour, strokes only in
+ * the old ROM as removed and strokes only in the new ROM as added.
+ *
+ * @param {HTMLCanvasElement} canvas - Target canvas (8 * scale square)
+ * @param {Object} diff - Result of diffCharacter
+ * @param {number} scale - Pixels per character unit (default: 20)
+ * @param {Object} colors - Colour overrides {common, removed, added}
+ */
+export function drawDiffOverlay(canvas, diff, scale = 20, colors = {}) {
+    const { common, removed, added } = { ...DEFAULT_DIFF_COLORS, ...colors };
+    const ctx = canvas.getContext('2d');
+
+    const toCanvas = (x, y) => [x * scale + scale/2, (7 - y) * scale + scale/2]; // Flip Y axis for display
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    // Draw grid
+    ctx.strokeStyle = '#ddd';
+    ctx.lineWidth = 0.5;
+    for (let i = 0; i <= 8; i++) {
+        ctx.beginPath();
+        ctx.moveTo(i * scale, 0);
+        ctx.lineTo(i * scale, 8 * scale);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(0, i * scale);
+        ctx.lineTo(8 * scale, i * scale);
+        ctx.stroke();
+    }
+
+    const layers = [
+        [diff.strokes.common, diff.dots.common, common, 4],
+        [diff.strokes.removed, diff.dots.removed, removed, 3],
+        [diff.strokes.added, diff.dots.added, added, 2]
+    ];
+
+    for (const [strokes, dots, color, width] of layers) {
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = width;
+        ctx.lineCap = 'round';
+
+        for (const { x1, y1, x2, y2 } of strokes) {
+            const [px1, py1] = toCanvas(x1, y1);
+            const [px2, py2] = toCanvas(x2, y2);
+            ctx.beginPath();
+            ctx.moveTo(px1, py1);
+            ctx.lineTo(px2, py2);
+            ctx.stroke();
+        }
+
+        for (const { x, y } of dots) {
+            const [px, py] = toCanvas(x, y);
+            ctx.beginPath();
+            ctx.arc(px, py, width + 1, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+}
+
+/**
+ * Format a binary control value as V1 V2 H1 H2 U marks
+ * @param {number|null} binary - Binary value, or null for a missing row
+ * @returns {string} Marks such as 'X . . X .', or '—' for a missing row
+ */
+function formatFlags(binary) {
+    if (binary === null) return '—';
+    const flags = decodeBinary(binary);
+    return ['V1', 'V2', 'H1', 'H2', 'U'].map(name => flags[name] ? 'X' : '.').join(' ');
+}
+
+/**
+ * Generate an HTML table of the rows that differ between two ROM versions
+ * @param {Object} diff - Result of diffCharacter
+ * @returns {string} HTML table string
+ */
+export function generateDiffTable(diff) {
+    if (diff.rows.length === 0) {
+        return '<p>No row changes</p>';
+    }
+
+    let html = '<table class="diff-table">';
+    html += '<tr><th>T</th><th>Old V₁V₂H₁H₂U</th><th>New V₁V₂H₁H₂U</th><th>Changed</th></tr>';
+
+    for (const row of diff.rows) {
+        html += `<tr style="background-color: ${DEFAULT_DIFF_COLORS.changed};">`;
+        html += `<td>${row.label}</td>`;
+        html += `<td style="color: ${DEFAULT_DIFF_COLORS.removed};">${formatFlags(row.before)}</td>`;
+        html += `<td style="color: ${DEFAULT_DIFF_COLORS.added};">${formatFlags(row.after)}</td>`;
+        html += `<td>${row.flags.join(' ') || '—'}</td>`;
+        html += '</tr>';
+    }
+
+    html += '</table>';
+    return html;
+}
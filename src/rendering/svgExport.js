@@ -0,0 +1,209 @@
+// SVG Export
+// Draws beam paths as SVG documents for documentation and design reviews
+//
+// Output is deterministic: the same path and options always give the same text,
+// with coordinates rounded to a fixed precision, so exports diff cleanly.
+
+import { tripletsToSegments, findDwellPoints, generateTripletRom } from '../chargenTriplets.js';
+import { SCREEN_SIZE } from '../cdcRomFunctions.js';
+import { CHARACTER_SCALES, CELL_SIZE, layoutText } from '../display/textLayout.js';
+
+/**
+ * Layers in drawing order; beam-on strokes are always drawn, the rest are optional
+ *   beamOff    - blanked moves between strokes
+ *   beamOn     - beam-on strokes with round caps
+ *   arrowheads - direction marks on length-2 ROM steps, as drawArrowhead draws them
+ *   dwell      - markers where the beam stays on at one position
+ */
+export const SVG_LAYERS = ['beamOff', 'beamOn', 'arrowheads', 'dwell'];
+
+/**
+ * Format a coordinate with at most three decimals and no trailing zeros
+ * @param {number} value - Coordinate
+ * @returns {string} Stable text form
+ */
+function formatNumber(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return Object.is(rounded, -0) ? '0' : String(rounded);
+}
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXML(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;'
+    })[char]);
+}
+
+/**
+ * Build path data from segments, joining segments that continue one another
+ * @param {Array<Object>} segments - {x1, y1, x2, y2} in SVG coordinates
+ * @returns {string} Path data of M and L commands
+ */
+function segmentsToPathData(segments) {
+    const commands = [];
+    let endX = null, endY = null;
+    for (const { x1, y1, x2, y2 } of segments) {
+        if (x1 !== endX || y1 !== endY) {
+            commands.push(`M${formatNumber(x1)} ${formatNumber(y1)}`);
+        }
+        commands.push(`L${formatNumber(x2)} ${formatNumber(y2)}`);
+        endX = x2;
+        endY = y2;
+    }
+    return commands.join(' ');
+}
+
+/**
+ * Arrowhead triangle 70% along a segment, pointing along it
+ * @param {Object} segment - {x1, y1, x2, y2} in SVG coordinates
+ * @param {number} size - Arrowhead length in units
+ * @returns {string} Polygon points
+ */
+function arrowheadPoints({ x1, y1, x2, y2 }, size) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const tipX = x1 + (x2 - x1) * 0.7;
+    const tipY = y1 + (y2 - y1) * 0.7;
+    const cos = Math.cos(angle), sin = Math.sin(angle);
+    return [[0, 0], [-size, -size * 0.5], [-size, size * 0.5]]
+        .map(([ax, ay]) => `${formatNumber(tipX + ax * cos - ay * sin)},${formatNumber(tipY + ax * sin + ay * cos)}`)
+        .join(' ');
+}
+
+/**
+ * Render a beam path as an SVG document
+ * One unit of the path is one SVG user unit, with pixel centres at half units as in
+ * the bitmap renderers and Y flipped so the origin is at the bottom left.
+ *
+ * @param {Array} triplets - [x, y, intensity] beam path from implicit origin (0, 0)
+ * @param {Object} options - SVG options
+ * @param {number} options.gridSize - Units per side of the drawing area (default: 512)
+ * @param {number} options.scale - Output pixels per unit, for the width and height attributes (default: 1)
+ * @param {Object} options.layers - Optional layers to draw: {beamOff, arrowheads, dwell} (default: all false)
+ * @param {number} options.beamWidth - Beam-on stroke width in units (default: 1)
+ * @param {number} options.beamOffWidth - Beam-off stroke width in units (default: 0.25)
+ * @param {number} options.characterScale - Character scale the path was drawn at, so ROM steps of
+ *        length 2 are found as 2 × characterScale and arrowheads grow with them (default: 1)
+ * @param {number} options.arrowSize - Arrowhead length in ROM units (default: 1)
+ * @param {number} options.dwellRadius - Dwell marker radius in units (default: 0.75)
+ * @param {Object} options.colors - {on, off, arrow, dwell} (default: green beam, light blue moves,
+ *        amber arrowheads, blue dwell markers)
+ * @param {string|null} options.backgroundColor - Background fill, or null for transparent (default: '#000000')
+ * @param {string} options.title - Optional document title
+ * @returns {string} SVG document
+ */
+export function tripletsToSVG(triplets, options = {}) {
+    const {
+        gridSize = SCREEN_SIZE,
+        scale = 1,
+        layers = {},
+        beamWidth = 1,
+        beamOffWidth = 0.25,
+        characterScale = 1,
+        arrowSize = 1,
+        dwellRadius = 0.75,
+        backgroundColor = '#000000',
+        title = null
+    } = options;
+    const colors = { on: '#00ff00', off: '#b3d9ff', arrow: '#ffb000', dwell: '#0066ff', ...options.colors };
+
+    const toSVG = ({ x1, y1, x2, y2, intensity }) => ({
+        x1: x1 + 0.5, y1: gridSize - 0.5 - y1,
+        x2: x2 + 0.5, y2: gridSize - 0.5 - y2,
+        intensity
+    });
+    const segments = tripletsToSegments(triplets);
+    const beamOn = segments.filter(s => s.intensity > 0).map(toSVG);
+    const beamOff = segments.filter(s => s.intensity <= 0 && (s.x1 !== s.x2 || s.y1 !== s.y2)).map(toSVG);
+    const size = formatNumber(gridSize * scale);
+    const group = (id, attributes, children) => children.length === 0 ? [] : [
+        `  <g id="${id}" ${attributes}>`,
+        ...children.map(child => `    ${child}`),
+        '  </g>'
+    ];
+
+    const lines = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 ${gridSize} ${gridSize}">`
+    ];
+    if (title !== null) lines.push(`  <title>${escapeXML(title)}</title>`);
+    if (backgroundColor) {
+        lines.push(`  <rect id="background" width="${gridSize}" height="${gridSize}" fill="${escapeXML(backgroundColor)}"/>`);
+    }
+    if (layers.beamOff) {
+        lines.push(...group('beam-off',
+            `fill="none" stroke="${escapeXML(colors.off)}" stroke-width="${formatNumber(beamOffWidth)}" stroke-dasharray="${formatNumber(beamOffWidth * 4)}"`,
+            beamOff.length ? [`<path d="${segmentsToPathData(beamOff)}"/>`] : []));
+    }
+    lines.push(...group('beam-on',
+        `fill="none" stroke="${escapeXML(colors.on)}" stroke-width="${formatNumber(beamWidth)}" stroke-linecap="round" stroke-linejoin="round"`,
+        beamOn.length ? [`<path d="${segmentsToPathData(beamOn)}"/>`] : []));
+    if (layers.arrowheads) {
+        // ROM steps of length 2 on either axis, beam on or off, as renderTriplets marks them;
+        // the path is already scaled, so a ROM step of 2 spans 2 × characterScale units
+        const stepLength = 2 * characterScale;
+        const steps = segments.slice(1).filter(s => Math.abs(s.x2 - s.x1) === stepLength || Math.abs(s.y2 - s.y1) === stepLength);
+        lines.push(...group('arrowheads', `fill="${escapeXML(colors.arrow)}"`, steps.map(step => {
+            const diagonal = Math.abs(step.x2 - step.x1) === stepLength && Math.abs(step.y2 - step.y1) === stepLength;
+            return `<polygon points="${arrowheadPoints(toSVG(step), arrowSize * characterScale * (diagonal ? 1.25 : 1))}"/>`;
+        })));
+    }
+    if (layers.dwell) {
+        const seen = new Set();
+        const dwells = findDwellPoints(triplets).map(i => triplets[i]).filter(([x, y]) => {
+            const key = `${x},${y}`;
+            return !seen.has(key) && seen.add(key);
+        });
+        lines.push(...group('dwell', `fill="${escapeXML(colors.dwell)}"`, dwells.map(([x, y]) =>
+            `<circle cx="${formatNumber(x + 0.5)}" cy="${formatNumber(gridSize - 0.5 - y)}" r="${formatNumber(dwellRadius)}"/>`)));
+    }
+    lines.push('</svg>');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render one ROM glyph in its character cell
+ * @param {string} char - ROM character key
+ * @param {Object} options - tripletsToSVG options plus:
+ * @param {number} options.characterScale - CDC character scale 1, 2 or 4 (default: 1)
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
+ * @returns {string} SVG document covering the 8 × characterScale cell
+ * @throws {Error} For an unsupported character scale or a character with no glyph
+ */
+export function glyphToSVG(char, options = {}) {
+    const { characterScale = 1, rom } = options;
+    if (!CHARACTER_SCALES.includes(characterScale)) {
+        throw new Error(`Character scale must be one of ${CHARACTER_SCALES.join(', ')}, got ${characterScale}`);
+    }
+    const triplets = generateTripletRom(rom)[char];
+    if (!triplets) {
+        throw new Error(`No glyph for '${char}' in the ROM`);
+    }
+    return tripletsToSVG(
+        triplets.map(([x, y, intensity]) => [x * characterScale, y * characterScale, intensity]),
+        { title: char, ...options, gridSize: CELL_SIZE * characterScale }
+    );
+}
+
+/**
+ * Render a full 512×512 screen beam path, e.g. from getScreenTriplets
+ * Pass the layout's characterScale so arrowheads mark its scaled ROM steps.
+ * @param {Array} triplets - [x, y, intensity] beam path in screen units
+ * @param {Object} options - tripletsToSVG options
+ * @returns {string} SVG document
+ */
+export function screenToSVG(triplets, options = {}) {
+    return tripletsToSVG(triplets, { ...options, gridSize: SCREEN_SIZE });
+}
+
+/**
+ * Lay out text and render the screen
+ * @param {string} text - Text to lay out (see layoutText)
+ * @param {Object} options - layoutText options and tripletsToSVG options
+ * @returns {string} SVG document
+ */
+export function textToSVG(text, options = {}) {
+    return screenToSVG(layoutText(text, options).triplets, options);
+}
@@ -1,6 +1,8 @@
 // Rendering controls UI functions
 // Extracted from inline JavaScript in HTML files
 
+import { ARTIFACT_LEVELS } from '../analog/artifacts.js';
+
 /**
  * Get current rendering options from control checkboxes
  * @returns {Object} Current rendering options
@@ -10,7 +12,8 @@ export function getRenderingOptions() {
         showBeamOff: document.getElementById('showBeamOff')?.checked || false,
         showArrowheads: document.getElementById('showArrowheads')?.checked || false,
         showDwellPoints: document.getElementById('showDwellPoints')?.checked || false,
-        showGrid: document.getElementById('showGrid')?.checked || false
+        showGrid: document.getElementById('showGrid')?.checked || false,
+        artifactLevel: parseInt(document.getElementById('artifactLevel')?.value, 10) || 0
     };
 }
 
@@ -21,6 +24,7 @@ export function getRenderingOptions() {
  * @param {boolean} options.showArrowheads - Show direction arrows
  * @param {boolean} options.showDwellPoints - Show dwell points
  * @param {boolean} options.showGrid - Show grid
+ * @param {number} options.artifactLevel - Artifact level 0-9
  */
 export function setRenderingOptions(options) {
     if (options.showBeamOff !== undefined) {
@@ -42,19 +46,45 @@ export function setRenderingOptions(options) {
         const checkbox = document.getElementById('showGrid');
         if (checkbox) checkbox.checked = options.showGrid;
     }
+    
+    if (options.artifactLevel !== undefined) {
+        const select = document.getElementById('artifactLevel');
+        if (select) select.value = String(options.artifactLevel);
+    }
+}
+
+/**
+ * Fill the artifact level select with the A0-A9 presets
+ * @param {HTMLSelectElement} select - Select element to fill
+ */
+export function populateArtifactLevels(select) {
+    select.innerHTML = '';
+    for (const preset of ARTIFACT_LEVELS) {
+        const option = document.createElement('option');
+        option.value = String(preset.level);
+        option.textContent = `${preset.label} - ${preset.name}`;
+        option.title = preset.description;
+        select.appendChild(option);
+    }
 }
 
 /**
  * Initialize rendering controls with change listeners
+ * An empty artifactLevel select is filled with the A0-A9 presets.
  * @param {Function} onChange - Callback when any option changes
  */
 export function initializeRenderingControls(onChange = () => {}) {
-    const controlIds = ['showBeamOff', 'showArrowheads', 'showDwellPoints', 'showGrid'];
+    const controlIds = ['showBeamOff', 'showArrowheads', 'showDwellPoints', 'showGrid', 'artifactLevel'];
+    
+    const artifactSelect = document.getElementById('artifactLevel');
+    if (artifactSelect && artifactSelect.options.length === 0) {
+        populateArtifactLevels(artifactSelect);
+    }
     
     controlIds.forEach(id => {
-        const checkbox = document.getElementById(id);
-        if (checkbox) {
-            checkbox.addEventListener('change', () => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('change', () => {
                 const options = getRenderingOptions();
                 onChange(options);
             });
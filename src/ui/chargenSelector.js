@@ -2,20 +2,23 @@
 // Extracted from inline JavaScript in HTML files
 
 import { generateTripletRom } from '../chargenTriplets.js';
+import { getCharacterOrder, getDisplayCodeForChar, getDisplayCode } from '../cdcDisplayCode.js';
 
 /**
  * Initialize character selector with buttons
  * @param {string} selectorId - ID of container element
  * @param {Object} options - Configuration options
  * @param {string} options.defaultChar - Initially selected character
- * @param {string} options.charOrder - Order of characters to display
+ * @param {Array<string>|string} options.charOrder - Order of characters to display (default: display code order)
+ * @param {string|Object} options.rom - ROM handle: registered name or ROM object (default: active ROM)
  * @param {Function} options.onSelect - Callback when character is selected
  * @returns {string} The selected character
  */
 export function initializeCharacterSelector(selectorId, options = {}) {
     const {
         defaultChar = 'A',
-        charOrder = '0123456789 ABCDEFGHIJKLMNOPQRSTUVWXYZ+-*/()=,.',
+        rom,
+        charOrder = getCharacterOrder(rom),
         onSelect = () => {}
     } = options;
     
@@ -25,7 +28,7 @@ export function initializeCharacterSelector(selectorId, options = {}) {
         return defaultChar;
     }
     
-    const tripletRom = generateTripletRom();
+    const tripletRom = generateTripletRom(rom);
     
     // Clear existing buttons
     selector.innerHTML = '';
@@ -36,6 +39,12 @@ export function initializeCharacterSelector(selectorId, options = {}) {
             button.className = 'character-button';
             button.textContent = char === ' ' ? '␣' : char;
             button.dataset.char = char;
+            
+            const code = getDisplayCodeForChar(char);
+            if (code !== null) {
+                const entry = getDisplayCode(code);
+                button.title = `${entry.name} (display code ${entry.octal})`;
+            }
             button.onclick = () => {
                 selectCharacter(char, onSelect);
             };
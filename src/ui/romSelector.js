@@ -0,0 +1,73 @@
+// ROM selector UI functions
+// Switches the active character ROM and loads listing files as additional ROMs
+
+import { listRoms, setActiveRom, getActiveRomName, registerRom, onActiveRomChange } from '../cdcRomRegistry.js';
+import { parseRomListing } from '../cdcRomListing.js';
+
+/**
+ * Fill a select element with the registered ROMs
+ * @param {HTMLSelectElement} select - Select element to fill
+ */
+function populateRomOptions(select) {
+    select.innerHTML = '';
+
+    for (const entry of listRoms()) {
+        const option = document.createElement('option');
+        option.value = entry.name;
+        option.textContent = `${entry.name} (${entry.characterCount} characters)`;
+        option.title = entry.description;
+        option.selected = entry.active;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Initialize the ROM selector
+ * @param {string} selectId - ID of select element
+ * @param {Object} options - Configuration options
+ * @param {string} options.fileInputId - ID of a file input for loading ROM listings (optional)
+ * @param {Function} options.onChange - Callback with the active ROM name after it changes
+ * @returns {string} The active ROM name
+ */
+export function initializeRomSelector(selectId, options = {}) {
+    const {
+        fileInputId = null,
+        onChange = () => {}
+    } = options;
+
+    const select = document.getElementById(selectId);
+    if (!select) {
+        console.warn(`ROM selector element '${selectId}' not found`);
+        return getActiveRomName();
+    }
+
+    populateRomOptions(select);
+    select.onchange = () => setActiveRom(select.value);
+
+    onActiveRomChange(name => {
+        populateRomOptions(select);
+        onChange(name);
+    });
+
+    const fileInput = fileInputId ? document.getElementById(fileInputId) : null;
+    if (fileInput) {
+        fileInput.onchange = async () => {
+            const file = fileInput.files[0];
+            if (!file) return;
+
+            try {
+                const rom = parseRomListing(await file.text());
+                registerRom(file.name, rom, {
+                    description: `Loaded from listing ${file.name}`,
+                    replace: true,
+                    activate: true
+                });
+            } catch (error) {
+                console.warn(`Could not load ROM listing '${file.name}': ${error.message}`);
+            }
+            fileInput.value = '';
+        };
+    }
+
+    return getActiveRomName();
+}
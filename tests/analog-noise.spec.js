@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { layoutText } = require('../src/display/textLayout.js');
+const { simulateDeflection } = require('../src/analog/deflection.js');
+const { createRandom, createNoise, sampleNoise, applyNoise, DEFAULT_NOISE } = require('../src/analog/noise.js');
+
+const rms = values => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+test.describe('DD60 Analog Noise', () => {
+    test('replays exactly for a fixed seed', () => {
+        const trace = simulateDeflection(layoutText('8', { x: 100, y: 100, characterScale: 4 }).triplets);
+        const first = applyNoise(trace, createNoise({ seed: 42 }));
+        const second = applyNoise(trace, createNoise({ seed: 42 }));
+        const other = applyNoise(trace, createNoise({ seed: 43 }));
+
+        expect(second.points).toEqual(first.points);
+        expect(other.points[10].x).not.toBe(first.points[10].x);
+        expect(createRandom(7)()).toBe(createRandom(7)());
+    });
+
+    test('draws the same glyph differently each time from one source', () => {
+        const trace = simulateDeflection(layoutText('8', { x: 0, y: 0, characterScale: 4 }).triplets);
+        const noise = createNoise({ seed: 5 });
+        const a = applyNoise(trace, noise);
+        const b = applyNoise(trace, noise);
+
+        expect(noise.timeNs).toBe(2 * trace.durationNs);
+        expect(a.points.some((p, i) => p.x !== b.points[i].x)).toBe(true);
+        expect(a.points.every((p, i) => Math.abs(p.x - trace.points[i].x) < 5)).toBe(true);
+    });
+
+    test('swings ±0.2% of full scale at 400Hz', () => {
+        const noise = createNoise({ driftRms: 0, whiteNoiseRms: 0 });
+        const period = 1e9 / DEFAULT_NOISE.jitterHz;
+        const samples = Array.from({ length: 200 }, (_, i) => sampleNoise(noise, i * period / 100));
+
+        expect(Math.max(...samples.map(s => s.x))).toBeCloseTo(1.024, 2);
+        expect(Math.min(...samples.map(s => s.x))).toBeCloseTo(-1.024, 2);
+        expect(samples[150].y).toBeCloseTo(samples[50].y, 6);
+    });
+
+    test('drifts the baseline vertically at the configured RMS', () => {
+        const noise = createNoise({ jitterAmplitude: 0, whiteNoiseRms: 0, seed: 9 });
+        const samples = Array.from({ length: 4000 }, (_, i) => sampleNoise(noise, i * 5000));
+
+        expect(samples.every(s => s.x === 0)).toBe(true);
+        expect(rms(samples.map(s => s.y))).toBeGreaterThan(0.2);
+        expect(rms(samples.map(s => s.y))).toBeLessThan(0.3);
+    });
+
+    test('adds white noise at the configured RMS and records the offsets', () => {
+        const trace = simulateDeflection([[0, 0, 1]], { timeStepNs: 0.1 });
+        const noisy = applyNoise(trace, createNoise({ jitterAmplitude: 0, driftRms: 0 }));
+
+        expect(rms(noisy.points.map(p => p.noiseX))).toBeCloseTo(DEFAULT_NOISE.whiteNoiseRms, 1);
+        expect(noisy.points.every((p, i) => p.x === trace.points[i].x + p.noiseX)).toBe(true);
+    });
+});
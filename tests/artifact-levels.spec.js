@@ -0,0 +1,118 @@
+const { test, expect } = require('@playwright/test');
+const { generateTripletRom } = require('../src/chargenTriplets.js');
+const { renderCDCScaledBitmap, renderScreenBitmap } = require('../src/chargenRenderer.js');
+const { glyphToScreenPath } = require('../src/display/textLayout.js');
+const { ARTIFACT_LEVELS, getArtifactPreset, simulateArtifacts, applyArtifacts } = require('../src/analog/artifacts.js');
+const { createPhosphor, P31_TAU_NS } = require('../src/analog/phosphor.js');
+const { createRasterContext } = require('../src/rendering/rasterTarget.js');
+
+// Float raster that counts unmatched save calls, to check the renderers restore the context
+function trackedRaster(size) {
+    const ctx = createRasterContext(size, size, { depth: 'float' });
+    const { save, restore } = ctx;
+    ctx.depth = 0;
+    ctx.save = () => { ctx.depth++; save(); };
+    ctx.restore = () => { ctx.depth--; restore(); };
+    return ctx;
+}
+
+// Mean distance from each simulated sample to the nearest ideal triplet point
+function meanDeviation(ideal, simulated) {
+    const total = simulated.reduce((sum, [x, y]) =>
+        sum + Math.min(...ideal.map(([ix, iy]) => Math.hypot(x - ix, y - iy))), 0);
+    return total / simulated.length;
+}
+
+test.describe('DD60 Artifact Levels', () => {
+    test('defines ten presets A0-A9 with A5 at the documented values', () => {
+        expect(ARTIFACT_LEVELS).toHaveLength(10);
+        ARTIFACT_LEVELS.forEach((preset, level) => {
+            expect(preset).toMatchObject({ level, label: `A${level}` });
+            expect(Object.isFrozen(preset)).toBe(true);
+        });
+
+        const nominal = getArtifactPreset(5);
+        expect(nominal.deflection).toMatchObject({ naturalFrequency: 5e6, dampingRatio: 0.75 });
+        expect(nominal.zAxis).toEqual({ riseNs: 15, fallNs: 40 });
+        expect(ARTIFACT_LEVELS[0].deflection).toBeNull();
+        expect(ARTIFACT_LEVELS[9].deflection).toMatchObject({ slewLimit: expect.any(Number), settling: expect.any(Object) });
+    });
+
+    test('looks presets up by level, label or object', () => {
+        expect(getArtifactPreset(3)).toBe(ARTIFACT_LEVELS[3]);
+        expect(getArtifactPreset('A7')).toBe(ARTIFACT_LEVELS[7]);
+        expect(getArtifactPreset('a2')).toBe(ARTIFACT_LEVELS[2]);
+        expect(getArtifactPreset(ARTIFACT_LEVELS[4])).toBe(ARTIFACT_LEVELS[4]);
+        expect(getArtifactPreset()).toBe(ARTIFACT_LEVELS[0]);
+        expect(() => getArtifactPreset(10)).toThrow(/Unknown artifact level/);
+        expect(() => getArtifactPreset('B1')).toThrow(/Unknown artifact level/);
+        expect(getArtifactPreset('4')).toBe(ARTIFACT_LEVELS[4]);
+        expect(() => getArtifactPreset('A')).toThrow(/Unknown artifact level/);
+        expect(() => getArtifactPreset('')).toThrow(/Unknown artifact level/);
+        expect(() => getArtifactPreset('A 1')).toThrow(/Unknown artifact level/);
+    });
+
+    test('leaves the ideal path untouched at A0 and is deterministic above it', () => {
+        const triplets = generateTripletRom()['A'];
+
+        expect(applyArtifacts(triplets, 0)).toBe(triplets);
+        expect(simulateArtifacts(triplets, 'A0')).toBeNull();
+        expect(applyArtifacts(triplets, 9)).toEqual(applyArtifacts(triplets, 9));
+        expect(applyArtifacts(triplets, 5, { characterScale: 2 }).every(([, , b]) => b >= 0 && b <= 1)).toBe(true);
+    });
+
+    test('carries phosphor persistence that scales with the level', () => {
+        expect(ARTIFACT_LEVELS[0].persistence).toBeNull();
+        expect(getArtifactPreset(5).persistence).toEqual({ tauNs: P31_TAU_NS });
+        expect(getArtifactPreset(7).persistence.tauNs).toBeCloseTo(P31_TAU_NS * 1.2);
+        expect(getArtifactPreset(8).persistence.tauNs).toBeCloseTo(P31_TAU_NS * 1.4);
+        expect(getArtifactPreset(9).persistence.tauNs).toBeCloseTo(P31_TAU_NS * 1.5);
+        expect(createPhosphor(getArtifactPreset('A8').persistence).tauNs).toBe(ARTIFACT_LEVELS[8].persistence.tauNs);
+
+        // Samples drawn earlier in the pass have faded more by the time it ends
+        const triplets = glyphToScreenPath(generateTripletRom()['A'], 100, 100, 2);
+        const simulate = persistence => simulateArtifacts(triplets, { ...ARTIFACT_LEVELS[5], persistence });
+        const steady = simulate(null);
+        const fading = simulate({ tauNs: 500 });
+
+        expect(fading.points.some(p => p.brightness > 0)).toBe(true);
+        fading.points.forEach((point, i) => {
+            expect(point.brightness).toBeCloseTo(steady.points[i].brightness * Math.exp(-(fading.durationNs - point.t) / 500), 9);
+        });
+        expect(simulate({ tauNs: P31_TAU_NS })).not.toEqual(steady);
+        expect(simulate(ARTIFACT_LEVELS[5].persistence)).toEqual(simulateArtifacts(triplets, 5));
+    });
+
+    test('moves further from the ideal path at higher levels', () => {
+        const screenPath = glyphToScreenPath(generateTripletRom()['W'], 100, 100, 4);
+        const ideal = screenPath.slice(1);
+        const deviation = level => meanDeviation(ideal, applyArtifacts(screenPath, level).filter(([, , b]) => b > 0.1));
+
+        expect(deviation(1)).toBeLessThan(deviation(5));
+        expect(deviation(5)).toBeLessThan(deviation(9));
+    });
+
+    test('passes the artifact level through the bitmap renderers', () => {
+        const triplets = generateTripletRom()['A'];
+        const ideal = trackedRaster(14);
+        const nominal = trackedRaster(14);
+        const screen = trackedRaster(512);
+        const colors = { pixelColor: '#ffffff', backgroundColor: '#000000' };
+
+        renderCDCScaledBitmap(ideal, triplets, 2, colors);
+        renderCDCScaledBitmap(nominal, triplets, 2, { ...colors, artifactLevel: 5 });
+        renderScreenBitmap(screen, glyphToScreenPath(triplets, 10, 10, 1), { ...colors, artifactLevel: 'A9' });
+        const lit = ctx => Array.from(ctx.raster.data).filter(v => v > 0);
+
+        // Ideal strokes are drawn at full brightness, simulated ones with brightness as alpha
+        expect(lit(ideal).length).toBeGreaterThan(0);
+        expect(lit(ideal).every(v => v === 1)).toBe(true);
+        expect(lit(nominal).some(v => v < 1)).toBe(true);
+        expect(lit(screen).length).toBeGreaterThan(0);
+        [ideal, nominal, screen].forEach(ctx => {
+            expect(ctx.depth).toBe(0);
+            expect(ctx.globalAlpha).toBe(1);
+            expect(ctx.shadowBlur).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const { test, expect } = require('@playwright/test');
+const { generateTripletRom } = require('../src/chargenTriplets.js');
+const { renderCDCScaledBitmap } = require('../src/chargenRenderer.js');
+const { getCharacterOrder, getDisplayCodeForChar } = require('../src/cdcDisplayCode.js');
+const { createRasterContext, rasterToBits } = require('../src/rendering/rasterTarget.js');
+const { fontName, parseFontName, rasterizeFont } = require('../src/fonts/bitmapFont.js');
+const { writeBDF, generateBDF, generateBDFFonts } = require('../src/fonts/bdf.js');
+
+// Minimal BDF reader: header keywords and glyphs with their decoded bitmaps
+function parseBDF(text) {
+    const lines = text.trim().split('\n');
+    const header = {};
+    const glyphs = [];
+    let glyph = null;
+    let inBitmap = false;
+
+    for (const line of lines) {
+        const [keyword, ...args] = line.split(' ');
+        if (keyword === 'STARTCHAR') {
+            glyph = { name: args.join(' '), rows: [] };
+        } else if (keyword === 'ENDCHAR') {
+            glyphs.push(glyph);
+            glyph = null;
+            inBitmap = false;
+        } else if (glyph && inBitmap) {
+            const bits = Array.from(line, digit => parseInt(digit, 16).toString(2).padStart(4, '0')).join('');
+            glyph.rows.push({ hex: line, bits: bits.slice(0, glyph.bbx[0]) });
+        } else if (glyph) {
+            if (keyword === 'BITMAP') inBitmap = true;
+            else glyph[keyword.toLowerCase()] = args.map(Number);
+        } else if (!(keyword in header)) {
+            header[keyword] = args.join(' ');
+        }
+    }
+    return { header, glyphs, lines };
+}
+
+test.describe('BDF Font Export', () => {
+    test('names fonts by the DD60_C_R_D_B_A convention', () => {
+        expect(fontName()).toBe('DD60_C1_R1_D1_B1_A0');
+        expect(fontName({ characterScale: 4, canvasScale: 8, deviceScale: 2, artifactLevel: 'A5' })).toBe('DD60_C4_R8_D2_B1_A5');
+        expect(parseFontName('DD60_C2_R4_D1_B1_A0')).toEqual({
+            characterScale: 2, canvasScale: 4, deviceScale: 1, bitDepth: 1, artifactLevel: 0
+        });
+        expect(() => fontName({ characterScale: 3 })).toThrow(/Character scale/);
+        expect(() => parseFontName('DD60_C1_R1')).toThrow(/DD60_C_R_D_B_A/);
+    });
+
+    test('rasterizes glyphs with renderCDCScaledBitmap semantics', () => {
+        const triplets = generateTripletRom()['A'];
+        const reference = createRasterContext(14, 14, { depth: 1 });
+        renderCDCScaledBitmap(reference, triplets, 2, { pixelColor: '#ffffff', backgroundColor: '#000000' });
+
+        const font = rasterizeFont({ characterScale: 2 });
+        const glyphA = font.glyphs.find(g => g.romKey === 'A');
+        expect(font).toMatchObject({ name: 'DD60_C2_R1_D1_B1_A0', cellSize: 16, glyphSize: 14, pixelScale: 1 });
+        expect(glyphA.bits).toEqual(rasterToBits(reference));
+        expect(font.glyphs.map(g => g.romKey)).toEqual(getCharacterOrder());
+
+        // Canvas scale 2 doubles glyph and beam: every pixel becomes a 2×2 block
+        const doubled = rasterizeFont({ characterScale: 2, canvasScale: 2 }).glyphs.find(g => g.romKey === 'A');
+        expect(doubled.bits).toEqual(glyphA.bits.flatMap(row => {
+            const wide = row.flatMap(bit => [bit, bit]);
+            return [wide, wide];
+        }));
+    });
+
+    test('writes a well-formed BDF 2.1 font', () => {
+        const font = rasterizeFont();
+        const { header, glyphs, lines } = parseBDF(writeBDF(font));
+
+        expect(lines[0]).toBe('STARTFONT 2.1');
+        expect(lines[lines.length - 1]).toBe('ENDFONT');
+        expect(header.FONT).toBe('-cdc-DD60_C1_R1_D1_B1_A0-medium-r-normal--8-77-75-75-c-80-CDC6600-DISPLAY');
+        expect(header.FONTBOUNDINGBOX).toBe('7 7 0 0');
+        expect(Number(header.CHARS)).toBe(glyphs.length);
+        expect(Number(header.STARTPROPERTIES)).toBe(
+            lines.indexOf('ENDPROPERTIES') - lines.findIndex(l => l.startsWith('STARTPROPERTIES')) - 1);
+        expect(lines).toContain(`DEFAULT_CHAR ${getDisplayCodeForChar(' ')}`);
+
+        glyphs.forEach((glyph, i) => {
+            const [width, height, x, y] = glyph.bbx;
+            expect(glyph.encoding[0]).toBe(font.glyphs[i].code);
+            expect(glyph.dwidth).toEqual([8, 0]);
+            expect(glyph.rows).toHaveLength(height);
+            expect(glyph.rows.every(r => r.hex.length === Math.ceil(width / 8) * 2)).toBe(true);
+            expect(x).toBeGreaterThanOrEqual(0);
+            expect(y).toBeGreaterThanOrEqual(0);
+            expect(glyph.rows.map(r => r.bits)).toEqual(font.glyphs[i].bbx.rows.map(row => row.join('')));
+        });
+        expect(glyphs[0]).toMatchObject({ name: 'LETTER_A', encoding: [1] });
+    });
+
+    test('crops each glyph to its ink box above the baseline', () => {
+        const { glyphs } = parseBDF(generateBDF().bdf);
+        const byName = name => glyphs.find(g => g.name === name);
+
+        expect(byName('LETTER_A').bbx).toEqual([7, 7, 0, 0]);
+        expect(byName('PERIOD').bbx[1]).toBeLessThan(7);
+        expect(byName('PERIOD').bbx[3]).toBe(0);
+        expect(byName('BLANK').bbx).toEqual([7, 7, 0, 0]);
+        expect(byName('BLANK').rows.every(r => /^0+$/.test(r.hex))).toBe(true);
+    });
+
+    test('generates every character and canvas scale combination', () => {
+        const fonts = generateBDFFonts();
+
+        expect(fonts.map(f => f.name)).toEqual([1, 2, 4, 8].flatMap(r =>
+            [1, 2, 4].map(c => `DD60_C${c}_R${r}_D1_B1_A0`)));
+        fonts.forEach(({ name, fileName, bdf }) => {
+            const { characterScale, canvasScale } = parseFontName(name);
+            const cell = 8 * characterScale * canvasScale;
+            expect(fileName).toBe(`${name}.bdf`);
+            expect(bdf).toContain(`FAMILY_NAME "${name}"`);
+            expect(bdf).toContain(`PIXEL_SIZE ${cell}\n`);
+            expect(bdf).toContain(`DWIDTH ${cell} 0`);
+        });
+        expect(() => generateBDF({ bitDepth: 8 })).toThrow(/1-bit/);
+    });
+});
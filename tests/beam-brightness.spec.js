@@ -0,0 +1,72 @@
+const { test, expect } = require('@playwright/test');
+const { getCharacterTriplets } = require('../src/chargenTriplets.js');
+const { renderScreenBitmap } = require('../src/chargenRenderer.js');
+const { simulateDeflection } = require('../src/analog/deflection.js');
+const { beamBrightness, applyBrightness, tripletBrightness, traceToTriplets } = require('../src/analog/brightness.js');
+
+test.describe('DD60 Beam Brightness', () => {
+    test('dims with speed down to the clamp', () => {
+        expect(beamBrightness(0)).toBe(1);
+        expect(beamBrightness(2)).toBeCloseTo(1 / 1.8);
+        expect(beamBrightness(100)).toBe(0.4);
+        expect(beamBrightness(2, { k: 0.3, base: 2 })).toBeCloseTo(2 / 1.6);
+        expect(beamBrightness(100, { minBrightness: 0.25 })).toBe(0.25);
+    });
+
+    test('gives ideal paths full brightness at dwells and dims long diagonals', () => {
+        const path = [[0, 0, 1], [0, 0, 1], [2, 2, 1], [3, 3, 1], [3, 3, 0]];
+        const bright = tripletBrightness(path);
+
+        expect(bright.map(t => t.slice(0, 2))).toEqual(path.map(t => t.slice(0, 2)));
+        expect(bright[1][2]).toBe(1);
+        expect(bright[2][2]).toBeLessThan(bright[3][2]);
+        expect(bright[4][2]).toBe(0);
+    });
+
+    test('brightens corners and stroke ends and dims fast diagonals', () => {
+        // Two strokes meeting at a corner, with the dwell rows the ROM uses at corners and stroke ends
+        const path = [
+            ...[0, 2, 4, 6, 8, 10, 10].map(x => [x, 0, 1]),
+            ...[2, 4, 6, 8, 10, 12, 12].map(y => [10, y, 1])
+        ];
+        const trace = applyBrightness(simulateDeflection(path, { timeStepNs: 5, settleNs: 300 }));
+        const rowEnergy = rows => trace.points
+            .filter(p => rows.includes(p.row))
+            .reduce((sum, p) => sum + p.energy, 0);
+        const brightness = rows => trace.points.filter(p => rows.includes(p.row)).map(p => p.brightness);
+
+        // The beam lags the commands by a few rows, so the corner turn shows up around row 8
+        expect(Math.max(...brightness([8]))).toBeGreaterThan(Math.min(...brightness([5, 6])));
+        expect(Math.max(...brightness([8]))).toBeGreaterThan(Math.min(...brightness([11, 12])));
+        expect(rowEnergy([0, 1])).toBeGreaterThan(rowEnergy([5, 6]));
+
+        const diagonal = applyBrightness(simulateDeflection([2, 4, 6, 8].map(v => [v, v, 1])));
+        const straight = applyBrightness(simulateDeflection([2, 4, 6, 8].map(v => [v, 0, 1])));
+        const minimum = t => Math.min(...t.points.filter(p => p.beam).map(p => p.brightness));
+        expect(minimum(diagonal)).toBeLessThan(minimum(straight));
+        expect(trace.points.filter(p => !p.beam).every(p => p.energy === 0)).toBe(true);
+    });
+
+    test('normalises a dwelling row to one unit of energy', () => {
+        const trace = applyBrightness(simulateDeflection([[0, 0, 1]], { timeStepNs: 10 }));
+        const total = trace.points.reduce((sum, p) => sum + p.energy, 0);
+
+        expect(total).toBeCloseTo(1);
+    });
+
+    test('feeds renderers as per-vertex intensity', () => {
+        const trace = applyBrightness(simulateDeflection(getCharacterTriplets('A').map(([x, y, i]) => [x * 32, y * 32, i])));
+        const triplets = traceToTriplets(trace);
+        const alphas = new Set();
+        const ctx = {
+            globalAlpha: 1,
+            fillRect() { alphas.add(this.globalAlpha); }
+        };
+
+        expect(triplets).toHaveLength(trace.points.length - 1);
+        renderScreenBitmap(ctx, triplets, { intensityAlpha: true, backgroundColor: null });
+        expect(alphas.size).toBeGreaterThan(2);
+        expect([...alphas].every(a => a >= 0.4 && a <= 1)).toBe(true);
+        expect(ctx.globalAlpha).toBe(1);
+    });
+});
@@ -0,0 +1,75 @@
+const { test, expect } = require('@playwright/test');
+const { simulateDeflection, stepOvershoot } = require('../src/analog/deflection.js');
+const { DD60_NONLINEARITIES, dampingForOvershoot, softClip, rowSchedule } = require('../src/analog/nonlinear.js');
+const { hold } = require('./helpers/beamPaths.js');
+
+test.describe('DD60 Deflection Non-Linearities', () => {
+    test('leaves the linear model unchanged unless a stage is enabled', () => {
+        const trace = simulateDeflection(hold(100, 0, 5));
+
+        expect(trace.stages).toEqual({});
+        expect('slewLimited' in trace.points[5]).toBe(false);
+        expect(trace.durationNs).toBe(500);
+    });
+
+    test('limits slew to 80 units/µs and reports it', () => {
+        const trace = simulateDeflection(hold(100, 0, 20), { slewLimit: 80, timeStepNs: 5 });
+        const reached = trace.points.find(p => p.x >= 99);
+
+        expect(Math.max(...trace.points.map(p => Math.abs(p.vx)))).toBeLessThanOrEqual(80 + 1e-9);
+        expect(reached.t).toBeGreaterThanOrEqual(1250);
+        expect(trace.stages.slew.activeSamples).toBeGreaterThan(0);
+        expect(trace.stages.slew.firstActiveNs).toBeLessThan(100);
+        expect(trace.points.filter(p => p.t > 1800).every(p => !p.slewLimited)).toBe(true);
+    });
+
+    test('sets damping for a 5-8% overshoot and flags the overshoot', () => {
+        const zeta = dampingForOvershoot(DD60_NONLINEARITIES.overshoot);
+        const trace = simulateDeflection(hold(100, 0, 20), { overshoot: 0.065, timeStepNs: 1 });
+        const peak = Math.max(...trace.points.map(p => p.x));
+
+        expect(stepOvershoot(zeta)).toBeCloseTo(0.065, 6);
+        expect(trace.parameters.x.dampingRatio).toBeCloseTo(zeta);
+        expect(peak / 100 - 1).toBeCloseTo(0.065, 3);
+        expect(trace.stages.overshoot.activeSamples).toBeGreaterThan(0);
+        expect(trace.points.find(p => p.overshooting).x).toBeGreaterThan(100);
+        expect(() => dampingForOvershoot(1.5)).toThrow(/between 0 and 1/);
+    });
+
+    test('soft-clips near the screen edge and compresses strokes there', () => {
+        const { saturation } = DD60_NONLINEARITIES;
+        const height = trace => {
+            const ys = trace.points.filter(p => p.beam).map(p => p.y);
+            return Math.max(...ys) - Math.min(...ys);
+        };
+
+        // A settled vertical stroke of 88 units, drawn mid-screen and running up to the top edge
+        const stroke = y => [...hold(240, y, 30, 0), ...Array.from({ length: 12 }, (_, i) => [240, y + i * 8, 1]), ...hold(240, y + 88, 20)];
+        const centre = simulateDeflection(stroke(200), { saturation });
+        const edge = simulateDeflection(stroke(420), { saturation });
+
+        expect(softClip(300, saturation)).toBe(300);
+        expect(softClip(600, saturation)).toBeLessThan(512);
+        expect(softClip(-100, saturation)).toBeGreaterThan(0);
+        expect(softClip(500, saturation)).toBeLessThan(softClip(505, saturation));
+        expect(centre.points.filter(p => p.beam).every(p => !p.saturated)).toBe(true);
+        expect(edge.points.filter(p => p.beam).some(p => p.saturated)).toBe(true);
+        expect(edge.stages.saturation.activeSamples).toBeGreaterThan(0);
+        expect(height(edge)).toBeLessThan(height(centre) - 1);
+    });
+
+    test('blanks and holds full-screen jumps until settled', () => {
+        const path = [[0, 0, 1], [511, 511, 1], ...hold(511, 511, 3)];
+        const options = { slewLimit: DD60_NONLINEARITIES.slewLimit, settling: DD60_NONLINEARITIES.settling };
+        const schedule = rowSchedule(path, options);
+        const trace = simulateDeflection(path, options);
+        const settled = trace.points.find(p => p.row === 2);
+
+        expect(schedule[1].blanked).toBe(true);
+        expect(schedule[1].end - schedule[1].start).toBeCloseTo(511 / 80 * 1000 + 500 * 511 / 512);
+        expect(trace.durationNs).toBe(schedule[4].end);
+        expect(trace.points.filter(p => p.settling).every(p => !p.beam)).toBe(true);
+        expect(Math.abs(trace.stages.settling.activeNs - (schedule[1].end - schedule[1].start))).toBeLessThan(20);
+        expect(Math.hypot(settled.x - 511, settled.y - 511)).toBeLessThan(5);
+    });
+});
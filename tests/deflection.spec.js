@@ -0,0 +1,60 @@
+const { test, expect } = require('@playwright/test');
+const { getCharacterTriplets } = require('../src/chargenTriplets.js');
+const { simulateDeflection, traceToPolylines, stepOvershoot, DEFAULT_DEFLECTION } = require('../src/analog/deflection.js');
+const { hold } = require('./helpers/beamPaths.js');
+
+test.describe('DD60 Deflection Simulator', () => {
+    test('samples a timestamped trace at the configured step', () => {
+        const triplets = getCharacterTriplets('A');
+        const trace = simulateDeflection(triplets, { timeStepNs: 25 });
+
+        expect(trace.durationNs).toBe(triplets.length * 100);
+        expect(trace.points).toHaveLength(triplets.length * 4 + 1);
+        expect(trace.points.every((p, i) => p.t === i * 25)).toBe(true);
+        expect(trace.points[0]).toMatchObject({ x: 0, y: 0, row: 0 });
+        expect(trace.points.every(p => p.beam === (triplets[p.row][2] > 0))).toBe(true);
+        expect(trace.parameters.x).toEqual(DEFAULT_DEFLECTION);
+    });
+
+    test('overshoots a step by the second-order amount and settles', () => {
+        const trace = simulateDeflection(hold(100, 0, 20), { timeStepNs: 1 });
+        const peak = Math.max(...trace.points.map(p => p.x));
+        const last = trace.points[trace.points.length - 1];
+
+        expect(peak / 100 - 1).toBeCloseTo(stepOvershoot(0.75), 3);
+        expect(Math.abs(last.x - 100)).toBeLessThan(0.1);
+        expect(Math.abs(last.vx)).toBeLessThan(1);
+        expect(stepOvershoot(1.2)).toBe(0);
+    });
+
+    test('rounds corners instead of passing through them', () => {
+        const path = [...hold(0, 20, 4), ...hold(20, 20, 4)];
+        const trace = simulateDeflection(path, { timeStepNs: 5 });
+        const nearest = Math.min(...trace.points.map(p => Math.hypot(p.x, p.y - 20)));
+
+        expect(nearest).toBeGreaterThan(1);
+    });
+
+    test('uses separate X and Y filter settings', () => {
+        const path = hold(50, 50, 3);
+        const trace = simulateDeflection(path, { y: { naturalFrequency: DEFAULT_DEFLECTION.naturalFrequency * 0.9 } });
+        const early = trace.points.find(p => p.t === 100);
+
+        expect(trace.parameters.y.naturalFrequency).toBeCloseTo(4.5e6);
+        expect(trace.parameters.y.dampingRatio).toBe(0.75);
+        expect(early.x).toBeGreaterThan(early.y);
+        expect(() => simulateDeflection(path, { x: { dampingRatio: 0 } })).toThrow(/X dampingRatio/);
+        expect(() => simulateDeflection(path, { timeStepNs: 0 })).toThrow(/Time step/);
+    });
+
+    test('splits the trace into beam-on polylines', () => {
+        const path = [...hold(10, 0, 3), ...hold(10, 10, 2, 0), ...hold(20, 10, 3)];
+        const trace = simulateDeflection(path, { settleNs: 200 });
+        const polylines = traceToPolylines(trace);
+
+        expect(polylines).toHaveLength(2);
+        expect(polylines[0][0]).toEqual([0, 0]);
+        expect(polylines.every(line => line.length > 2)).toBe(true);
+        expect(trace.points.filter(p => p.t > 800).every(p => !p.beam && p.row === null)).toBe(true);
+    });
+});
@@ -0,0 +1,50 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { getCharacterBinary } = require('../src/cdcRomFunctions.js');
+const { DISPLAY_CODES, getDisplayCode, getDisplayCodeForChar, displayCodeToRomKey,
+        getCharacterOrder, getMissingGlyphs } = require('../src/cdcDisplayCode.js');
+
+test.describe('CDC Display Code Character Set', () => {
+    test('covers all 64 six-bit codes', () => {
+        expect(DISPLAY_CODES.length).toBe(64);
+        DISPLAY_CODES.forEach((entry, code) => expect(entry.code).toBe(code));
+
+        expect(getDisplayCode(0o01)).toMatchObject({ octal: '01', romKey: 'A', name: 'LETTER A' });
+        expect(getDisplayCode(0o33)).toMatchObject({ octal: '33', romKey: '0', name: 'DIGIT 0' });
+        expect(getDisplayCode(0o55)).toMatchObject({ romKey: ' ', name: 'BLANK' });
+        expect(getDisplayCode(0o60)).toMatchObject({ ascii: '#', symbol: '≡' });
+        expect(getDisplayCode(0o100)).toBeNull();
+    });
+
+    test('looks up codes by ROM key or CDC symbol', () => {
+        expect(getDisplayCodeForChar('Z')).toBe(0o32);
+        expect(getDisplayCodeForChar('=')).toBe(0o54);
+        expect(getDisplayCodeForChar('≤')).toBe(0o74);
+        expect(getDisplayCodeForChar('~')).toBeNull();
+        expect(displayCodeToRomKey(0o57)).toBe('.');
+    });
+
+    test('orders ROM characters by display code', () => {
+        const order = getCharacterOrder(cdcRomBinary);
+
+        expect(order.slice(0, 3)).toEqual(['A', 'B', 'C']);
+        expect(order.join('')).toBe('ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789+-*/()= ,.');
+        expect(order.length).toBe(Object.keys(cdcRomBinary).length);
+    });
+
+    test('flags codes with no ROM glyph yet', () => {
+        const missing = getMissingGlyphs(cdcRomBinary).map(e => e.octal);
+
+        expect(missing).toContain('00');
+        expect(missing).toContain('53');
+        expect(missing).not.toContain('01');
+        expect(missing.length).toBe(64 - Object.keys(cdcRomBinary).length);
+    });
+
+    test('getCharacterBinary accepts a display code', () => {
+        expect(getCharacterBinary(0o01)).toBe(cdcRomBinary['A']);
+        expect(getCharacterBinary(0o44)).toBe(cdcRomBinary['9']);
+        // Codes without a glyph fall back to blank, like unknown characters
+        expect(getCharacterBinary(0o53)).toBe(cdcRomBinary[' ']);
+    });
+});
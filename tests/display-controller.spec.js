@@ -0,0 +1,89 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { binaryToVector } = require('../src/cdcRomFunctions.js');
+const { interpretDisplayWords, displayListToTriplets, functionWord, packCharacters,
+        CONTROLLER_ERRORS } = require('../src/display/controller6612.js');
+
+test.describe('CDC 6612 Display Controller', () => {
+    test('places characters at the X/Y coordinates with the selected size', () => {
+        const { displayList, errors } = interpretDisplayWords([
+            functionWord(0o7001),           // left screen, 32 characters per line
+            0o6000 | 100,                   // X = 100
+            0o7000 | 200,                   // Y = 200
+            packCharacters(0o01, 0o02)      // 'A', 'B'
+        ]);
+
+        expect(errors).toEqual([]);
+        expect(displayList.map(e => [e.type, e.screen, e.char, e.x, e.y, e.characterScale])).toEqual([
+            ['char', 'left', 'A', 100, 200, 2],
+            ['char', 'left', 'B', 116, 200, 2]
+        ]);
+        expect(displayList[0].path).toEqual(binaryToVector(cdcRomBinary['A']));
+        expect(displayList[0].wordIndex).toBe(3);
+    });
+
+    test('selects the right screen and skips padding code 00', () => {
+        const { displayList, state } = interpretDisplayWords([
+            functionWord(0o7102),
+            packCharacters(0o33)            // '0' padded with 00
+        ]);
+
+        expect(displayList).toHaveLength(1);
+        expect(displayList[0]).toMatchObject({ screen: 'right', char: '0', characterScale: 4 });
+        expect(state).toMatchObject({ screen: 'right', characterScale: 4, x: 32 });
+
+        const colon = interpretDisplayWords([packCharacters(0o33)], { drawCode00: true });
+        expect(colon.displayList.map(e => e.char)).toEqual(['0', ':']);
+    });
+
+    test('plots dots when a Y coordinate arrives in dot mode', () => {
+        const { displayList } = interpretDisplayWords([functionWord(0o7110), 0o6000 | 5, 0o7000 | 7, 0o7000 | 9]);
+
+        expect(displayList).toEqual([
+            { type: 'dot', screen: 'right', x: 5, y: 7, wordIndex: 2 },
+            { type: 'dot', screen: 'right', x: 5, y: 9, wordIndex: 3 }
+        ]);
+    });
+
+    test('returns structured errors for malformed words and keeps going', () => {
+        const { displayList, errors } = interpretDisplayWords([
+            0o10000,
+            'A',
+            functionWord(0o7777),
+            functionWord(0o7010),
+            packCharacters(0o01),
+            functionWord(0o7000),
+            packCharacters(0o01)
+        ]);
+
+        expect(errors.map(e => [e.index, e.code])).toEqual([
+            [0, CONTROLLER_ERRORS.INVALID_WORD],
+            [1, CONTROLLER_ERRORS.INVALID_WORD],
+            [2, CONTROLLER_ERRORS.UNKNOWN_FUNCTION],
+            [4, CONTROLLER_ERRORS.CHARACTER_IN_DOT_MODE]
+        ]);
+        expect(errors[2].message).toMatch(/7777/);
+        expect(displayList.map(e => e.char)).toEqual(['A']);
+    });
+
+    test('flags display codes without a glyph and wraps X at 512', () => {
+        const { displayList, state } = interpretDisplayWords([0o6000 | 504, packCharacters(0o53, 0o01)]);
+
+        expect(displayList[0]).toMatchObject({ char: '$', missing: true, path: [] });
+        expect(displayList[1]).toMatchObject({ char: 'A', x: 0 });
+        expect(state.x).toBe(8);
+    });
+
+    test('converts a display list to one screen path per screen', () => {
+        const { displayList } = interpretDisplayWords([
+            packCharacters(0o01),
+            functionWord(0o7100),
+            packCharacters(0o02)
+        ]);
+        const left = displayListToTriplets(displayList, 'left');
+
+        expect(left[0]).toEqual([0, 0, 0]);
+        expect(left).toHaveLength(cdcRomBinary['A'].length + 1);
+        expect(displayListToTriplets(displayList)).toHaveLength(cdcRomBinary['A'].length + cdcRomBinary['B'].length + 2);
+    });
+});
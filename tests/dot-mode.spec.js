@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const { dotToScreenPath, plotDots } = require('../src/display/dotMode.js');
+const { layoutText } = require('../src/display/textLayout.js');
+const { interpretDisplayWords, displayListToTriplets, functionWord, packCharacters } = require('../src/display/controller6612.js');
+const { renderScreenBitmap, renderCDCScaledBitmap, renderTrueSizeBitmap, renderBitmap,
+        renderTriplets } = require('../src/chargenRenderer.js');
+const { createRasterContext, getRasterPixel, rasterToBits } = require('../src/rendering/rasterTarget.js');
+
+const WHITE_ON_BLACK = { pixelColor: '#ffffff', backgroundColor: '#000000' };
+const GREEN = [0, 255, 0, 255];
+
+// Lit pixels of a raster as [x, y], row by row
+function litPixels(ctx) {
+    return rasterToBits(ctx).flatMap((row, y) => row.flatMap((bit, x) => (bit ? [[x, y]] : [])));
+}
+
+test.describe('DD60 Dot Mode', () => {
+    test('a dot is a blanked move and beam-on dwell rows', () => {
+        expect(dotToScreenPath(10, 20)).toEqual([[10, 20, 0], [10, 20, 1]]);
+        expect(dotToScreenPath(10, 20, { dwellRows: 3 }).filter(t => t[2] > 0)).toHaveLength(3);
+        expect(plotDots([[1, 2], { x: 3, y: 4, dwellRows: 2 }])).toHaveLength(5);
+    });
+
+    test('rejects coordinates outside the 9-bit screen', () => {
+        expect(() => dotToScreenPath(512, 0)).toThrow(/X coordinate/);
+        expect(() => dotToScreenPath(0, -1)).toThrow(/Y coordinate/);
+        expect(() => dotToScreenPath(0, 0, { dwellRows: 0 })).toThrow(/dwell rows/);
+    });
+
+    test('dots and characters mix in one frame', () => {
+        const { displayList } = interpretDisplayWords([
+            packCharacters(0o01),
+            functionWord(0o7010),
+            0o6000 | 300,
+            0o7000 | 400,
+            functionWord(0o7000),
+            packCharacters(0o02)
+        ]);
+        const triplets = displayListToTriplets(displayList);
+
+        expect(displayList.map(e => e.type)).toEqual(['char', 'dot', 'char']);
+        expect(triplets).toContainEqual([300, 400, 1]);
+
+        const ctx = createRasterContext(512, 512, { depth: 1 });
+        renderScreenBitmap(ctx, triplets, WHITE_ON_BLACK);
+        expect(rasterToBits(ctx)[511 - 400][300]).toBe(1);
+    });
+
+    test('bitmap renderers draw a dot at every character scale', () => {
+        const dot = dotToScreenPath(3, 3);
+
+        for (const characterScale of [1, 2, 4]) {
+            const size = 7 * characterScale;
+            const ctx = createRasterContext(size, size, { depth: 1 });
+            renderCDCScaledBitmap(ctx, dot, characterScale, WHITE_ON_BLACK);
+            expect(litPixels(ctx)).toEqual([[3 * characterScale, size - 1 - 3 * characterScale]]);
+        }
+
+        const trueSize = createRasterContext(7, 7, { depth: 1 });
+        renderTrueSizeBitmap(trueSize, dot, WHITE_ON_BLACK);
+        expect(litPixels(trueSize)).toEqual([[3, 3]]);
+
+        // One 2×2 block at 14 pixels for 7 units
+        const scaled = createRasterContext(14, 14, { depth: 1 });
+        renderBitmap(scaled, dot, 14, WHITE_ON_BLACK);
+        expect(litPixels(scaled)).toEqual([[6, 6], [7, 6], [6, 7], [7, 7]]);
+    });
+
+    test('the vector renderer draws dots on glyph and screen grids', () => {
+        const glyph = createRasterContext(160, 160);
+        renderTriplets(glyph, dotToScreenPath(3, 3), 20);
+        expect(getRasterPixel(glyph, 70, 90)).toEqual(GREEN);
+        expect(getRasterPixel(glyph, 76, 90)).not.toEqual(GREEN);
+
+        const screen = createRasterContext(512, 512);
+        const path = [...layoutText('I', { x: 0, y: 0 }).triplets, ...dotToScreenPath(500, 500)];
+        renderTriplets(screen, path, 1, { gridSize: 512 });
+        expect(getRasterPixel(screen, 500, 11)).toEqual(GREEN);
+    });
+});
@@ -0,0 +1,62 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { functionWord, packCharacters } = require('../src/display/controller6612.js');
+const { createFrame, addToFrame, frameFromWords, getFrameStats } = require('../src/display/frame.js');
+const { estimateScreenTiming } = require('../src/display/timing.js');
+const { renderFrame, getFrameCanvasSize } = require('../src/rendering/frameCompositor.js');
+const { createRasterContext, rasterToBits } = require('../src/rendering/rasterTarget.js');
+
+const WORDS = [
+    functionWord(0o7000), 0o6000 | 0, 0o7000 | 0, packCharacters(0o01, 0o02),   // left: 'AB'
+    functionWord(0o7110), 0o6000 | 10, 0o7000 | 10,                           // right: one dot
+    functionWord(0o7100), 0o6000 | 8, 0o7000 | 0, packCharacters(0o11)        // right: 'I'
+];
+
+test.describe('DD60 Dual-Screen Frame', () => {
+    test('routes display list entries to independent screens', () => {
+        const frame = frameFromWords(WORDS);
+
+        expect(frame.errors).toEqual([]);
+        expect(frame.left.displayList.map(e => e.char)).toEqual(['A', 'B']);
+        expect(frame.right.displayList.map(e => e.type)).toEqual(['dot', 'char']);
+        expect(() => addToFrame(createFrame(), [{ screen: 'middle' }])).toThrow(/Unknown screen/);
+    });
+
+    test('tracks vector count and refresh time per screen', () => {
+        const stats = getFrameStats(frameFromWords(WORDS));
+        const leftRows = cdcRomBinary['A'].length + cdcRomBinary['B'].length + 2;
+
+        expect(stats.left).toMatchObject({ glyphCount: 2, dotCount: 0, rowCount: leftRows });
+        expect(stats.right).toMatchObject({ glyphCount: 1, dotCount: 1 });
+        expect(stats.left.vectorCount).toBeGreaterThan(stats.right.vectorCount);
+        // Refresh figures are the slew-aware estimate, not rows × 100ns
+        const timing = estimateScreenTiming(frameFromWords(WORDS).right.displayList);
+        expect(stats.right).toMatchObject({
+            refreshTimeNs: timing.totalTimeNs, refreshRateHz: timing.refreshRateHz, flickerRisk: timing.flickerRisk
+        });
+        expect(getFrameStats(createFrame()).left).toMatchObject({ vectorCount: 0, rowCount: 0 });
+    });
+
+    test('composites both screens side by side or either alone', () => {
+        expect(getFrameCanvasSize('both', 1, 16)).toEqual({ width: 1040, height: 512 });
+        expect(getFrameCanvasSize('right', 2)).toEqual({ width: 1024, height: 1024 });
+        expect(() => getFrameCanvasSize('top')).toThrow(/Unknown frame layout/);
+
+        const frame = frameFromWords(WORDS);
+        const { width, height } = getFrameCanvasSize('both');
+        const both = createRasterContext(width, height, { depth: 1 });
+        renderFrame(both, frame, { pixelColor: '#ffffff' });
+        const bits = rasterToBits(both);
+
+        expect(bits.some(row => row.slice(0, 512).includes(1))).toBe(true);
+        expect(bits.every(row => !row.slice(512, 528).includes(1))).toBe(true);
+        expect(bits[511 - 10][528 + 10]).toBe(1);
+
+        const rightOnly = createRasterContext(1024, 1024, { depth: 1 });
+        renderFrame(rightOnly, frame, { layout: 'right', canvasScale: 2, pixelColor: '#ffffff' });
+        const rightBits = rasterToBits(rightOnly);
+        // One beam pixel covers 2×2 canvas pixels
+        [[20, 1002], [21, 1002], [20, 1003], [21, 1003]].forEach(([x, y]) => expect(rightBits[y][x]).toBe(1));
+        expect(rightBits[1001][20]).toBe(0);
+    });
+});
@@ -0,0 +1,16 @@
+// Beam Paths
+// Triplet paths shared by the analog deflection specs
+
+/**
+ * Triplet path holding one target for a number of rows
+ * @param {number} x - Target X
+ * @param {number} y - Target Y
+ * @param {number} rows - Number of rows to hold
+ * @param {number} intensity - Beam intensity for every row (default: 1)
+ * @returns {Array} [x, y, intensity] triplets
+ */
+function hold(x, y, rows, intensity = 1) {
+    return Array.from({ length: rows }, () => [x, y, intensity]);
+}
+
+module.exports = { hold };
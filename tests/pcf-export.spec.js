@@ -0,0 +1,96 @@
+const { test, expect } = require('@playwright/test');
+const { getDisplayCodeForChar } = require('../src/cdcDisplayCode.js');
+const { rasterizeFont } = require('../src/fonts/bitmapFont.js');
+const { fontXLFD, fontProperties, scalableWidth } = require('../src/fonts/bdf.js');
+const { PCF_TABLES, PCF_FORMAT, writePCF, readPCF, generatePCF, generatePCFFonts } = require('../src/fonts/pcf.js');
+
+test.describe('PCF Font Export', () => {
+    test('writes the header and a sorted, aligned table directory', () => {
+        const pcf = writePCF(rasterizeFont());
+        const { tables } = readPCF(pcf);
+
+        expect(Array.from(pcf.slice(0, 4))).toEqual([0x01, 0x66, 0x63, 0x70]);
+        expect(tables.map(t => t.type)).toEqual(Object.values(PCF_TABLES));
+        tables.forEach((table, i) => {
+            expect(table.offset % 4).toBe(0);
+            expect(table.format & PCF_FORMAT.BYTE_MASK).toBe(PCF_FORMAT.BYTE_MASK);
+            if (i > 0) expect(table.offset).toBe(tables[i - 1].offset + tables[i - 1].size);
+        });
+        expect(tables[tables.length - 1].offset + tables[tables.length - 1].size).toBe(pcf.length);
+        expect(tables.find(t => t.type === PCF_TABLES.BITMAPS).format).toBe(0x0e);
+        expect(() => readPCF(new Uint8Array(16))).toThrow(/Not a PCF font/);
+    });
+
+    test('round-trips every byte order, bit order, padding and scan unit', () => {
+        const font = rasterizeFont({ characterScale: 2 });
+        for (const byteOrder of ['msb', 'lsb']) {
+            for (const bitOrder of ['msb', 'lsb']) {
+                for (const glyphPad of [1, 2, 4, 8]) {
+                    for (const scanUnit of [1, 2, 4].filter(unit => unit <= glyphPad)) {
+                        const pcf = readPCF(writePCF(font, { byteOrder, bitOrder, glyphPad, scanUnit }));
+                        expect(pcf.glyphs.map(g => g.rows)).toEqual(font.glyphs.map(g => g.bbx.rows));
+                        expect(pcf.glyphs.map(g => g.code)).toEqual(font.glyphs.map(g => g.code));
+                        expect(pcf.properties.FONT).toBe(fontXLFD(font));
+                    }
+                }
+            }
+        }
+        expect(() => writePCF(font, { glyphPad: 1, scanUnit: 2 })).toThrow(/Scan unit/);
+        expect(() => writePCF(font, { byteOrder: 'big' })).toThrow(/Byte order/);
+    });
+
+    test('packs bits and swaps scan units as the format says', () => {
+        const font = rasterizeFont();
+        // Top row of 'A' is '...#...': bit 3 from the left
+        const firstRow = options => {
+            const pcf = writePCF(font, options);
+            const { offset } = readPCF(pcf).tables.find(t => t.type === PCF_TABLES.BITMAPS);
+            const view = new DataView(pcf.buffer);
+            const count = view.getInt32(offset + 4, options.byteOrder === 'lsb');
+            return Array.from(pcf.slice(offset + 8 + count * 4 + 16, offset + 8 + count * 4 + 16 + 4));
+        };
+
+        expect(firstRow({})).toEqual([0x10, 0, 0, 0]);
+        expect(firstRow({ bitOrder: 'lsb' })).toEqual([0x08, 0, 0, 0]);
+        expect(firstRow({ glyphPad: 1 }).slice(0, 2)).toEqual([0x10, 0x30]);
+        expect(firstRow({ byteOrder: 'lsb', bitOrder: 'msb', scanUnit: 4 })).toEqual([0, 0, 0, 0x10]);
+        expect(firstRow({ byteOrder: 'lsb', bitOrder: 'lsb', scanUnit: 4 })).toEqual([0x08, 0, 0, 0]);
+    });
+
+    test('compresses metrics only when they fit in a byte', () => {
+        const small = readPCF(writePCF(rasterizeFont()));
+        const largeFont = rasterizeFont({ characterScale: 4, canvasScale: 8 });
+        const largeRead = readPCF(writePCF(largeFont));
+        const { bbx } = largeFont.glyphs[0];
+        const metricsFormat = pcf => pcf.tables.find(t => t.type === PCF_TABLES.METRICS).format;
+
+        expect(metricsFormat(small) & PCF_FORMAT.COMPRESSED_METRICS).toBeTruthy();
+        expect(metricsFormat(largeRead) & PCF_FORMAT.COMPRESSED_METRICS).toBe(0);
+        expect(largeRead.metrics[0]).toMatchObject({ characterWidth: 256, ascent: bbx.y + bbx.height, rightSideBearing: bbx.x + bbx.width });
+
+        const blank = small.glyphs.find(g => g.name === 'BLANK');
+        const blankIndex = small.glyphs.indexOf(blank);
+        expect(blank.metric).toMatchObject({ leftSideBearing: 0, rightSideBearing: 7, ascent: 7 });
+        expect(small.inkMetrics[blankIndex]).toMatchObject({ rightSideBearing: 0, ascent: 0, characterWidth: 8 });
+        expect(small.accelerators).toMatchObject({ fontAscent: 8, fontDescent: 0, constantWidth: 1, inkInside: 1, inkMetrics: 1 });
+        expect(small.accelerators.maxbounds).toMatchObject({ characterWidth: 8, rightSideBearing: 7, ascent: 7 });
+        expect(small.bdfAccelerators).toEqual(small.accelerators);
+    });
+
+    test('carries the BDF properties, encodings and names', () => {
+        const font = rasterizeFont();
+        const pcf = readPCF(writePCF(font, { byteOrder: 'lsb', bitOrder: 'lsb' }));
+        const blank = getDisplayCodeForChar(' ');
+
+        fontProperties(font).forEach(({ name, value }) => expect(pcf.properties[name]).toBe(value));
+        expect(pcf.encodings).toMatchObject({ minChar: font.glyphs[0].code, defaultChar: blank });
+        expect(pcf.encodings.glyphIndex[blank]).toBe(font.glyphs.findIndex(g => g.code === blank));
+        expect(pcf.glyphNames[0]).toBe('LETTER_A');
+        expect(pcf.swidths.every(w => w === scalableWidth(font))).toBe(true);
+
+        const fonts = generatePCFFonts();
+        expect(fonts).toHaveLength(12);
+        expect(readPCF(generatePCF({ characterScale: 2 }).pcf).properties.PIXEL_SIZE).toBe(16);
+        expect(fonts[0]).toMatchObject({ name: 'DD60_C1_R1_D1_B1_A0', fileName: 'DD60_C1_R1_D1_B1_A0.pcf' });
+    });
+});
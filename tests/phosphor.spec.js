@@ -0,0 +1,79 @@
+const { test, expect } = require('@playwright/test');
+const { layoutText } = require('../src/display/textLayout.js');
+const { simulateDeflection } = require('../src/analog/deflection.js');
+const { applyBrightness } = require('../src/analog/brightness.js');
+const { createPhosphor, depositEnergy, accumulateTrace, accumulateFrames, readPhosphor, applyPersistence,
+        P31_TAU_NS } = require('../src/analog/phosphor.js');
+
+const sum = values => values.reduce((total, v) => total + v, 0);
+const lit = values => values.filter(v => v > 1e-6).length;
+
+test.describe('DD60 Phosphor Persistence', () => {
+    test('decays deposited energy exponentially with τ', () => {
+        const phosphor = createPhosphor({ width: 4, height: 4 });
+        depositEnergy(phosphor, 1, 0, 2, 0);
+
+        expect(phosphor.tauNs).toBe(P31_TAU_NS);
+        expect(readPhosphor(phosphor, 0)[3 * 4 + 1]).toBeCloseTo(2);
+        expect(readPhosphor(phosphor, P31_TAU_NS)[3 * 4 + 1]).toBeCloseTo(2 / Math.E, 5);
+        expect(readPhosphor(createPhosphor({ width: 4, height: 4, tauNs: 10 }), 0).every(v => v === 0)).toBe(true);
+        expect(() => createPhosphor({ tauNs: 0 })).toThrow(/time constant/);
+    });
+
+    test('stays finite over long runs', () => {
+        const phosphor = createPhosphor({ width: 2, height: 1, tauNs: 1000 });
+        depositEnergy(phosphor, 0, 0, 1, 0);
+        depositEnergy(phosphor, 1, 0, 1, 1e6);
+        const values = readPhosphor(phosphor);
+
+        expect(values[0]).toBe(0);
+        expect(values[1]).toBeCloseTo(1);
+        expect(phosphor.timeNs).toBe(1e6);
+    });
+
+    test('accumulates all of a trace\'s energy', () => {
+        const trace = applyBrightness(simulateDeflection(layoutText('E', { x: 100, y: 100, characterScale: 4 }).triplets));
+        const phosphor = accumulateTrace(createPhosphor({ tauNs: 1e12 }), trace);
+        const total = sum(trace.points.map(p => p.energy));
+
+        expect(total).toBeGreaterThan(0);
+        expect(sum(readPhosphor(phosphor))).toBeCloseTo(total, 2);
+        expect(phosphor.timeNs).toBe(trace.durationNs);
+    });
+
+    test('shows a screen mid-refresh', () => {
+        const trace = simulateDeflection(layoutText('HI', { x: 0, y: 0, characterScale: 2 }).triplets);
+        const full = accumulateTrace(createPhosphor(), trace);
+        const half = accumulateTrace(createPhosphor(), trace, { untilNs: trace.durationNs / 2 });
+
+        expect(half.timeNs).toBe(trace.durationNs / 2);
+        expect(lit(readPhosphor(half))).toBeGreaterThan(0);
+        expect(lit(readPhosphor(half))).toBeLessThan(lit(readPhosphor(full)));
+    });
+
+    test('builds up over frames and fades more at slow refresh rates', () => {
+        const trace = simulateDeflection(layoutText('O', { x: 0, y: 0 }).triplets);
+        const fast = accumulateFrames(createPhosphor({ width: 16, height: 16 }), trace, { frames: 5, framePeriodNs: 1e6 });
+        const slow = accumulateFrames(createPhosphor({ width: 16, height: 16 }), trace, { frames: 5, framePeriodNs: 20e6 });
+        const single = accumulateFrames(createPhosphor({ width: 16, height: 16 }), trace, { framePeriodNs: 1e6 });
+
+        expect(fast.timeNs).toBe(5e6);
+        expect(sum(readPhosphor(fast))).toBeGreaterThan(sum(readPhosphor(single)));
+        expect(sum(readPhosphor(slow))).toBeLessThan(sum(readPhosphor(fast)) / 100);
+        expect(() => accumulateFrames(createPhosphor(), trace, { framePeriodNs: 10 })).toThrow(/shorter than the trace/);
+    });
+
+    test('fades a single pass to the moment it ends', () => {
+        const trace = applyBrightness(simulateDeflection(layoutText('E', { x: 100, y: 100 }).triplets));
+        const faded = applyPersistence(trace, { tauNs: 1000 });
+        const last = faded.points[faded.points.length - 1];
+
+        expect(faded.points[0].brightness).toBe(0);
+        faded.points.forEach((point, i) => {
+            expect(point.brightness).toBeCloseTo(trace.points[i].brightness * Math.exp(-(trace.durationNs - point.t) / 1000), 9);
+            expect(point.energy).toBe(trace.points[i].energy);
+        });
+        expect(last.brightness).toBe(trace.points[trace.points.length - 1].brightness);
+        expect(applyPersistence(trace, { atNs: 0 })).toEqual(trace);
+    });
+});
@@ -0,0 +1,102 @@
+const { test, expect } = require('@playwright/test');
+const { generateTripletRom } = require('../src/chargenTriplets.js');
+const { getCharacterOrder } = require('../src/cdcDisplayCode.js');
+const { binaryToVector } = require('../src/cdcRomFunctions.js');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { renderTrueSizeBitmap, renderCDCScaledBitmap, renderTriplets } = require('../src/chargenRenderer.js');
+const { drawCDCTestPattern } = require('../src/rendering/chargenPatterns.js');
+const { drawCharacterStrokes } = require('../src/rendering/romAnalysis.js');
+const { createRasterContext, getRasterPixel, rasterToBits, rasterToText, parseColor } = require('../src/rendering/rasterTarget.js');
+
+test.describe('Headless Raster Target', () => {
+    test('fills pixel centres through the current transform', () => {
+        const ctx = createRasterContext(8, 8, { depth: 1 });
+        ctx.fillStyle = '#fff';
+        ctx.save();
+        ctx.translate(1, 2);
+        ctx.scale(2, 2);
+        ctx.fillRect(0, 0, 1.5, 1);
+        ctx.restore();
+        ctx.fillRect(7, 7, 1, 1);
+        ctx.clearRect(1, 2, 1, 1);
+
+        expect(rasterToText(ctx)).toBe([
+            '........', '........', '..##....', '.###....',
+            '........', '........', '........', '.......#'
+        ].join('\n'));
+        expect(parseColor('rgba(0, 255, 0, 0.5)')).toEqual([0, 255, 0, 0.5]);
+        expect(() => createRasterContext(8, 8, { depth: 4 })).toThrow(/Unsupported raster depth/);
+        expect(() => getRasterPixel(ctx, 8, 0)).toThrow(/outside/);
+    });
+
+    test('renders CDC bitmaps into a 1-bit buffer', () => {
+        const triplets = generateTripletRom()['A'];
+        const trueSize = createRasterContext(7, 7, { depth: 1 });
+        const scaled = createRasterContext(14, 14, { depth: 1 });
+
+        renderTrueSizeBitmap(trueSize, triplets, { pixelColor: '#ffffff', backgroundColor: '#000000' });
+        renderCDCScaledBitmap(scaled, triplets, 2, { pixelColor: '#ffffff', backgroundColor: '#000000' });
+
+        expect(rasterToText(trueSize)).toBe([
+            '...#...', '..##...', '..#.#..', '.#..#..', '.#####.', '#....#.', '#.....#'
+        ].join('\n'));
+        expect(scaled.raster.data).toBeInstanceOf(Uint8Array);
+        expect(rasterToBits(scaled)[13][0]).toBe(1);
+        expect(rasterToBits(scaled)[9].join('')).toBe('00111111111000');
+    });
+
+    test('composites alpha in 8-bit and float buffers', () => {
+        const rgba = createRasterContext(2, 1, { depth: 8 });
+        rgba.fillStyle = '#000000';
+        rgba.fillRect(0, 0, 2, 1);
+        rgba.fillStyle = '#00ff00';
+        rgba.globalAlpha = 0.5;
+        rgba.fillRect(1, 0, 1, 1);
+
+        expect(getRasterPixel(rgba, 0, 0)).toEqual([0, 0, 0, 255]);
+        expect(getRasterPixel(rgba, 1, 0)).toEqual([0, 128, 0, 255]);
+        expect(rgba.getImageData(0, 0, 2, 1).data).toHaveLength(8);
+
+        const triplets = generateTripletRom()['A'];
+        const analog = createRasterContext(28, 28, { depth: 'float' });
+        renderCDCScaledBitmap(analog, triplets, 4, { pixelColor: '#ffffff', backgroundColor: '#000000', artifactLevel: 5 });
+        const levels = Array.from(analog.raster.data);
+        expect(levels.some(v => v > 0 && v < 1)).toBe(true);
+        expect(levels.every(v => v >= 0 && v <= 1)).toBe(true);
+    });
+
+    test('strokes lines and arcs for the vector renderers', () => {
+        const vector = createRasterContext(160, 160, { depth: 1 });
+        renderTriplets(vector, generateTripletRom()['A'], 20, {
+            lineColors: { on: '#ffffff', off: '#000000' }, showArrowheads: false, showDwellPoints: false
+        });
+        const bits = rasterToBits(vector);
+        const lit = bits.flat().filter(Boolean).length;
+
+        // Crossbar of 'A' at y = 2: a horizontal stroke on pixel rows 109-110, dots of radius 3 at its ends
+        expect(bits[110].slice(40, 110).every(Boolean)).toBe(true);
+        expect(bits[106][30]).toBe(0);
+        expect(lit).toBeGreaterThan(500);
+
+        const analysis = createRasterContext(160, 160);
+        drawCharacterStrokes(analysis, binaryToVector(cdcRomBinary['A']), 20);
+        // Grid line x = 20 is a 0.5px hairline, widened to pixel column 19
+        expect(getRasterPixel(analysis, 19, 5)).toEqual([153, 153, 153, 255]);
+        expect(getRasterPixel(analysis, 21, 5)).toEqual([0, 0, 0, 0]);
+        expect(rasterToBits(analysis).flat().filter(Boolean).length).toBeGreaterThan(1000);
+    });
+
+    test('draws the full test pattern headless', () => {
+        const tripletRom = generateTripletRom();
+        const first = Array.from(getCharacterOrder()).find(c => tripletRom[c]);
+        const pattern = createRasterContext(512, 512, { depth: 1 });
+        const glyph = createRasterContext(7, 7, { depth: 1 });
+
+        drawCDCTestPattern(pattern, { pixelColor: '#ffffff' });
+        renderTrueSizeBitmap(glyph, tripletRom[first], { pixelColor: '#ffffff', backgroundColor: '#000000' });
+
+        const region = rasterToBits(pattern).slice(15, 22).map(row => row.slice(10, 17));
+        expect(region).toEqual(rasterToBits(glyph));
+        expect(rasterToBits(pattern).flat().filter(Boolean).length).toBeGreaterThan(2000);
+    });
+});
@@ -0,0 +1,66 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { getCharacterTriplets } = require('../src/chargenTriplets.js');
+const { layoutText } = require('../src/display/textLayout.js');
+const { interpretDisplayWords, functionWord, packCharacters } = require('../src/display/controller6612.js');
+const { glyphTiming, repositionTimeNs, flickerRisk, estimateScreenTiming } = require('../src/display/timing.js');
+
+test.describe('DD60 Refresh Timing', () => {
+    test('times each glyph at 100ns per row', () => {
+        const triplets = getCharacterTriplets('A');
+        const timing = glyphTiming(triplets);
+
+        expect(timing.rows).toBe(cdcRomBinary['A'].length);
+        expect(timing.timeNs).toBe(timing.rows * 100);
+        expect(timing.beamOnRows + timing.blankedRows).toBe(timing.rows);
+        expect(timing.beamOnTimeNs).toBe(triplets.filter(t => t[2] > 0).length * 100);
+        expect(timing.glyphsPer50Hz).toBe(Math.floor(20e6 / timing.timeNs));
+    });
+
+    test('repositions at about 3µs per full screen on the longer axis', () => {
+        expect(repositionTimeNs([0, 0], [512, 0])).toBe(3000);
+        expect(repositionTimeNs([0, 0], [128, 256])).toBe(1500);
+        expect(repositionTimeNs([10, 10], [10, 10])).toBe(0);
+    });
+
+    test('rates flicker risk from the refresh rate', () => {
+        expect(flickerRisk(60)).toBe('low');
+        expect(flickerRisk(50)).toBe('low');
+        expect(flickerRisk(40)).toBe('moderate');
+        expect(flickerRisk(12)).toBe('high');
+        expect(estimateScreenTiming([]).flickerRisk).toBe('low');
+    });
+
+    test('totals character rows, repositioning and blanked time for a layout', () => {
+        const layout = layoutText('AB', { x: 0, y: 0 });
+        const timing = estimateScreenTiming(layout);
+        const rows = cdcRomBinary['A'].length + cdcRomBinary['B'].length;
+
+        expect(timing.glyphCount).toBe(2);
+        expect(timing.characterRows).toBe(rows);
+        expect(timing.characterTimeNs).toBe(rows * 100);
+        expect(timing.repositionCount).toBe(2);
+        expect(timing.repositionTimeNs).toBeGreaterThan(0);
+        expect(timing.totalTimeNs).toBeCloseTo(timing.characterTimeNs + timing.repositionTimeNs);
+        expect(timing.blankedTimeNs).toBeCloseTo(timing.blankedRows * 100 + timing.repositionTimeNs);
+        expect(timing.refreshRateHz).toBeCloseTo(1e9 / timing.totalTimeNs);
+    });
+
+    test('matches display lists and degrades as the screen fills', () => {
+        const { displayList } = interpretDisplayWords([
+            0o6000, 0o7000, packCharacters(0o01, 0o02),
+            functionWord(0o7010), 0o6000 | 100, 0o7000 | 100
+        ]);
+        const timing = estimateScreenTiming(displayList);
+
+        expect(timing).toMatchObject({ glyphCount: 2, dotCount: 1 });
+        expect(timing.characterRows).toBe(estimateScreenTiming(layoutText('AB', { x: 0, y: 0 })).characterRows + 1);
+
+        const line = 'A'.repeat(64);
+        const full = estimateScreenTiming(layoutText(Array(64).fill(line).join('\n')));
+        expect(full.glyphCount).toBe(64 * 64);
+        expect(full.refreshRateHz).toBeLessThan(1e9 / (64 * 64 * cdcRomBinary['A'].length * 100));
+        expect(full.refreshRateHz).toBeLessThan(timing.refreshRateHz);
+        expect(full.flickerRisk).toBe(flickerRisk(full.refreshRateHz));
+    });
+});
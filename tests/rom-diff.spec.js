@@ -0,0 +1,66 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { optimizeGlyph } = require('../src/chargenOptimizer.js');
+const { diffRoms, diffCharacter, changedFlags } = require('../src/cdcRomDiff.js');
+
+test.describe('CDC 6602 ROM Diff', () => {
+    test('identical ROMs report no changes', () => {
+        const result = diffRoms(cdcRomBinary, { ...cdcRomBinary });
+
+        expect(result.visual).toEqual([]);
+        expect(result.encoding).toEqual([]);
+        expect(result.added).toEqual([]);
+        expect(result.removed).toEqual([]);
+        expect(result.unchanged).toBe(Object.keys(cdcRomBinary).length);
+    });
+
+    test('lists changed rows with T labels and flag differences', () => {
+        const edited = [...cdcRomBinary['I']];
+        edited[1] ^= 0b10001;
+
+        const diff = diffCharacter('I', cdcRomBinary['I'], edited);
+
+        expect(diff.rows).toEqual([{
+            row: 1,
+            label: '00',
+            before: cdcRomBinary['I'][1],
+            after: edited[1],
+            flags: ['V1', 'U']
+        }]);
+        expect(changedFlags(0b00000, 0b11111)).toEqual(['V1', 'V2', 'H1', 'H2', 'U']);
+    });
+
+    test('separates visual changes from encoding-only changes', () => {
+        // Reordering strokes keeps the glyph but changes the rows
+        const reencoded = optimizeGlyph(cdcRomBinary['L']).binaryData;
+
+        // Dropping the last stroke of T changes what is drawn
+        const shortened = [...cdcRomBinary['T']];
+        const lastStroke = shortened.map(b => b & 0b11110).findLastIndex(b => b !== 0);
+        shortened[lastStroke] = 0b00000;
+
+        const result = diffRoms(cdcRomBinary, { ...cdcRomBinary, L: reencoded, T: shortened });
+
+        expect(result.encoding.map(d => d.char)).toEqual(['L']);
+        expect(result.visual.map(d => d.char)).toEqual(['T']);
+        expect(result.visual[0].strokes.removed.length).toBeGreaterThan(0);
+        expect(result.visual[0].strokes.added).toEqual([]);
+    });
+
+    test('treats a stroke drawn in one row or two as the same stroke', () => {
+        // Right 2 in one row versus right 1 twice, beam on
+        const diff = diffCharacter('x', [0b00011, 0b00001], [0b00101, 0b00100, 0b00001]);
+
+        expect(diff.status).toBe('encoding');
+        expect(diff.strokes.common).toHaveLength(2);
+    });
+
+    test('reports added and removed characters', () => {
+        const { ['.']: period, ...withoutPeriod } = cdcRomBinary;
+        const result = diffRoms(withoutPeriod, { ...withoutPeriod, '#': period });
+
+        expect(result.added.map(d => d.char)).toEqual(['#']);
+        expect(result.removed).toEqual([]);
+        expect(result.added[0].dots.added).toHaveLength(1);
+    });
+});
@@ -0,0 +1,61 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { binaryToVector } = require('../src/cdcRomFunctions.js');
+const { encodeVectorPath, encodeTriplets, decodesToPath } = require('../src/cdcRomEncoder.js');
+
+test.describe('CDC 6602 ROM Encoder', () => {
+    test('every ROM glyph re-encodes within budget and decodes to the same path', () => {
+        for (const [char, binaryData] of Object.entries(cdcRomBinary)) {
+            const path = binaryToVector(binaryData);
+            const result = encodeVectorPath(path);
+
+            expect(result.fits, `character '${char}'`).toBe(true);
+            expect(result.binaryData.length).toBe(23);
+            expect(decodesToPath(result.binaryData, path), `character '${char}'`).toBe(true);
+        }
+    });
+
+    test('inserts direction toggles when a move reverses', () => {
+        // Right 2 with beam on, then back left 2
+        const { binaryData, rowCount } = encodeVectorPath([[2, 0, true], [0, 0, true]], { pad: false });
+
+        expect(binaryData).toEqual([0b00011, 0b00110, 0b00010]);
+        expect(rowCount).toBe(3);
+        expect(binaryToVector(binaryData)).toEqual([[2, 0, true], [2, 0, true], [0, 0, true]]);
+    });
+
+    test('merges a toggle into a row that leaves that axis idle', () => {
+        // Up 2, then right 2 while turning the beam on, then down 2
+        const { binaryData } = encodeVectorPath([[0, 2, false], [2, 2, true], [2, 0, true]], { pad: false });
+
+        expect(binaryData).toEqual([0b01000, 0b11011, 0b01000]);
+    });
+
+    test('splits moves longer than 2 units along the stroke', () => {
+        const path = [[0, 0, true], [5, 5, true], [5, 6, false]];
+        const { binaryData } = encodeVectorPath(path, { pad: false });
+
+        expect(binaryData).toEqual([0b00001, 0b01010, 0b01010, 0b10100, 0b10001]);
+        expect(decodesToPath(binaryData, path)).toBe(true);
+    });
+
+    test('reports paths that exceed the 23-row budget', () => {
+        // Zig-zag needs a toggle row for every reversal
+        const zigzag = [];
+        for (let i = 0; i < 16; i++) zigzag.push([i % 2 === 0 ? 2 : 0, 0, true]);
+        const result = encodeTriplets(zigzag.map(([x, y]) => [x, y, 1]));
+
+        expect(result.fits).toBe(false);
+        expect(result.rowCount).toBe(23 + result.overflow);
+        expect(result.overflow).toBeGreaterThan(0);
+        expect(decodesToPath(result.binaryData, zigzag)).toBe(true);
+    });
+
+    test('rejects beam-on strokes that cannot be drawn straight', () => {
+        expect(() => encodeVectorPath([[0, 0, true], [3, 1, true]])).toThrow('cannot be drawn straight');
+
+        // The same move is allowed blanked
+        const { binaryData } = encodeVectorPath([[3, 1, false]], { pad: false });
+        expect(binaryToVector(binaryData).pop()).toEqual([3, 1, false]);
+    });
+});
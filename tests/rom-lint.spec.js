@@ -0,0 +1,67 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { lintCharacter, lintRom, countDiagnostics, LINT_CODES } = require('../src/cdcRomLint.js');
+
+// Pad a short table out to the full 23 rows
+function padTable(rows) {
+    return [...rows, ...new Array(23 - rows.length).fill(0b00000)];
+}
+
+test.describe('CDC 6602 ROM Linter', () => {
+    test('transcribed ROM has no errors', () => {
+        const diagnostics = lintRom(cdcRomBinary);
+        const counts = countDiagnostics(diagnostics);
+
+        expect(counts.errors).toBe(0);
+
+        // Short tables are reported as warnings only
+        const short = diagnostics.filter(d => d.code === LINT_CODES.ROW_COUNT).map(d => d.char);
+        expect(short.sort()).toEqual(['=', 'B', 'E']);
+    });
+
+    test('reports coordinates leaving the character cell', () => {
+        // Four V2 moves take the beam to y = 8
+        const table = padTable([0b01000, 0b01000, 0b01000, 0b01000]);
+        const diagnostics = lintCharacter('?', table);
+
+        expect(diagnostics).toContainEqual(expect.objectContaining({
+            row: 3, label: '02', severity: 'error', code: LINT_CODES.OUT_OF_CELL
+        }));
+    });
+
+    test('reports beam left ON at the final row', () => {
+        const diagnostics = lintCharacter('?', padTable([0b00001, 0b01000]));
+
+        expect(diagnostics).toContainEqual(expect.objectContaining({
+            row: 22, label: '25', severity: 'error', code: LINT_CODES.BEAM_LEFT_ON
+        }));
+    });
+
+    test('reports rows after the final beam-off', () => {
+        const diagnostics = lintCharacter('?', padTable([0b00001, 0b01000, 0b00001, 0b00010]));
+
+        expect(diagnostics).toEqual([expect.objectContaining({
+            row: 3, label: '02', severity: 'warning', code: LINT_CODES.DEAD_ROW
+        })]);
+    });
+
+    test('reports a beam turned back on after a beam-off and left on', () => {
+        // ON, V2, OFF, H2, ON, H2, V2: rows 5 and 6 draw and the glyph ends with the beam on
+        const diagnostics = lintCharacter('?', padTable([0b00001, 0b01000, 0b00001, 0b00010, 0b00001, 0b00010, 0b01000]));
+
+        expect(diagnostics).toEqual([
+            expect.objectContaining({ row: 4, label: '03', severity: 'error', code: LINT_CODES.BEAM_REENABLED }),
+            expect.objectContaining({ row: 22, label: '25', severity: 'error', code: LINT_CODES.BEAM_LEFT_ON })
+        ]);
+        expect(diagnostics[0].message).toContain('T=01');
+        expect(countDiagnostics(diagnostics).errors).toBe(2);
+    });
+
+    test('reports direction toggles that are never used', () => {
+        // Horizontal toggle at T=00 followed by another toggle, vertical toggle at T=02 never used
+        const table = padTable([0b00001, 0b00110, 0b00110, 0b11000, 0b00011]);
+        const unused = lintCharacter('?', table).filter(d => d.code === LINT_CODES.UNUSED_TOGGLE);
+
+        expect(unused.map(d => d.label)).toEqual(['00', '02']);
+    });
+});
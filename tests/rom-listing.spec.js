@@ -0,0 +1,47 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { binaryToVector, getCharacterBinary } = require('../src/cdcRomFunctions.js');
+const { formatRomListing, formatCharacterListing, parseRomListing } = require('../src/cdcRomListing.js');
+
+test.describe('CDC 6602 ROM Listing Format', () => {
+    test('listing round-trips exactly with cdcRomBinary', () => {
+        const listing = formatRomListing(cdcRomBinary);
+        const parsed = parseRomListing(listing);
+
+        expect(parsed).toEqual(cdcRomBinary);
+        expect(Object.keys(parsed)).toEqual(Object.keys(cdcRomBinary));
+        expect(formatRomListing(parsed)).toBe(listing);
+    });
+
+    test('character table mirrors the manual layout', () => {
+        const lines = formatCharacterListing('0', cdcRomBinary['0']).split('\n');
+
+        expect(lines[0]).toBe('CHARACTER "0"');
+        expect(lines[1]).toBe('T   V1  V2  H1  H2  U');
+        expect(lines[2]).toBe('76  X   .   .   .   .');
+        expect(lines[3]).toBe('00  .   .   .   .   .');
+        expect(lines[4]).toBe('01  .   .   .   .   X');
+        expect(lines[lines.length - 2].startsWith('25')).toBe(true);
+        expect(lines[lines.length - 1]).toBe('END');
+    });
+
+    test('parsed ROM loads into getCharacterBinary and binaryToVector', () => {
+        const rom = parseRomListing(formatCharacterListing('A', cdcRomBinary['A']));
+
+        expect(binaryToVector(getCharacterBinary('A', rom))).toEqual(binaryToVector(cdcRomBinary['A']));
+    });
+
+    test('malformed listings report the offending line', () => {
+        const valid = formatCharacterListing('1', cdcRomBinary['1']);
+
+        // Dropped row: labels skip from 00 to 02
+        const dropped = valid.split('\n').filter(line => !line.startsWith('01')).join('\n');
+        expect(() => parseRomListing(dropped)).toThrow('Line 5: expected timing label 01, found 02');
+
+        const badMark = valid.replace('76  .   .   .   X   .', '76  .   .   .   Q   .');
+        expect(() => parseRomListing(badMark)).toThrow("Line 3: invalid flag mark 'Q'");
+
+        expect(() => parseRomListing(valid.replace('\nEND', ''))).toThrow('missing END');
+        expect(() => parseRomListing(valid + '\n' + valid)).toThrow('duplicate character "1"');
+    });
+});
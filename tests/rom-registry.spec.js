@@ -0,0 +1,80 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { registerRom, cloneRom, unregisterRom, getRom, listRoms, setActiveRom,
+        getActiveRomName, onActiveRomChange, DEFAULT_ROM_NAME } = require('../src/cdcRomRegistry.js');
+const { getCharacterBinary, getAllCharacters, generateVectorRom } = require('../src/cdcRomFunctions.js');
+const { generateTripletRom, getCharacterTriplets } = require('../src/chargenTriplets.js');
+const { getCharacterOrder } = require('../src/cdcDisplayCode.js');
+
+test.describe('CDC 6602 ROM Registry', () => {
+    test.afterEach(() => {
+        setActiveRom(DEFAULT_ROM_NAME);
+        for (const { name } of listRoms()) {
+            if (name !== DEFAULT_ROM_NAME) unregisterRom(name);
+        }
+    });
+
+    test('starts with the transcribed ROM active', () => {
+        expect(getActiveRomName()).toBe(DEFAULT_ROM_NAME);
+        expect(getRom()).toBe(cdcRomBinary);
+        expect(getRom(DEFAULT_ROM_NAME)).toBe(cdcRomBinary);
+        expect(listRoms()).toEqual([{
+            name: DEFAULT_ROM_NAME,
+            description: expect.any(String),
+            characterCount: Object.keys(cdcRomBinary).length,
+            active: true
+        }]);
+    });
+
+    test('functions take a ROM handle or use the active ROM', () => {
+        const experimental = { A: [0b00011, 0b00001], ' ': [] };
+        registerRom('experimental', experimental);
+
+        expect(getCharacterBinary('A')).toBe(cdcRomBinary['A']);
+        expect(getCharacterBinary('A', 'experimental')).toBe(experimental['A']);
+        expect(getCharacterBinary('A', experimental)).toBe(experimental['A']);
+        expect(getAllCharacters('experimental')).toEqual(['A', ' ']);
+        expect(getCharacterTriplets('A', 'experimental')).toEqual([[2, 0, 1], [2, 0, 0]]);
+
+        setActiveRom('experimental');
+
+        expect(getCharacterBinary('A')).toBe(experimental['A']);
+        expect(Object.keys(generateVectorRom())).toEqual(['A', ' ']);
+        expect(Object.keys(generateTripletRom())).toEqual(['A', ' ']);
+        expect(getCharacterOrder()).toEqual(['A', ' ']);
+        expect(Object.keys(generateTripletRom(DEFAULT_ROM_NAME))).toHaveLength(Object.keys(cdcRomBinary).length);
+    });
+
+    test('clones give editable copies without touching the source', () => {
+        cloneRom(DEFAULT_ROM_NAME, 'edited', { activate: true });
+        getRom('edited')['A'][0] = 0b11111;
+
+        expect(getActiveRomName()).toBe('edited');
+        expect(getCharacterBinary('A')[0]).toBe(0b11111);
+        expect(cdcRomBinary['A'][0]).not.toBe(0b11111);
+    });
+
+    test('notifies listeners and falls back when the active ROM is removed', () => {
+        const seen = [];
+        const unsubscribe = onActiveRomChange(name => seen.push(name));
+
+        registerRom('variant', { ...cdcRomBinary }, { activate: true });
+        unregisterRom('variant');
+        unsubscribe();
+
+        expect(seen).toEqual(['variant', DEFAULT_ROM_NAME]);
+        expect(getActiveRomName()).toBe(DEFAULT_ROM_NAME);
+    });
+
+    test('rejects duplicate, reserved, unknown and malformed ROMs', () => {
+        registerRom('variant', {});
+
+        expect(() => registerRom('variant', {})).toThrow(/already registered/);
+        expect(() => registerRom(DEFAULT_ROM_NAME, {})).toThrow(/reserved/);
+        expect(() => registerRom('bad', { A: [0b100000] })).toThrow(/5-bit/);
+        expect(() => getRom('missing')).toThrow(/Unknown ROM/);
+        expect(() => setActiveRom('missing')).toThrow(/Unknown ROM/);
+        expect(() => unregisterRom(DEFAULT_ROM_NAME)).toThrow(/cannot be unregistered/);
+        expect(registerRom('variant', { A: [] }, { replace: true })).toBe('variant');
+    });
+});
@@ -0,0 +1,49 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { traceBinary, traceBinarySteps, binaryToVector, ROW_DURATION_NS } = require('../src/cdcRomFunctions.js');
+
+test.describe('CDC 6602 Decoder Trace', () => {
+    test('trace positions match binaryToVector for every glyph', () => {
+        for (const binaryData of Object.values(cdcRomBinary)) {
+            const trace = traceBinary(binaryData);
+            expect(trace.map(s => [s.x, s.y, s.beamOn])).toEqual(binaryToVector(binaryData));
+        }
+    });
+
+    test('records labels, flags, flip-flops, moves and timing per row', () => {
+        // Letter 'C' starts with two blanked diagonal moves then turns around
+        const trace = traceBinary(cdcRomBinary['C']);
+
+        expect(trace[0]).toMatchObject({
+            row: 0,
+            label: '76',
+            binary: 0b01010,
+            flags: { V1: false, V2: true, H1: false, H2: true, U: false },
+            directionBefore: { horizontal: 1, vertical: 1 },
+            directionAfter: { horizontal: 1, vertical: 1 },
+            move: { dx: 2, dy: 2 },
+            x: 2, y: 2,
+            beamOn: false,
+            startTime: 0,
+            time: ROW_DURATION_NS
+        });
+
+        const toggle = trace.find(s => s.horizontalToggle);
+        expect(toggle.move.dx).toBe(0);
+        expect(toggle.directionBefore.horizontal).toBe(1);
+        expect(toggle.directionAfter.horizontal).toBe(-1);
+
+        const last = trace[trace.length - 1];
+        expect(last.label).toBe('25');
+        expect(last.time).toBe(23 * ROW_DURATION_NS);
+    });
+
+    test('generator yields steps lazily', () => {
+        const steps = traceBinarySteps([0b00001, 0b11000, 0b10000]);
+
+        expect(steps.next().value).toMatchObject({ beamToggle: true, beamOn: true });
+        expect(steps.next().value).toMatchObject({ verticalToggle: true, directionAfter: { vertical: -1 } });
+        expect(steps.next().value).toMatchObject({ move: { dx: 0, dy: -1 }, y: -1 });
+        expect(steps.next().done).toBe(true);
+    });
+});
@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { binaryToVector } = require('../src/cdcRomFunctions.js');
+const { vectorToTriplets } = require('../src/chargenTriplets.js');
+const { optimizeGlyph, optimizeRom, countUsedRows, rendersIdentically } = require('../src/chargenOptimizer.js');
+
+test.describe('Stroke-Order Optimizer', () => {
+    test('every optimized glyph fits, never grows and renders pixel-identically', () => {
+        const results = optimizeRom();
+
+        for (const [char, result] of Object.entries(results)) {
+            const before = vectorToTriplets(binaryToVector(cdcRomBinary[char]));
+            const after = vectorToTriplets(binaryToVector(result.binaryData));
+
+            expect(result.binaryData.length, `character '${char}'`).toBe(result.improved ? 23 : cdcRomBinary[char].length);
+            expect(result.rowsAfter, `character '${char}'`).toBeLessThanOrEqual(result.rowsBefore);
+            expect(result.rowsSaved).toBe(result.rowsBefore - result.rowsAfter);
+            expect(rendersIdentically(before, after), `character '${char}'`).toBe(true);
+        }
+    });
+
+    test('saves rows across the shipped ROM', () => {
+        const results = Object.values(optimizeRom());
+        const saved = results.reduce((total, r) => total + r.rowsSaved, 0);
+
+        expect(saved).toBeGreaterThan(0);
+        expect(results.some(r => r.improved)).toBe(true);
+    });
+
+    test('drops a stroke drawn twice and reports beam-on distance', () => {
+        // Right 2 with beam on, toggle direction, back left 2, then beam off
+        const binaryData = [0b00011, 0b00110, 0b00010, 0b00001];
+        const result = optimizeGlyph(binaryData, { keepDwells: false });
+
+        expect(result.improved).toBe(true);
+        expect(result.rowsBefore).toBe(4);
+        expect(result.rowsAfter).toBe(2);
+        expect(result.beamOnDistanceBefore).toBe(4);
+        expect(result.beamOnDistanceAfter).toBe(2);
+        expect(countUsedRows(result.binaryData)).toBe(2);
+    });
+
+    test('keeps dwell rows unless asked to drop them', () => {
+        const period = cdcRomBinary['.'];
+
+        expect(optimizeGlyph(period).rowsAfter).toBe(3);
+        expect(optimizeGlyph(period, { keepDwells: false }).rowsAfter).toBe(2);
+    });
+
+    test('leaves a blank glyph unchanged', () => {
+        const result = optimizeGlyph(cdcRomBinary[' ']);
+
+        expect(result.improved).toBe(false);
+        expect(result.rowsSaved).toBe(0);
+        expect(result.binaryData).toBe(cdcRomBinary[' ']);
+    });
+});
@@ -0,0 +1,111 @@
+const { test, expect } = require('@playwright/test');
+const { generateTripletRom, tripletsToSegments } = require('../src/chargenTriplets.js');
+const { layoutText } = require('../src/display/textLayout.js');
+const { tripletsToSVG, glyphToSVG, screenToSVG, textToSVG } = require('../src/rendering/svgExport.js');
+
+// Pull one layer's elements out of an SVG document
+function layer(svg, id) {
+    const match = new RegExp(`<g id="${id}"([^>]*)>\\n([\\s\\S]*?)\\n  </g>`).exec(svg);
+    return match ? { attributes: match[1], children: match[2].trim().split('\n').map(l => l.trim()) } : null;
+}
+
+// Split path data into [command, x, y] steps
+function pathSteps(svg, id) {
+    const d = /d="([^"]*)"/.exec(layer(svg, id).children[0])[1];
+    return d.split(' ').reduce((steps, token, i, tokens) => (
+        /^[ML]/.test(token) ? [...steps, [token[0], Number(token.slice(1)), Number(tokens[i + 1])]] : steps
+    ), []);
+}
+
+// Layer ids in document order
+function layerOrder(svg) {
+    return Array.from(svg.matchAll(/ id="([^"]+)"/g), match => match[1]);
+}
+
+test.describe('SVG Export', () => {
+    test('draws a glyph as round-capped beam-on strokes in its cell', () => {
+        const svg = glyphToSVG('A');
+        const beamOn = layer(svg, 'beam-on');
+
+        expect(svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg" width="8" height="8" viewBox="0 0 8 8">')).toBe(true);
+        expect(svg.endsWith('</svg>\n')).toBe(true);
+        expect(svg).toContain('<title>A</title>');
+        expect(beamOn.attributes).toContain('stroke-linecap="round"');
+        expect(beamOn.children).toHaveLength(1);
+        expect(layer(svg, 'beam-off')).toBeNull();
+        expect(layer(svg, 'arrowheads')).toBeNull();
+        expect(layer(svg, 'dwell')).toBeNull();
+    });
+
+    test('follows tripletsToSegments with pixel centres and Y flipped', () => {
+        const triplets = generateTripletRom()['A'];
+        const onSegments = tripletsToSegments(triplets).filter(s => s.intensity > 0);
+        const steps = pathSteps(glyphToSVG('A'), 'beam-on');
+        const lineEnds = steps.filter(([command]) => command === 'L').map(([, x, y]) => [x, y]);
+
+        expect(lineEnds).toEqual(onSegments.map(s => [s.x2 + 0.5, 8 - 0.5 - s.y2]));
+        steps.filter(([command]) => command === 'M').forEach(([, x, y]) => {
+            expect(onSegments.some(s => s.x1 + 0.5 === x && 7.5 - s.y1 === y)).toBe(true);
+        });
+
+        const doubled = pathSteps(glyphToSVG('A', { characterScale: 2 }), 'beam-on');
+        expect(doubled.map(([c, x, y]) => [c, (x - 0.5) / 2, (15.5 - y) / 2]))
+            .toEqual(steps.map(([c, x, y]) => [c, x - 0.5, 7.5 - y]));
+        expect(glyphToSVG('A', { characterScale: 4, scale: 10 })).toContain('width="320" height="320" viewBox="0 0 32 32"');
+    });
+
+    test('adds beam-off, arrowhead and dwell layers on request', () => {
+        const triplets = [[2, 0, 0], [2, 2, 1], [2, 2, 1], [4, 4, 1], [6, 4, 0]];
+        const svg = tripletsToSVG(triplets, { gridSize: 8, layers: { beamOff: true, arrowheads: true, dwell: true } });
+
+        expect(layerOrder(svg)).toEqual(['background', 'beam-off', 'beam-on', 'arrowheads', 'dwell']);
+        expect(pathSteps(svg, 'beam-off')).toEqual([['M', 0.5, 7.5], ['L', 2.5, 7.5], ['M', 4.5, 3.5], ['L', 6.5, 3.5]]);
+        expect(layer(svg, 'beam-off').attributes).toContain('stroke-dasharray="1"');
+        // Length-2 steps after the first: up 2, diagonal 2, and the blanked move right 2
+        expect(layer(svg, 'arrowheads').children).toHaveLength(3);
+        expect(layer(svg, 'arrowheads').children[0]).toBe('<polygon points="2.5,6.1 2,7.1 3,7.1"/>');
+        expect(layer(svg, 'dwell').children).toEqual(['<circle cx="2.5" cy="5.5" r="0.75"/>']);
+    });
+
+    test('marks the same ROM steps with arrowheads at every character scale', () => {
+        const arrowheads = characterScale => layer(glyphToSVG('A', { characterScale, layers: { arrowheads: true } }), 'arrowheads').children;
+        const count = arrowheads(1).length;
+
+        expect(count).toBeGreaterThan(0);
+        expect(arrowheads(2)).toHaveLength(count);
+        expect(arrowheads(4)).toHaveLength(count);
+        // Scaled text layouts mark the same steps when told their character scale
+        const options = { characterScale: 2, layers: { arrowheads: true } };
+        expect(layer(textToSVG('A', options), 'arrowheads').children).toHaveLength(count);
+        expect(layer(screenToSVG(layoutText('A', options).triplets, options), 'arrowheads').children).toHaveLength(count);
+    });
+
+    test('renders a full screen of laid-out text', () => {
+        const text = 'CDC 6600\nDD60 DISPLAY';
+        const svg = textToSVG(text, { characterScale: 2, scale: 2 });
+        const { triplets } = layoutText(text, { characterScale: 2 });
+
+        expect(svg).toBe(screenToSVG(triplets, { scale: 2 }));
+        expect(svg).toContain('width="1024" height="1024" viewBox="0 0 512 512"');
+        const steps = pathSteps(svg, 'beam-on');
+        expect(steps.length).toBeGreaterThan(100);
+        expect(steps.every(([, x, y]) => x > 0 && x < 512 && y > 0 && y < 512)).toBe(true);
+        // The first line sits in the top 16-unit row of the screen
+        expect(Math.min(...steps.map(([, , y]) => y))).toBeLessThan(16);
+    });
+
+    test('is deterministic and escapes text', () => {
+        const options = { characterScale: 4, layers: { beamOff: true, arrowheads: true, dwell: true } };
+        expect(glyphToSVG('W', options)).toBe(glyphToSVG('W', options));
+        expect(textToSVG('HELLO')).toBe(textToSVG('HELLO'));
+
+        const svg = tripletsToSVG([[1, 1, 1]], { gridSize: 8, title: '<A & "B">', backgroundColor: null });
+        expect(svg).toContain('<title>&lt;A &amp; &quot;B&quot;&gt;</title>');
+        expect(svg).not.toContain('id="background"');
+        expect(pathSteps(svg, 'beam-on')).toEqual([['M', 0.5, 7.5], ['L', 1.5, 6.5]]);
+        expect(svg).not.toMatch(/\d\.\d{4,}/);
+
+        expect(() => glyphToSVG('A', { characterScale: 3 })).toThrow(/Character scale/);
+        expect(() => glyphToSVG('~')).toThrow(/No glyph/);
+    });
+});
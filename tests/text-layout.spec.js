@@ -0,0 +1,73 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { binaryToVector, SCREEN_SIZE } = require('../src/cdcRomFunctions.js');
+const { layoutText } = require('../src/display/textLayout.js');
+
+test.describe('DD60 Text Layout', () => {
+    test('places glyphs at a fixed advance on the top line', () => {
+        const { glyphs, triplets, cursor } = layoutText('AB');
+
+        expect(glyphs.map(g => [g.char, g.x, g.y])).toEqual([['A', 0, 504], ['B', 8, 504]]);
+        expect(cursor).toEqual({ x: 16, y: 504 });
+
+        // Blanked move to the cell, then one point per ROM row
+        expect(glyphs[0].end - glyphs[0].start).toBe(cdcRomBinary['A'].length + 1);
+        expect(triplets.length).toBe(cdcRomBinary['A'].length + cdcRomBinary['B'].length + 2);
+        expect(triplets[glyphs[1].start]).toEqual([8, 504, 0]);
+    });
+
+    test('scales glyph coordinates and advance with character scale', () => {
+        const { glyphs, triplets } = layoutText('A', { characterScale: 4, x: 100, y: 200 });
+        const expected = binaryToVector(cdcRomBinary['A']).map(([x, y, beam]) => [100 + 4 * x, 200 + 4 * y, beam ? 1 : 0]);
+
+        expect(glyphs[0]).toMatchObject({ x: 100, y: 200 });
+        expect(triplets.slice(1)).toEqual(expected);
+        expect(layoutText('AA', { characterScale: 2, x: 0, y: 0 }).glyphs[1].x).toBe(16);
+        expect(() => layoutText('A', { characterScale: 3 })).toThrow(/Character scale/);
+    });
+
+    test('handles newlines, line spacing and wrapping', () => {
+        const lines = layoutText('A\nB', { x: 10, y: 100, lineSpacing: 12 });
+        expect(lines.glyphs.map(g => [g.x, g.y, g.line, g.column])).toEqual([[10, 100, 0, 0], [10, 88, 1, 0]]);
+
+        // 64 small characters fill a line; the 65th wraps
+        const wrapped = layoutText('A'.repeat(65), { x: 0, y: 100 });
+        expect(wrapped.glyphs[63]).toMatchObject({ x: 504, line: 0 });
+        expect(wrapped.glyphs[64]).toMatchObject({ x: 0, y: 92, line: 1 });
+    });
+
+    test('clips whole glyphs at the screen edge', () => {
+        const unwrapped = layoutText('A'.repeat(66), { wrap: false, y: 0 });
+        expect(unwrapped.glyphs).toHaveLength(64);
+        expect(unwrapped.clipped.map(c => c.index)).toEqual([64, 65]);
+
+        const below = layoutText('A\nB', { y: 4 });
+        expect(below.glyphs.map(g => g.char)).toEqual(['A']);
+        expect(below.clipped).toEqual([{ char: 'B', index: 2, line: 1, column: 0 }]);
+
+        const onScreen = ([x, y]) => x >= 0 && x < SCREEN_SIZE && y >= 0 && y < SCREEN_SIZE;
+        const full = layoutText('W'.repeat(300), { characterScale: 4 });
+        expect(full.glyphs).toHaveLength(256);
+        expect(full.triplets.every(onScreen)).toBe(true);
+    });
+
+    test('applies the missing character policy', () => {
+        const blank = layoutText('A~B', { y: 0 });
+        expect(blank.missing).toEqual([{ char: '~', index: 1 }]);
+        expect(blank.glyphs.map(g => [g.char, g.x])).toEqual([['A', 0], ['B', 16]]);
+
+        const skip = layoutText('A~B', { y: 0, missing: 'skip' });
+        expect(skip.glyphs.map(g => [g.char, g.x])).toEqual([['A', 0], ['B', 8]]);
+
+        const replace = layoutText('A~B', { y: 0, missing: 'replace', replacement: '*' });
+        expect(replace.glyphs.map(g => g.char)).toEqual(['A', '*', 'B']);
+
+        expect(() => layoutText('A~B', { missing: 'throw' })).toThrow(/'~' at position 1/);
+        expect(() => layoutText('A', { missing: 'ignore' })).toThrow(/Unknown missing character policy/);
+    });
+
+    test('folds lowercase to uppercase unless disabled', () => {
+        expect(layoutText('a').glyphs.map(g => g.char)).toEqual(['A']);
+        expect(layoutText('a', { foldCase: false }).missing).toEqual([{ char: 'a', index: 0 }]);
+    });
+});
@@ -0,0 +1,189 @@
+const { test, expect } = require('@playwright/test');
+const { generateTripletRom, tripletsToSegments } = require('../src/chargenTriplets.js');
+const { getCharacterOrder } = require('../src/cdcDisplayCode.js');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { expandStrokes, buildOutlineFont, writeTTF, generateTTF } = require('../src/fonts/ttf.js');
+
+// Minimal sfnt reader: table directory, checksums, cmap format 4 lookup and simple glyph outlines
+function parseSFNT(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const numTables = view.getUint16(4);
+    const tables = {};
+    for (let i = 0; i < numTables; i++) {
+        const entry = 12 + i * 16;
+        const tag = String.fromCharCode(...bytes.slice(entry, entry + 4));
+        tables[tag] = { checksum: view.getUint32(entry + 4), offset: view.getUint32(entry + 8), length: view.getUint32(entry + 12) };
+    }
+    const checksum = (offset, length) => {
+        let sum = 0;
+        for (let i = 0; i < length; i += 4) {
+            const word = [0, 1, 2, 3].reduce((w, j) => w * 256 + (i + j < length ? bytes[offset + i + j] : 0), 0);
+            sum = (sum + word) >>> 0;
+        }
+        return sum;
+    };
+    const at = tag => tables[tag].offset;
+
+    const numGlyphs = view.getUint16(at('maxp') + 4);
+    const lookup = code => {
+        const sub = at('cmap') + view.getUint32(at('cmap') + 8);
+        const segX2 = view.getUint16(sub + 6);
+        for (let i = 0; i < segX2; i += 2) {
+            const end = view.getUint16(sub + 14 + i);
+            const start = view.getUint16(sub + 16 + segX2 + i);
+            if (code >= start && code <= end) {
+                return (code + view.getInt16(sub + 16 + 2 * segX2 + i)) & 0xFFFF;
+            }
+        }
+        return 0;
+    };
+    const outline = index => {
+        const start = at('glyf') + view.getUint32(at('loca') + index * 4);
+        if (view.getUint32(at('loca') + index * 4 + 4) === view.getUint32(at('loca') + index * 4)) return [];
+        const contourCount = view.getInt16(start);
+        const ends = Array.from({ length: contourCount }, (_, i) => view.getUint16(start + 10 + i * 2));
+        let p = start + 10 + contourCount * 2;
+        p += 2 + view.getUint16(p);
+        const count = ends[ends.length - 1] + 1;
+        const flags = [];
+        while (flags.length < count) {
+            const flag = bytes[p++];
+            flags.push(flag);
+            if (flag & 0x08) for (let r = bytes[p++]; r > 0; r--) flags.push(flag);
+        }
+        const coords = (shortBit, sameBit) => {
+            let value = 0;
+            return flags.map(flag => {
+                if (flag & shortBit) value += (flag & sameBit ? 1 : -1) * bytes[p++];
+                else if (!(flag & sameBit)) { value += view.getInt16(p); p += 2; }
+                return value;
+            });
+        };
+        const xs = coords(0x02, 0x10);
+        const ys = coords(0x04, 0x20);
+        const points = flags.map((flag, i) => ({ x: xs[i], y: ys[i], onCurve: Boolean(flag & 1) }));
+        return ends.map((end, i) => points.slice(i === 0 ? 0 : ends[i - 1] + 1, end + 1));
+    };
+    return { view, tables, checksum, at, numGlyphs, lookup, outline };
+}
+
+// Shoelace area; negative for clockwise contours with y up
+function signedArea(contour) {
+    return contour.reduce((sum, p, i) => {
+        const q = contour[(i + 1) % contour.length];
+        return sum + (p.x * q.y - q.x * p.y) / 2;
+    }, 0);
+}
+
+// Distance from a point to a segment
+function distanceToSegment(p, [ax, ay, bx, by]) {
+    const dx = bx - ax, dy = by - ay;
+    const t = dx || dy ? Math.max(0, Math.min(1, ((p.x - ax) * dx + (p.y - ay) * dy) / (dx * dx + dy * dy))) : 0;
+    return Math.hypot(p.x - (ax + t * dx), p.y - (ay + t * dy));
+}
+
+test.describe('TrueType Outline Export', () => {
+    test('expands beam-on strokes into clockwise round-capped contours', () => {
+        const triplets = generateTripletRom()['A'];
+        const contours = expandStrokes(triplets, { unit: 128, beamWidth: 1 });
+        const centreline = tripletsToSegments(triplets).filter(s => s.intensity > 0)
+            .map(({ x1, y1, x2, y2 }) => [x1, y1, x2, y2].map(v => (v + 0.5) * 128));
+
+        expect(contours.length).toBeGreaterThan(0);
+        contours.forEach(contour => {
+            expect(signedArea(contour)).toBeLessThan(0);
+            // Each contour's on-curve points sit one beam radius from its own stroke
+            const onCurve = contour.filter(p => p.onCurve);
+            expect(centreline.some(s => onCurve.every(p => Math.abs(distanceToSegment(p, s) - 64) <= 1))).toBe(true);
+        });
+
+        const dot = expandStrokes([[3, 3, 0], [3, 3, 1]], { unit: 100, beamWidth: 2 });
+        expect(dot).toHaveLength(1);
+        expect(dot[0]).toHaveLength(16);
+        expect(Math.max(...dot[0].filter(p => p.onCurve).map(p => p.y))).toBe(450);
+        expect(expandStrokes([[2, 0, 1], [0, 0, 1], [2, 0, 1]])).toHaveLength(1);
+    });
+
+    test('writes a valid sfnt with correct checksums', () => {
+        const ttf = writeTTF(buildOutlineFont());
+        const font = parseSFNT(ttf);
+        const tags = Object.keys(font.tables);
+
+        expect(font.view.getUint32(0)).toBe(0x00010000);
+        expect(tags).toEqual(['OS/2', 'cmap', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'name', 'post']);
+        tags.forEach(tag => {
+            const { offset, length, checksum } = font.tables[tag];
+            expect(offset % 4).toBe(0);
+            expect(offset + length).toBeLessThanOrEqual(ttf.length);
+            if (tag !== 'head') expect(font.checksum(offset, length)).toBe(checksum);
+        });
+        expect(font.checksum(0, ttf.length)).toBe(0xB1B0AFBA);
+        expect(font.view.getUint32(font.at('head') + 12)).toBe(0x5F0F3CF5);
+        expect(font.view.getUint16(font.at('head') + 18)).toBe(1024);
+        expect(font.tables['OS/2'].length).toBe(96);
+        expect(font.view.getUint32(font.at('post') + 12)).toBe(1);
+        expect(writeTTF(buildOutlineFont())).toEqual(ttf);
+    });
+
+    test('maps ASCII, CDC symbols and lowercase to the ROM glyphs', () => {
+        // The standard ROM has no IDENTITY glyph; borrow the equals sign for one
+        const outline = buildOutlineFont({ rom: { ...cdcRomBinary, '#': cdcRomBinary['='] } });
+        const font = parseSFNT(writeTTF(outline));
+        const glyphIndex = name => outline.glyphs.findIndex(g => g.name === name);
+
+        expect(font.numGlyphs).toBe(getCharacterOrder().length + 2);
+        expect(outline.glyphs[0].name).toBe('.notdef');
+        expect(font.lookup('A'.codePointAt(0))).toBe(glyphIndex('LETTER_A'));
+        expect(font.lookup('a'.codePointAt(0))).toBe(glyphIndex('LETTER_A'));
+        expect(font.lookup('#'.codePointAt(0))).toBe(glyphIndex('IDENTITY'));
+        expect(font.lookup('≡'.codePointAt(0))).toBe(glyphIndex('IDENTITY'));
+        expect(font.lookup(' '.codePointAt(0))).toBe(glyphIndex('BLANK'));
+        expect(font.lookup(':'.codePointAt(0))).toBe(0);
+        expect(font.outline(glyphIndex('BLANK'))).toEqual([]);
+        expect(font.outline(glyphIndex('LETTER_A'))).toEqual(outline.glyphs[glyphIndex('LETTER_A')].contours);
+        expect(font.outline(0)).toHaveLength(2);
+    });
+
+    test('gives every glyph the monospace cell advance', () => {
+        const outline = buildOutlineFont({ beamWidth: 1.5, unitsPerEm: 2048 });
+        const font = parseSFNT(writeTTF(outline));
+        const { view, at } = font;
+
+        expect(outline).toMatchObject({ unit: 256, advance: 2048 });
+        expect(view.getUint16(at('hhea') + 34)).toBe(font.numGlyphs);
+        for (let i = 0; i < font.numGlyphs; i++) {
+            expect(view.getUint16(at('hmtx') + i * 4)).toBe(2048);
+            const glyph = outline.glyphs[i];
+            expect(view.getInt16(at('hmtx') + i * 4 + 2)).toBe(glyph.bounds ? glyph.bounds.xMin : 0);
+        }
+        // Ink reaches 1.5 / 2 units past the pixel centres of rows 0 and 6
+        const ascender = view.getInt16(at('hhea') + 4);
+        const descender = view.getInt16(at('hhea') + 6);
+        expect(ascender).toBe(2048);
+        expect(descender).toBeLessThanOrEqual(-(1.5 / 2 - 0.5) * 256);
+        expect(view.getUint16(at('OS/2') + 76)).toBe(-descender);
+        expect(view.getUint16(at('OS/2') + 2)).toBe(2048);
+    });
+
+    test('names the font and rejects bad options', () => {
+        const { name, fileName, ttf } = generateTTF({ familyName: 'DD60 Wide', beamWidth: 2 });
+        const font = parseSFNT(ttf);
+        const nameTable = font.at('name');
+        const count = font.view.getUint16(nameTable + 2);
+        const stringBase = nameTable + font.view.getUint16(nameTable + 4);
+        const names = {};
+        for (let i = 0; i < count; i++) {
+            const record = nameTable + 6 + i * 12;
+            const length = font.view.getUint16(record + 8);
+            const offset = font.view.getUint16(record + 10);
+            const units = Array.from({ length: length / 2 }, (_, j) => font.view.getUint16(stringBase + offset + j * 2));
+            names[font.view.getUint16(record + 6)] = String.fromCharCode(...units);
+        }
+
+        expect(name).toBe('DD60Wide-Regular');
+        expect(fileName).toBe('DD60Wide-Regular.ttf');
+        expect(names).toMatchObject({ 1: 'DD60 Wide', 2: 'Regular', 4: 'DD60 Wide Regular', 6: 'DD60Wide-Regular' });
+        expect(() => buildOutlineFont({ beamWidth: 0 })).toThrow(/Beam width/);
+        expect(() => buildOutlineFont({ unitsPerEm: 1000.5 })).toThrow(/Units per em/);
+    });
+});
@@ -0,0 +1,57 @@
+const { test, expect } = require('@playwright/test');
+const { cdcRomBinary } = require('../src/cdcRomBinary.js');
+const { binaryToVector } = require('../src/cdcRomFunctions.js');
+const { simulateDeflection } = require('../src/analog/deflection.js');
+const { applyBrightness } = require('../src/analog/brightness.js');
+const { filterBeamTrack, applyZAxis, DEFAULT_Z_AXIS, Z_VISIBLE_THRESHOLD } = require('../src/analog/zAxis.js');
+
+test.describe('DD60 Z-Axis Model', () => {
+    test('filters the binaryToVector beam track row by row', () => {
+        const beam = binaryToVector(cdcRomBinary['A']).map(p => p[2]);
+        const samples = filterBeamTrack(beam, { timeStepNs: 20 });
+
+        expect(samples).toHaveLength(beam.length * 5 + 1);
+        expect(samples[0].z).toBe(0);
+        expect(samples.every(s => s.z >= 0 && s.z <= 1)).toBe(true);
+        expect(samples.every(s => s.row === null || s.target === Number(beam[s.row]))).toBe(true);
+    });
+
+    test('rises with riseNs and falls with fallNs', () => {
+        const up = filterBeamTrack([1, 1], { timeStepNs: 1 });
+        const down = filterBeamTrack([1, 1, 1, 1, 1, 0, 0], { timeStepNs: 1 });
+        const fallStart = down[500].z;
+
+        expect(up[DEFAULT_Z_AXIS.riseNs].z).toBeCloseTo(1 - Math.exp(-1), 6);
+        expect(down[500 + DEFAULT_Z_AXIS.fallNs].z).toBeCloseTo(fallStart * Math.exp(-1), 6);
+        expect(() => filterBeamTrack([1], { fallNs: 0 })).toThrow(/fallNs/);
+    });
+
+    test('makes stroke starts sharper than stroke ends', () => {
+        const samples = filterBeamTrack([0, 1, 1, 1, 0, 0], { timeStepNs: 1 });
+        const risingTo90 = samples.findIndex(s => s.z >= 0.9) - 100;
+        const fallingTo10 = samples.findIndex((s, i) => i > 400 && s.z <= 0.1) - 400;
+
+        expect(risingTo90).toBeGreaterThan(0);
+        expect(fallingTo10).toBeGreaterThan(risingTo90 * 2);
+    });
+
+    test('leaves a faint ghost trail on short beam-off moves', () => {
+        const path = [[0, 0, 1], [2, 0, 1], [4, 0, 1], [6, 0, 0], [8, 0, 1], [10, 0, 1]];
+        const trace = applyZAxis(simulateDeflection(path, { timeStepNs: 5 }));
+        const ghost = trace.points.filter(p => p.row === 3);
+
+        expect(ghost.every(p => !p.unblank)).toBe(true);
+        expect(ghost.some(p => p.beam && p.z < 0.5)).toBe(true);
+        expect(Math.min(...ghost.map(p => p.z))).toBeGreaterThan(Z_VISIBLE_THRESHOLD);
+        expect(trace.points[0]).toMatchObject({ z: 0, beam: false });
+    });
+
+    test('scales brightness by the beam level', () => {
+        const path = [[0, 0, 1], [0, 0, 1], [0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        const trace = applyBrightness(applyZAxis(simulateDeflection(path)));
+
+        expect(trace.points.every(p => Math.abs(p.brightness - p.z) < 1e-9 || !p.beam)).toBe(true);
+        expect(trace.points[trace.points.length - 1].brightness).toBe(0);
+        expect(trace.points.filter(p => p.row === 2 && p.beam).length).toBeGreaterThan(0);
+    });
+});